@@ -9,7 +9,6 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import readline from 'readline';
-import http from 'http';
 
 // Set up log file
 const logFile = 'cursor-mcp-bridge.log';
@@ -45,113 +44,8 @@ if (!fs.existsSync(imagesDir)) {
   log(`Created image storage directory: ${imagesDir}`);
 }
 
-// Verify API connection - direct connection check
-async function verifyApiConnection() {
-  // Read API port from environment or use default
-  const apiPort = process.env.DRAW_THINGS_API_PORT || 7888;
-  const apiUrl = process.env.DRAW_THINGS_API_URL || `http://127.0.0.1:${apiPort}`;
-  
-  log(`Verifying API connection to ${apiUrl}`);
-
-  return new Promise((resolve) => {
-    // Try multiple endpoints
-    const endpoints = ['/sdapi/v1/options', '/sdapi/v1/samplers', '/'];
-    let endpointIndex = 0;
-    let retryCount = 0;
-    const maxRetries = 2;
-
-    const tryEndpoint = () => {
-      if (endpointIndex >= endpoints.length) {
-        log('All endpoints failed, API connection verification failed');
-        resolve(false);
-        return;
-      }
-
-      const endpoint = endpoints[endpointIndex];
-      const url = new URL(endpoint, apiUrl);
-      
-      log(`Trying endpoint: ${url.toString()}`);
-
-      const options = {
-        hostname: url.hostname,
-        port: url.port,
-        path: url.pathname,
-        method: 'GET',
-        timeout: 5000,
-        headers: {
-          'User-Agent': 'DrawThingsMCP/1.0',
-          'Accept': 'application/json'
-        }
-      };
-
-      const req = http.request(options, (res) => {
-        log(`API connection check response: ${res.statusCode}`);
-        
-        // Any 2xx response is good
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          log('API connection verified successfully');
-          resolve(true);
-          return;
-        }
-        
-        // Try next endpoint
-        endpointIndex++;
-        retryCount = 0;
-        tryEndpoint();
-      });
-
-      req.on('error', (e) => {
-        log(`API connection error (${endpoint}): ${e.message}`);
-        
-        // Retry same endpoint a few times
-        if (retryCount < maxRetries) {
-          retryCount++;
-          log(`Retrying ${endpoint} (attempt ${retryCount}/${maxRetries})...`);
-          setTimeout(tryEndpoint, 1000);
-          return;
-        }
-        
-        // Move to next endpoint
-        endpointIndex++;
-        retryCount = 0;
-        tryEndpoint();
-      });
-
-      req.on('timeout', () => {
-        log(`API connection timeout (${endpoint})`);
-        req.destroy();
-        
-        // Retry same endpoint a few times
-        if (retryCount < maxRetries) {
-          retryCount++;
-          log(`Retrying ${endpoint} after timeout (attempt ${retryCount}/${maxRetries})...`);
-          setTimeout(tryEndpoint, 1000);
-          return;
-        }
-        
-        // Move to next endpoint
-        endpointIndex++;
-        retryCount = 0;
-        tryEndpoint();
-      });
-
-      req.end();
-    };
-
-    tryEndpoint();
-  });
-}
-
-// Initial API verification
-let apiVerified = false;
-verifyApiConnection().then(result => {
-  apiVerified = result;
-  if (result) {
-    log('API connection verified on startup');
-  } else {
-    log('API connection verification failed on startup - will retry on requests');
-  }
-});
+// Connection health is monitored by the MCP server itself, it retries
+// unreachable backends and reports their state with the getServerStatus tool
 
 // Set up readline interface
 const rl = readline.createInterface({
@@ -164,16 +58,6 @@ const rl = readline.createInterface({
 rl.on('line', async (line) => {
   log(`Received input: ${line.substring(0, 100)}${line.length > 100 ? '...' : ''}`);
   
-  // If API connection hasn't been verified yet, try again
-  if (!apiVerified) {
-    apiVerified = await verifyApiConnection();
-    if (!apiVerified) {
-      log('API connection still not available');
-      // Return error response but continue processing the request
-      // This allows the MCP service to handle the error properly
-    }
-  }
-  
   // Check if input is already in JSON format
   try {
     const jsonInput = JSON.parse(line);
@@ -259,12 +143,6 @@ function processRequest(request) {
       request.params.parameters = {};
     }
     
-    // Add API verification status to the request for debugging
-    if (!apiVerified) {
-      log('Warning: Adding API status information to request');
-      request.params.parameters._apiVerified = apiVerified;
-    }
-    
     log(`Final request: ${JSON.stringify(request).substring(0, 150)}...`);
     process.stdout.write(JSON.stringify(request) + '\n');
   } catch (error) {
@@ -367,16 +245,6 @@ function processCompleteResponse(responseStr) {
   try {
     log(`Processing complete response: ${responseStr.substring(0, 100)}${responseStr.length > 100 ? '...' : ''}`);
     
-    // Check for API error messages and update connection status
-    if (responseStr.includes("Draw Things API is not running or cannot be connected")) {
-      log('Detected API connection error in response');
-      // Trigger a new API verification
-      verifyApiConnection().then(result => {
-        apiVerified = result;
-        log(`API verification after error message: ${apiVerified ? 'successful' : 'failed'}`);
-      });
-    }
-    
     // Try to parse as JSON
     const response = JSON.parse(responseStr);
     log('Successfully parsed MCP service response as JSON');
@@ -398,9 +266,6 @@ function processCompleteResponse(responseStr) {
         
         // Add saved path info to the response
         response.result.imageSavedPath = imagePath;
-        
-        // Successful image generation indicates API is working
-        apiVerified = true;
       }
     }
     
@@ -447,13 +312,3 @@ process.on('uncaughtException', (error) => {
 });
 
 log('Bridge service ready, waiting for Cursor input...');
-
-// Periodically check API connection
-setInterval(async () => {
-  const prevStatus = apiVerified;
-  apiVerified = await verifyApiConnection();
-  
-  if (prevStatus !== apiVerified) {
-    log(`API connection status changed: ${prevStatus} -> ${apiVerified}`);
-  }
-}, 60000); // Check every minute 
\ No newline at end of file
@@ -10,13 +10,16 @@ export default {
   external: [
     // external dependencies, not packaged into the final file
     /@modelcontextprotocol\/.*/,
+    /@jsquash\/.*/,
     'axios',
+    'jimp',
     'zod',
     'path',
     'fs',
     'os',
     'url',
     'util',
+    'module',
     'node:fs',
     'node:path',
     'node:os',
@@ -13,25 +13,116 @@ import { fileURLToPath } from "url";
 import { z } from "zod";
 
 // MCP SDK imports
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+  McpServer,
+  ResourceTemplate,
+} from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import {
+  CreateMessageResultSchema,
+  ErrorCode,
+  McpError,
+  RootsListChangedNotificationSchema,
+} from "@modelcontextprotocol/sdk/types.js";
 
 // Local service imports
 import { DrawThingsService } from "./services/drawThingsService.js";
 import {
-  ImageGenerationParameters,
-  ImageGenerationResult,
+  GenerationJob,
+  GenerationQueue,
+} from "./services/generationQueue.js";
+import {
+  loadImageInput,
+  mimeTypeForPath,
+  resolveWorkspacePath,
+  stripDataUri,
+} from "./services/imageInput.js";
+import {
+  MCP_PATH,
+  SSE_PATH,
+  startHttpServer,
+} from "./services/httpServer.js";
+import { writeIconSet } from "./services/iconSet.js";
+import { readImageMetadata } from "./services/imageMetadata.js";
+import {
+  applyPreset,
+  loadPresets,
+  presetFilePaths,
+} from "./services/presets.js";
+import { EnhancedPrompt, enhancePrompt } from "./services/promptEnhancer.js";
+import {
+  AssetPrompt,
+  assetPrompts,
+  formatAssetPromptMessage,
+} from "./services/assetPrompts.js";
+import {
+  OutputTarget,
+  resolveOutputPath,
+  slugify,
+  uniqueFilePath,
+} from "./services/outputPaths.js";
+import {
+  formatConfig,
+  formatUsage,
+  loadConfig,
+  ResolvedConfig,
+  ServerConfig,
+} from "./services/config.js";
+import {
+  buildRemixParams,
+  paramsFromImageMetadata,
+} from "./services/remix.js";
+import { rasterizeMask } from "./services/mask.js";
+import {
+  generationParamsShape,
+  InvalidParamsError,
+  validateImageGenerationParams,
 } from "./services/schemas.js";
+import { readImageSize } from "./services/png.js";
+import {
+  createPreview,
+  PreviewFormat,
+  PreviewOptions,
+} from "./services/preview.js";
+import {
+  DrawThingsGenerationResult,
+  GenerationOptions,
+  PostProcessOptions,
+} from "./interfaces/index.js";
 
-// Constants and environment variables
-const DEBUG_MODE: boolean = process.env.DEBUG_MODE === "true";
 // Get current file path in ESM
 const __filename = fileURLToPath(import.meta.url);
 // Get directory name
 const __dirname = path.dirname(__filename);
 const projectRoot: string = path.resolve(__dirname, "..");
-const logsDir: string = path.join(projectRoot, "logs");
+
+// Resolve the configuration from CLI flags, env vars and the config file
+let resolvedConfig: ResolvedConfig;
+try {
+  resolvedConfig = loadConfig({ projectRoot });
+} catch (error) {
+  console.error(
+    `Invalid configuration: ${
+      error instanceof Error ? error.message : String(error)
+    }`
+  );
+  process.exit(1);
+}
+if (resolvedConfig.help) {
+  console.error(formatUsage());
+  process.exit(0);
+}
+const config: ServerConfig = resolvedConfig.config;
+
+// Constants from the configuration
+const DEBUG_MODE: boolean = config.debug;
+// Default for returning images as MCP image content, overridable per call
+const RETURN_IMAGES: boolean = config.returnImages;
+const PREVIEW_MAX_SIZE: number = config.previewMaxSize;
+const PREVIEW_FORMAT: PreviewFormat = config.previewFormat;
+// How many generations may run against Draw Things at the same time
+const QUEUE_CONCURRENCY: number = config.queueConcurrency;
+const logsDir: string = config.logDir;
 
 // Create logs directory if it doesn't exist
 try {
@@ -118,13 +209,17 @@ function printConnectionInfo(): void {
 ---------------------------------------------
 
 Attempting to connect to Draw Things API at:
-    http://127.0.0.1:7888
+    ${config.apiUrl}
+
+Resolved configuration:
+${formatConfig(resolvedConfig)}
 
 TROUBLESHOOTING TIPS:
 1. Ensure Draw Things is running on your computer
 2. Make sure the API is enabled in Draw Things settings
 3. If you changed the default port in Draw Things, set the environment variable:
-   DRAW_THINGS_API_URL=http://127.0.0.1:YOUR_PORT 
+   DRAW_THINGS_API_URL=http://127.0.0.1:YOUR_PORT
+   or pass --api-url, see --help for all options
 
 Starting service...
 `;
@@ -133,104 +228,1702 @@ Starting service...
   log(infoText);
 }
 
-const drawThingsService = new DrawThingsService();
-
-const server = new McpServer({
-  name: "draw-things-mcp",
-  version: "1.0.0",
+const drawThingsService = new DrawThingsService(config.apiUrl, {
+  imagesDir: config.outputDir,
+  historyFile: config.historyFile,
+  timeoutMs: config.timeoutMs,
+  defaults: config.defaultModel ? { model: config.defaultModel } : {},
+  filenameTemplate: config.filenameTemplate,
+  apiType: config.apiType,
+  backends: config.backends,
+  retries: config.retries,
 });
+const generationQueue = new GenerationQueue(QUEUE_CONCURRENCY);
+
+// Build an MCP server with every tool and resource registered
+// stdio serves one client, the HTTP transport builds one per session; the
+// service, queue and history are shared by all of them
+function createServer(): McpServer {
+  const server = new McpServer({
+    name: "draw-things-mcp",
+    version: "1.0.0",
+  });
+
+  // Define the image generation tool schema
+  // Every Draw Things parameter, shared with the service's validation
+  const paramsSchema = generationParamsShape;
+
+  // Preset argument of the text to image tools
+  const presetSchema = {
+    preset: z
+      .string()
+      .optional()
+      .describe(
+        "Named preset from .draw-things-presets.json, see listPresets. Arguments passed with the call override it"
+      ),
+  };
+
+  // Prompt rewriting through the client's model
+  const enhancePromptSchema = {
+    enhance_prompt: z
+      .boolean()
+      .optional()
+      .describe(
+        "Have the client's model rewrite the prompt in detail for the target model family and write a negative prompt, needs a client that supports sampling"
+      ),
+  };
+
+  // Where a generation is saved, shared by the generation tools
+  const outputPathSchema = {
+    output_path: z
+      .string()
+      .optional()
+      .describe(
+        "Folder or file to save into, relative to the first workspace root and confined to the workspace roots. File names may use a template such as {date}-{slug(prompt)}-{seed}.png"
+      ),
+  };
+
+  // Resizing and format conversion before saving, shared by the generation tools
+  const postProcessSchema = {
+    output_width: z
+      .number()
+      .int()
+      .min(1)
+      .max(8192)
+      .optional()
+      .describe(
+        "Width in pixels of the saved image, the height follows the aspect ratio when output_height is not set"
+      ),
+    output_height: z
+      .number()
+      .int()
+      .min(1)
+      .max(8192)
+      .optional()
+      .describe(
+        "Height in pixels of the saved image, the width follows the aspect ratio when output_width is not set"
+      ),
+    fit: z
+      .enum(["cover", "contain", "fill", "inside"])
+      .optional()
+      .describe(
+        "How the image fits output_width x output_height: cover crops (default), contain pads, fill stretches, inside shrinks to fit and never enlarges"
+      ),
+    output_format: z
+      .enum(["png", "jpeg", "webp"])
+      .optional()
+      .describe(
+        "Format of the saved file, defaults to the output_path extension or png. Only png keeps the generation metadata"
+      ),
+    output_quality: z
+      .number()
+      .int()
+      .min(1)
+      .max(100)
+      .optional()
+      .describe("JPEG and WebP quality (default 85)"),
+  };
+
+  // Split the post-processing arguments from the rest
+  function splitPostProcessArguments(args: any): {
+    rest: any;
+    postProcess?: PostProcessOptions;
+  } {
+    const {
+      output_width,
+      output_height,
+      fit,
+      output_format,
+      output_quality,
+      ...rest
+    } = args;
+    const postProcess: PostProcessOptions = {
+      width: output_width,
+      height: output_height,
+      fit,
+      format: output_format,
+      quality: output_quality,
+    };
+    const isSet = Object.values(postProcess).some((value) => value !== undefined);
+    return { rest, postProcess: isSet ? postProcess : undefined };
+  }
+
+  // Define the response options shared by the generation tools
+  const outputOptionsSchema = {
+    ...outputPathSchema,
+    ...postProcessSchema,
+    return_image: z
+      .boolean()
+      .optional()
+      .describe(
+        "Return the image itself as MCP image content next to its path (default set by the server)"
+      ),
+    preview_max_size: z
+      .number()
+      .int()
+      .min(0)
+      .optional()
+      .describe(
+        "Longest side in pixels of the returned image, 0 returns the full size"
+      ),
+    preview_format: z
+      .enum(["jpeg", "png"])
+      .optional()
+      .describe("Format of the returned image"),
+    progress_previews: z
+      .boolean()
+      .optional()
+      .describe(
+        "Attach small intermediate images to progress notifications, needs a progress token"
+      ),
+  };
+
+  interface OutputOptions {
+    outputPath?: string;
+    postProcess?: PostProcessOptions;
+    returnImage: boolean;
+    preview: PreviewOptions;
+    progressPreviews: boolean;
+  }
+
+  // Split the response options from the generation params, applying the server defaults
+  function splitToolArguments(args: any): {
+    parameters: any;
+    output: OutputOptions;
+  } {
+    const { rest, postProcess } = splitPostProcessArguments(args);
+    const {
+      output_path,
+      return_image,
+      preview_max_size,
+      preview_format,
+      progress_previews,
+      ...parameters
+    } = rest;
+    return {
+      parameters,
+      output: {
+        outputPath: output_path,
+        postProcess,
+        returnImage: return_image ?? RETURN_IMAGES,
+        preview: {
+          maxSize: preview_max_size ?? PREVIEW_MAX_SIZE,
+          format: preview_format ?? PREVIEW_FORMAT,
+        },
+        progressPreviews: progress_previews ?? false,
+      },
+    };
+  }
+
+  // Forward generation progress as MCP progress notifications
+  // Only active when the caller sent a progress token with the request
+  function createProgressReporter(
+    extra: any,
+    includePreviews: boolean
+  ): { options: GenerationOptions; flush: () => Promise<void> } {
+    const progressToken = extra?._meta?.progressToken;
+    if (progressToken === undefined || !extra?.sendNotification) {
+      return { options: {}, flush: async () => {} };
+    }
+
+    // notifications are chained so they arrive in order, even with previews
+    let pending: Promise<void> = Promise.resolve();
+    let lastStep = -1;
+
+    const options: GenerationOptions = {
+      includePreviews,
+      onProgress: (progress) => {
+        // the progress value must increase with every notification
+        if (progress.step <= lastStep) {
+          return;
+        }
+        lastStep = progress.step;
+
+        const eta =
+          progress.etaSeconds !== undefined
+            ? `, about ${Math.ceil(progress.etaSeconds)}s left`
+            : "";
+        const message = `Step ${progress.step}/${progress.totalSteps}${eta}`;
+
+        pending = pending
+          .then(async () => {
+            const preview =
+              includePreviews && progress.previewImage
+                ? await createPreview(progress.previewImage, {
+                    maxSize: 256,
+                    format: "jpeg",
+                  })
+                : undefined;
+
+            await extra.sendNotification({
+              method: "notifications/progress",
+              params: {
+                progressToken,
+                progress: progress.step,
+                total: progress.totalSteps,
+                message,
+                ...(preview && {
+                  _meta: {
+                    preview: { data: preview.data, mimeType: preview.mimeType },
+                  },
+                }),
+              },
+            });
+          })
+          .catch((error) =>
+            log(
+              `Failed to send progress notification: ${
+                error instanceof Error ? error.message : String(error)
+              }`
+            )
+          );
+      },
+    };
+
+    return { options, flush: () => pending };
+  }
+
+  // Workspace roots of the client as directories, undefined until first asked
+  let workspaceRoots: string[] | undefined;
+
+  server.server.setNotificationHandler(
+    RootsListChangedNotificationSchema,
+    async () => {
+      workspaceRoots = undefined;
+    }
+  );
+
+  // Ask the client for its workspace roots, empty when it doesn't support roots
+  async function getWorkspaceRoots(): Promise<string[]> {
+    if (workspaceRoots) {
+      return workspaceRoots;
+    }
+    if (!server.server.getClientCapabilities()?.roots) {
+      return [];
+    }
 
-// Define the image generation tool schema
-const paramsSchema = {
-  prompt: z.string().optional(),
-  negative_prompt: z.string().optional(),
-  width: z.number().optional(),
-  height: z.number().optional(),
-  steps: z.number().optional(),
-  seed: z.number().optional(),
-  guidance_scale: z.number().optional(),
-  random_string: z.string().optional(),
-};
-
-server.tool(
-  "generateImage",
-  "Generate an image based on a prompt",
-  paramsSchema,
-  async (mcpParams: any) => {
     try {
-      log("Received image generation request");
-      log(`mcpParams====== ${JSON.stringify(mcpParams)}`);
-      // handle ai prompts
-      const parameters =
-        mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {};
+      const { roots } = await server.server.listRoots();
+      workspaceRoots = roots
+        .filter((root) => root.uri.startsWith("file://"))
+        .map((root) => fileURLToPath(root.uri));
+      log(`Workspace roots: ${workspaceRoots.join(", ") || "none"}`);
+    } catch (error) {
+      log(
+        `Failed to list workspace roots: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+      return [];
+    }
+    return workspaceRoots;
+  }
+
+  // Directories input files are read from, the working directory without roots
+  async function getInputRoots(): Promise<string[]> {
+    const roots = await getWorkspaceRoots();
+    return roots.length > 0 ? roots : [process.cwd()];
+  }
+
+  // Decide where a generation is saved
+  // output_path wins, then a configured output directory, then the first
+  // workspace root, then the default output directory
+  async function resolveOutputTarget(
+    outputPath?: string
+  ): Promise<Partial<OutputTarget>> {
+    const roots = await getWorkspaceRoots();
+
+    if (outputPath) {
+      try {
+        // without roots, output_path is confined to the working directory
+        return resolveOutputPath(
+          outputPath,
+          roots.length > 0 ? roots : [process.cwd()],
+          config.filenameTemplate
+        );
+      } catch (error) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          error instanceof Error ? error.message : String(error)
+        );
+      }
+    }
+
+    if (resolvedConfig.sources.outputDir !== "default" || roots.length === 0) {
+      return {};
+    }
+    return { outputDir: path.join(roots[0], config.outputSubdir) };
+  }
+
+  // Run a generation through the queue and wait for it
+  // Progress and cancellation of the MCP request are forwarded to the job
+  async function runQueued(
+    kind: string,
+    prompt: string | undefined,
+    extra: any,
+    output: OutputOptions,
+    run: (options: GenerationOptions) => Promise<DrawThingsGenerationResult>
+  ): Promise<DrawThingsGenerationResult> {
+    const target = await resolveOutputTarget(output.outputPath);
+    const progress = createProgressReporter(extra, output.progressPreviews);
+    const job = generationQueue.enqueue(kind, prompt, ({ signal, onProgress }) =>
+      run({
+        ...progress.options,
+        ...target,
+        postProcess: output.postProcess,
+        signal,
+        onProgress: (update) => {
+          onProgress(update);
+          progress.options.onProgress?.(update);
+        },
+      })
+    );
+
+    const position = generationQueue.position(job.id);
+    if (position && position > 1) {
+      log(`Job ${job.id} queued at position ${position}`);
+    }
+
+    const onAbort = () => generationQueue.cancel(job.id);
+    extra?.signal?.addEventListener("abort", onAbort, { once: true });
+    if (extra?.signal?.aborted) {
+      onAbort();
+    }
+
+    try {
+      const finished = await generationQueue.wait(job.id);
+      await progress.flush();
+      return (
+        finished.result || {
+          isError: true,
+          cancelled: finished.status === "cancelled",
+          errorMessage: finished.error,
+        }
+      );
+    } finally {
+      extra?.signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  // Merge the requested preset under the call arguments
+  async function resolvePresetArgument(args: any): Promise<any> {
+    const { preset, ...parameters } = args;
+    if (!preset) {
+      return parameters;
+    }
 
-      if (parameters.prompt) {
+    try {
+      const merged = applyPreset(
+        await loadPresets(presetFilePaths(await getInputRoots())),
+        preset,
+        parameters
+      );
+      log(`Using preset: ${preset}`);
+      return merged;
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        error instanceof Error ? error.message : String(error)
+      );
+    }
+  }
+
+  // Reject params outside the schema, then model, sampler or LoRA names the server does not know
+  async function assertValidGenerationParams(parameters: any): Promise<void> {
+    const validation = validateImageGenerationParams(parameters);
+    if (!validation.valid) {
+      const error = new InvalidParamsError(validation.errors);
+      throw new McpError(ErrorCode.InvalidParams, error.message, {
+        errors: validation.errors,
+      });
+    }
+
+    const errors = await drawThingsService.validateCatalogParams(parameters);
+    if (errors.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, errors.join("; "));
+    }
+  }
+
+  // Convert a generation result into the MCP tool response
+  async function buildImageResponse(
+    result: DrawThingsGenerationResult,
+    prompt: string,
+    output: OutputOptions,
+    extraMetadata: Record<string, unknown> = {}
+  ) {
+    // Handle generation result
+    if (result.cancelled) {
+      log("Image generation cancelled by the client");
+      return {
+        content: [
+          {
+            type: "text" as const,
+            text: JSON.stringify({ cancelled: true }, null, 2),
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    if (result.isError) {
+      log(`Error generating image: ${result.errorMessage}`);
+      throw new Error(result.errorMessage || "Unknown error");
+    }
+
+    if (!result.imageData && (!result.images || result.images.length === 0)) {
+      log("No image data returned from generation");
+      throw new Error("No image data returned from generation");
+    }
+
+    const imageData =
+      result.imageData ||
+      (result.images && result.images.length > 0 ? result.images[0] : undefined);
+    if (!imageData) {
+      log("No valid image data available");
+      throw new Error("No valid image data available");
+    }
+
+    log("Successfully generated image, returning directly via MCP");
+
+    // build the response format
+    const responseData = {
+      image_paths:
+        result.imagePaths || (result.imagePath ? [result.imagePath] : []),
+      metadata: {
+        alt: `Image generated from prompt: ${prompt}`,
+        inference_time_ms: result.metadata?.inference_time_ms,
+        // the Draw Things backend that rendered the images
+        backend: result.metadata?.backend,
+        // per-image seeds, in the same order as image_paths
+        seeds: result.seeds,
+        // MCP resources describing how each image was made
+        history_uris: result.historyIds?.map(historyUri),
+        ...extraMetadata,
+      },
+    };
+
+    const content: Array<
+      | { type: "text"; text: string }
+      | { type: "image"; data: string; mimeType: string }
+    > = [
+      {
+        type: "text",
+        text: JSON.stringify(responseData, null, 2),
+      },
+    ];
+
+    // attach the images themselves so the client model can see them
+    if (output.returnImage) {
+      for (const image of result.images || [imageData]) {
+        try {
+          const preview = await createPreview(image, output.preview);
+          content.push({
+            type: "image",
+            data: preview.data,
+            mimeType: preview.mimeType,
+          });
+        } catch (error) {
+          log(
+            `Failed to create image preview: ${
+              error instanceof Error ? error.message : String(error)
+            }`
+          );
+        }
+      }
+    }
+
+    return { content };
+  }
+
+  // Rewrite the prompt with the client's model, in place
+  // A client without sampling or a failed rewrite leaves the prompt as it is,
+  // the reason is reported in the metadata instead of failing the generation
+  async function applyPromptEnhancement(
+    parameters: any,
+    extra: any
+  ): Promise<Record<string, unknown>> {
+    const originalPrompt: string = parameters.prompt;
+    if (!server.server.getClientCapabilities()?.sampling) {
+      log("Prompt enhancement skipped, the client does not support sampling");
+      return {
+        original_prompt: originalPrompt,
+        prompt_enhancement_error: "The client does not support sampling",
+      };
+    }
+
+    const model =
+      parameters.model || drawThingsService.getDefaultParams().model;
+    let enhanced: EnhancedPrompt;
+    try {
+      enhanced = await enhancePrompt(originalPrompt, model, (request) =>
+        extra.sendRequest(
+          { method: "sampling/createMessage", params: request },
+          CreateMessageResultSchema,
+          { signal: extra.signal }
+        )
+      );
+    } catch (error) {
+      if (extra?.signal?.aborted) {
+        throw error;
+      }
+      const message = error instanceof Error ? error.message : String(error);
+      log(`Prompt enhancement failed: ${message}`);
+      return {
+        original_prompt: originalPrompt,
+        prompt_enhancement_error: message,
+      };
+    }
+
+    log(`Enhanced prompt: ${enhanced.prompt}`);
+    parameters.prompt = enhanced.prompt;
+    // a negative prompt passed with the call wins over the suggested one
+    if (parameters.negative_prompt === undefined && enhanced.negative_prompt) {
+      parameters.negative_prompt = enhanced.negative_prompt;
+    }
+    return {
+      original_prompt: originalPrompt,
+      enhanced_prompt: enhanced.prompt,
+      enhanced_negative_prompt: enhanced.negative_prompt,
+    };
+  }
+
+  server.tool(
+    "generateImage",
+    "Generate an image based on a prompt",
+    {
+      ...paramsSchema,
+      ...presetSchema,
+      ...enhancePromptSchema,
+      ...outputOptionsSchema,
+    },
+    async (mcpParams: any, extra: any) => {
+      try {
+        log("Received image generation request");
+        log(`mcpParams====== ${JSON.stringify(mcpParams)}`);
+        // handle ai prompts
+        const {
+          parameters: { enhance_prompt, ...args },
+          output,
+        } = splitToolArguments(
+          mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {}
+        );
+        const parameters = await resolvePresetArgument(args);
+
+        // some clients fill in random_string when they have nothing else to send
+        if (!parameters.prompt?.trim() && parameters.random_string?.trim()) {
+          parameters.prompt = parameters.random_string;
+          delete parameters.random_string;
+        }
+        if (!parameters.prompt?.trim()) {
+          throw new McpError(ErrorCode.InvalidParams, "prompt is required");
+        }
         log(`Using provided prompt: ${parameters.prompt}`);
-      } else {
-        log("No prompt provided, using default");
-        parameters.prompt = "A cute dog";
+
+        await assertValidGenerationParams(parameters);
+
+        const enhancementMetadata = enhance_prompt
+          ? await applyPromptEnhancement(parameters, extra)
+          : {};
+
+        // Generate image
+        const result: DrawThingsGenerationResult = await runQueued(
+          "generateImage",
+          parameters.prompt,
+          extra,
+          output,
+          (options) => drawThingsService.generateImage(parameters, options)
+        );
+
+        return await buildImageResponse(
+          result,
+          parameters.prompt,
+          output,
+          enhancementMetadata
+        );
+      } catch (error) {
+        if (extra?.signal?.aborted) {
+          log("Request cancelled by the client");
+          throw error;
+        }
+        log(
+          `Error handling image generation: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        await logError(error);
+        throw error;
       }
+    }
+  );
+
+  // Load an image argument, reporting unreadable input as invalid params
+  async function loadToolImage(
+    imagePath?: string,
+    base64?: string
+  ): Promise<string> {
+    try {
+      return await loadImageInput({
+        imagePath,
+        base64,
+        roots: imagePath ? await getInputRoots() : undefined,
+      });
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        error instanceof Error ? error.message : String(error)
+      );
+    }
+  }
+
+  // Source image of the tools working on an existing image
+  const sourceImageSchema = {
+    image_path: z
+      .string()
+      .optional()
+      .describe("Path to the source image, relative to the workspace"),
+    image: z
+      .string()
+      .optional()
+      .describe("Base64 encoded source image, used when no image_path is given"),
+  };
+
+  // Define the image transformation (img2img) tool schema
+  const transformParamsSchema = {
+    ...paramsSchema,
+    ...outputOptionsSchema,
+    ...sourceImageSchema,
+  };
+
+  server.tool(
+    "transformImage",
+    "Transform an existing image (img2img) based on a prompt",
+    transformParamsSchema,
+    async (mcpParams: any, extra: any) => {
+      try {
+        log("Received image transformation request");
+        const {
+          parameters: { image_path, image, ...parameters },
+          output,
+        } = splitToolArguments(
+          mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {}
+        );
+
+        if (!image_path && !image) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            "Either image_path or image is required"
+          );
+        }
+
+        if (!parameters.prompt?.trim()) {
+          throw new McpError(ErrorCode.InvalidParams, "prompt is required");
+        }
+
+        await assertValidGenerationParams(parameters);
 
-      // Generate image
-      const result: ImageGenerationResult =
-        await drawThingsService.generateImage(parameters);
+        const initImage = await loadToolImage(image_path, image);
+        log(`Using source image: ${image_path || "base64 data"}`);
 
-      // Handle generation result
-      if (result.isError) {
-        log(`Error generating image: ${result.errorMessage}`);
-        throw new Error(result.errorMessage || "Unknown error");
+        const result: DrawThingsGenerationResult = await runQueued(
+          "transformImage",
+          parameters.prompt,
+          extra,
+          output,
+          (options) =>
+            drawThingsService.transformImage(parameters, initImage, options)
+        );
+
+        return await buildImageResponse(result, parameters.prompt, output);
+      } catch (error) {
+        if (extra?.signal?.aborted) {
+          log("Request cancelled by the client");
+          throw error;
+        }
+        log(
+          `Error handling image transformation: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        await logError(error);
+        throw error;
       }
+    }
+  );
+
+  // Define the upscaling tool schema
+  const upscaleParamsSchema = {
+    ...outputOptionsSchema,
+    ...sourceImageSchema,
+    upscaler: z
+      .string()
+      .optional()
+      .describe(
+        "Upscaler model, e.g. realesrgan_x2plus_f16.ckpt or remacri_4x_f16.ckpt on Draw Things (default realesrgan_x4plus_f16.ckpt), R-ESRGAN 4x+ on A1111 (the default there). Required on ComfyUI, a file in its upscale_models folder"
+      ),
+    scale: z
+      .number()
+      .int()
+      .min(2)
+      .max(4)
+      .optional()
+      .describe("Upscale factor, default 2"),
+  };
+
+  server.tool(
+    "upscaleImage",
+    "Upscale an existing image with an upscaler model, without changing its content",
+    upscaleParamsSchema,
+    async (mcpParams: any, extra: any) => {
+      try {
+        log("Received image upscaling request");
+        const {
+          parameters: { image_path, image, upscaler, scale },
+          output,
+        } = splitToolArguments(
+          mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {}
+        );
+
+        if (!image_path && !image) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            "Either image_path or image is required"
+          );
+        }
+
+        // the prompt only names the saved file
+        const parameters = {
+          prompt: `${image_path ? path.parse(image_path).name : "image"} upscaled`,
+          upscaler,
+          upscaler_scale: scale,
+        };
+        await assertValidGenerationParams(parameters);
+        const upscalerErrors = drawThingsService.validateUpscaleParams(parameters);
+        if (upscalerErrors.length > 0) {
+          throw new McpError(ErrorCode.InvalidParams, upscalerErrors.join("; "));
+        }
 
-      if (!result.imageData && (!result.images || result.images.length === 0)) {
-        log("No image data returned from generation");
-        throw new Error("No image data returned from generation");
+        const initImage = await loadToolImage(image_path, image);
+        log(`Upscaling source image: ${image_path || "base64 data"}`);
+
+        const result: DrawThingsGenerationResult = await runQueued(
+          "upscaleImage",
+          parameters.prompt,
+          extra,
+          output,
+          (options) =>
+            drawThingsService.upscaleImage(parameters, initImage, options)
+        );
+
+        return await buildImageResponse(result, parameters.prompt, output);
+      } catch (error) {
+        if (extra?.signal?.aborted) {
+          log("Request cancelled by the client");
+          throw error;
+        }
+        log(
+          `Error handling image upscaling: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        await logError(error);
+        throw error;
       }
+    }
+  );
+
+  // Define the inpainting tool schema
+  const inpaintParamsSchema = {
+    ...transformParamsSchema,
+    mask_path: z
+      .string()
+      .optional()
+      .describe(
+        "Path to a mask PNG, white marks the area to repaint, black the area to keep"
+      ),
+    mask: z
+      .string()
+      .optional()
+      .describe("Base64 encoded mask PNG, used when no mask_path is given"),
+    mask_rects: z
+      .array(
+        z.object({
+          x: z.number(),
+          y: z.number(),
+          width: z.number().positive(),
+          height: z.number().positive(),
+        })
+      )
+      .optional()
+      .describe(
+        "Rectangles to repaint, in pixels of the source image, used when no mask image is given"
+      ),
+  };
 
-      const imageData =
-        result.imageData ||
-        (result.images && result.images.length > 0
-          ? result.images[0]
-          : undefined);
-      if (!imageData) {
-        log("No valid image data available");
-        throw new Error("No valid image data available");
+  server.tool(
+    "inpaintImage",
+    "Repaint part of an existing image, selected by a mask image or rectangles",
+    inpaintParamsSchema,
+    async (mcpParams: any, extra: any) => {
+      try {
+        log("Received inpainting request");
+        const {
+          parameters: {
+            image_path,
+            image,
+            mask_path,
+            mask,
+            mask_rects,
+            ...parameters
+          },
+          output,
+        } = splitToolArguments(
+          mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {}
+        );
+
+        if (!image_path && !image) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            "Either image_path or image is required"
+          );
+        }
+
+        if (!mask_path && !mask && !mask_rects?.length) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            "Either mask_path, mask or mask_rects is required"
+          );
+        }
+
+        if (!parameters.prompt?.trim()) {
+          throw new McpError(ErrorCode.InvalidParams, "prompt is required");
+        }
+
+        await assertValidGenerationParams(parameters);
+
+        const initImage = await loadToolImage(image_path, image);
+
+        let maskImage: string;
+        if (mask_path || mask) {
+          maskImage = await loadToolImage(mask_path, mask);
+          log(`Using mask image: ${mask_path || "base64 data"}`);
+        } else {
+          try {
+            const { width, height } = readImageSize(
+              Buffer.from(initImage, "base64")
+            );
+            maskImage = rasterizeMask(width, height, mask_rects);
+          } catch (error) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              error instanceof Error ? error.message : String(error)
+            );
+          }
+          log(`Rasterized ${mask_rects.length} mask rectangle(s)`);
+        }
+
+        const result: DrawThingsGenerationResult = await runQueued(
+          "inpaintImage",
+          parameters.prompt,
+          extra,
+          output,
+          (options) =>
+            drawThingsService.inpaintImage(
+              parameters,
+              initImage,
+              maskImage,
+              options
+            )
+        );
+
+        return await buildImageResponse(result, parameters.prompt, output);
+      } catch (error) {
+        if (extra?.signal?.aborted) {
+          log("Request cancelled by the client");
+          throw error;
+        }
+        log(
+          `Error handling inpainting: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        await logError(error);
+        throw error;
       }
+    }
+  );
 
-      log("Successfully generated image, returning directly via MCP");
+  // Describe a job for the job tools
+  function describeJob(job: GenerationJob) {
+    return {
+      job_id: job.id,
+      kind: job.kind,
+      status: job.status,
+      prompt: job.prompt,
+      queue_position: generationQueue.position(job.id),
+      progress: job.progress && {
+        step: job.progress.step,
+        total: job.progress.totalSteps,
+        eta_seconds: job.progress.etaSeconds,
+      },
+      created_at: job.createdAt,
+      started_at: job.startedAt,
+      finished_at: job.finishedAt,
+      error: job.error,
+    };
+  }
 
-      // calculate the difference between the start and end time (example value)
-      const startTime = Date.now() - 2000; // assume the image generation took 2 seconds
-      const endTime = Date.now();
+  // Look up a job, reporting unknown ids as invalid params
+  function getJobOrThrow(jobId: string): GenerationJob {
+    const job = generationQueue.get(jobId);
+    if (!job) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown job: ${jobId}`);
+    }
+    return job;
+  }
 
-      // build the response format
-      const responseData = {
-        image_paths: result.imagePath ? [result.imagePath] : [],
-        metadata: {
-          alt: `Image generated from prompt: ${parameters.prompt}`,
-          inference_time_ms:
-            result.metadata?.inference_time_ms || endTime - startTime,
+  // Return a JSON payload as a text tool response
+  function jsonResponse(data: unknown) {
+    return {
+      content: [
+        {
+          type: "text" as const,
+          text: JSON.stringify(data, null, 2),
         },
-      };
+      ],
+    };
+  }
+
+  server.tool(
+    "startGeneration",
+    "Queue an image generation and return a job id immediately, use getJobStatus and getJobResult to follow it",
+    { ...paramsSchema, ...presetSchema, ...outputPathSchema, ...postProcessSchema },
+    async (mcpParams: any) => {
+      try {
+        const {
+          rest: { output_path, ...args },
+          postProcess,
+        } = splitPostProcessArguments(
+          mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {}
+        );
+        const parameters = await resolvePresetArgument(args);
+
+        if (!parameters.prompt?.trim()) {
+          throw new McpError(ErrorCode.InvalidParams, "prompt is required");
+        }
+
+        await assertValidGenerationParams(parameters);
+        const target = await resolveOutputTarget(output_path);
+
+        const job = generationQueue.enqueue(
+          "startGeneration",
+          parameters.prompt,
+          (options) =>
+            drawThingsService.generateImage(parameters, {
+              ...options,
+              ...target,
+              postProcess,
+            })
+        );
+        log(`Queued generation job ${job.id}`);
+
+        return jsonResponse(describeJob(job));
+      } catch (error) {
+        log(
+          `Error handling startGeneration: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        await logError(error);
+        throw error;
+      }
+    }
+  );
+
+  const jobIdSchema = {
+    job_id: z.string().describe("Job id returned by startGeneration"),
+  };
+
+  server.tool(
+    "getJobStatus",
+    "Get the status, queue position and progress of a generation job",
+    jobIdSchema,
+    async (mcpParams: any) => {
+      const { job_id } =
+        mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {};
+      return jsonResponse(describeJob(getJobOrThrow(job_id)));
+    }
+  );
 
+  server.tool(
+    "getJobResult",
+    "Get the images of a finished generation job",
+    { ...jobIdSchema, ...outputOptionsSchema },
+    async (mcpParams: any) => {
+      const {
+        parameters: { job_id },
+        output,
+      } = splitToolArguments(
+        mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {}
+      );
+      const job = getJobOrThrow(job_id);
+
+      if (job.status === "queued" || job.status === "running") {
+        return jsonResponse({
+          ...describeJob(job),
+          message: "Job has not finished yet, check again with getJobStatus",
+        });
+      }
+
+      return await buildImageResponse(
+        job.result || {
+          isError: true,
+          cancelled: job.status === "cancelled",
+          errorMessage: job.error,
+        },
+        job.prompt || "",
+        output
+      );
+    }
+  );
+
+  server.tool(
+    "listJobs",
+    "List queued, running and recently finished generation jobs",
+    {
+      status: z
+        .enum(["queued", "running", "succeeded", "failed", "cancelled"])
+        .optional()
+        .describe("Only list jobs with this status"),
+    },
+    async (mcpParams: any) => {
+      const { status } =
+        mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {};
+      const jobs = generationQueue
+        .list()
+        .filter((job) => !status || job.status === status)
+        .map(describeJob);
+      return jsonResponse({
+        concurrency: generationQueue.concurrency,
+        jobs,
+      });
+    }
+  );
+
+  server.tool(
+    "cancelJob",
+    "Cancel a queued or running generation job",
+    jobIdSchema,
+    async (mcpParams: any) => {
+      const { job_id } =
+        mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {};
+      const job = getJobOrThrow(job_id);
+      const cancelled = generationQueue.cancel(job.id);
+      if (cancelled) {
+        log(`Cancelling job ${job.id}`);
+      }
+      return jsonResponse({
+        ...describeJob(job),
+        cancel_requested: cancelled,
+      });
+    }
+  );
+
+  server.tool(
+    "getServerStatus",
+    "Get the health of the server and of each image generation backend: state, last error and uptime",
+    {},
+    async () => {
+      const status = drawThingsService.getStatus();
+      const jobs = generationQueue.list();
+      return jsonResponse({
+        status: status.status,
+        started_at: status.startedAt,
+        uptime_seconds: status.uptimeSeconds,
+        health_check_interval_ms: status.healthCheckIntervalMs,
+        retries: status.retries,
+        queue: {
+          concurrency: generationQueue.concurrency,
+          queued: jobs.filter((job) => job.status === "queued").length,
+          running: jobs.filter((job) => job.status === "running").length,
+        },
+        backends: status.backends.map((backend) => ({
+          name: backend.name,
+          type: backend.type,
+          url: backend.url,
+          healthy: backend.healthy,
+          // closed: taking requests, open: failing fast, half-open: being retried
+          circuit: backend.state,
+          consecutive_failures: backend.consecutiveFailures,
+          up_since: backend.upSince,
+          last_success_at: backend.lastSuccessAt,
+          last_check_at: backend.lastCheckAt,
+          last_error: backend.lastError,
+          last_failure_at: backend.lastFailureAt,
+          retry_at: backend.retryAt,
+        })),
+      });
+    }
+  );
+
+  // Generation history resources
+  const HISTORY_URI_PREFIX = "draw-things://history/";
+  // how many entries resources/list returns, newest first
+  const HISTORY_LIST_LIMIT = 200;
+
+  function historyUri(id: string): string {
+    return `${HISTORY_URI_PREFIX}${id}`;
+  }
+
+  // Look up a history entry from a resource template variable
+  async function getHistoryEntryOrThrow(id: string | string[]) {
+    const entryId = Array.isArray(id) ? id[0] : id;
+    const entry = await drawThingsService.history.get(entryId);
+    if (!entry) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown history entry: ${entryId}`
+      );
+    }
+    return entry;
+  }
+
+  // Read a saved image as a blob resource
+  async function readImageBlob(uri: string, imagePath: string) {
+    try {
+      const data = await fs.promises.readFile(imagePath);
       return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(responseData, null, 2),
-          },
-        ],
+        uri,
+        mimeType: mimeTypeForPath(imagePath),
+        blob: data.toString("base64"),
       };
     } catch (error) {
-      log(
-        `Error handling image generation: ${
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Image for ${uri} is no longer available: ${imagePath}`
+      );
+    }
+  }
+
+  server.resource(
+    "history",
+    new ResourceTemplate(`${HISTORY_URI_PREFIX}{id}`, {
+      list: async () => {
+        const entries = await drawThingsService.history.list(HISTORY_LIST_LIMIT);
+        return {
+          resources: entries.map((entry) => ({
+            uri: historyUri(entry.id),
+            name: `${entry.createdAt} - ${entry.prompt.slice(0, 80)}`,
+            description: `${entry.kind}, seed ${entry.seed}, ${
+              entry.model || "default model"
+            }, ${entry.imagePath}`,
+            mimeType: "application/json",
+          })),
+        };
+      },
+    }),
+    {
+      description:
+        "Earlier generations: prompt, effective params, seed, model, timing and the saved image",
+      mimeType: "application/json",
+    },
+    async (uri, { id }) => {
+      const entry = await getHistoryEntryOrThrow(id);
+      const contents: Array<
+        | { uri: string; mimeType: string; text: string }
+        | { uri: string; mimeType: string; blob: string }
+      > = [
+        {
+          uri: uri.href,
+          mimeType: "application/json",
+          text: JSON.stringify(entry, null, 2),
+        },
+      ];
+
+      try {
+        contents.push(
+          await readImageBlob(`${historyUri(entry.id)}/image`, entry.imagePath)
+        );
+      } catch (error) {
+        log(`History image missing: ${entry.imagePath}`);
+      }
+
+      return { contents };
+    }
+  );
+
+  server.resource(
+    "history-image",
+    new ResourceTemplate(`${HISTORY_URI_PREFIX}{id}/image`, {
+      list: undefined,
+    }),
+    {
+      description: "The saved image of an earlier generation",
+    },
+    async (uri, { id }) => {
+      const entry = await getHistoryEntryOrThrow(id);
+      return { contents: [await readImageBlob(uri.href, entry.imagePath)] };
+    }
+  );
+
+  // Define the metadata tool
+  server.tool(
+    "readImageMetadata",
+    "Read the generation parameters (prompt, negative prompt, seed, model, sampler, steps, guidance) embedded in a PNG, including images made by A1111-compatible tools",
+    {
+      image_path: z
+        .string()
+        .describe("PNG file in the workspace, absolute or relative to the first workspace root"),
+    },
+    async (mcpParams: any) => {
+      const { image_path } =
+        mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {};
+      let absolutePath: string;
+      try {
+        absolutePath = resolveWorkspacePath(
+          String(image_path || ""),
+          await getInputRoots()
+        );
+      } catch (error) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          error instanceof Error ? error.message : String(error)
+        );
+      }
+
+      let buffer: Buffer;
+      try {
+        buffer = await fs.promises.readFile(absolutePath);
+      } catch (error) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `image file not found: ${absolutePath}`
+        );
+      }
+
+      try {
+        const metadata = readImageMetadata(buffer);
+        log(`Read metadata from ${absolutePath}`);
+        return jsonResponse({ image_path: absolutePath, ...metadata });
+      } catch (error) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          error instanceof Error ? error.message : String(error)
+        );
+      }
+    }
+  );
+
+  // Load the params of the image to remix from the history or from its file
+  async function loadRemixSource(
+    historyId?: string,
+    imagePath?: string
+  ): Promise<Record<string, any>> {
+    if (Boolean(historyId) === Boolean(imagePath)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Provide either history_id or image_path"
+      );
+    }
+
+    if (historyId) {
+      // accept the resource URI returned in metadata.history_uris as well
+      const id = historyId.startsWith(HISTORY_URI_PREFIX)
+        ? historyId.slice(HISTORY_URI_PREFIX.length)
+        : historyId;
+      return (await getHistoryEntryOrThrow(id)).params;
+    }
+
+    let absolutePath = imagePath as string;
+    try {
+      absolutePath = resolveWorkspacePath(absolutePath, await getInputRoots());
+      const buffer = await fs.promises.readFile(absolutePath);
+      return paramsFromImageMetadata(readImageMetadata(buffer));
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Cannot remix ${absolutePath}: ${
           error instanceof Error ? error.message : String(error)
         }`
       );
-      await logError(error);
-      throw error;
     }
   }
-);
+
+  // Define the remix tool schema
+  const { random_string, ...remixOverridesSchema } = paramsSchema;
+  const remixParamsSchema = {
+    history_id: z
+      .string()
+      .optional()
+      .describe("History entry to remix, its id or draw-things://history/{id} URI"),
+    image_path: z
+      .string()
+      .optional()
+      .describe("PNG with embedded generation metadata to remix"),
+    ...remixOverridesSchema,
+    prompt: z
+      .string()
+      .optional()
+      .describe("Replaces the original prompt"),
+    prompt_append: z
+      .string()
+      .optional()
+      .describe("Text added to the end of the original prompt"),
+    seed_offset: z
+      .number()
+      .int()
+      .optional()
+      .describe("Added to the original seed, e.g. 1 for the next seed"),
+    variations: z
+      .number()
+      .int()
+      .min(1)
+      .max(16)
+      .optional()
+      .describe("Number of images to render with consecutive seeds"),
+  };
+
+  server.tool(
+    "remixImage",
+    "Generate again from the parameters of an earlier image (history entry or saved PNG), with optional changes to size, steps, prompt or seed. Uses the Scale Alike seed mode so variations stay close to the original. Always renders from text, img2img sources are not reused",
+    { ...remixParamsSchema, ...outputOptionsSchema },
+    async (mcpParams: any, extra: any) => {
+      try {
+        log("Received remix request");
+        const { parameters, output } = splitToolArguments(
+          mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {}
+        );
+        const { history_id, image_path, ...overrides } = parameters;
+
+        const original = await loadRemixSource(history_id, image_path);
+        const remixParams = buildRemixParams(original, overrides);
+        log(
+          `Remixing ${history_id || image_path} with seed ${remixParams.seed}`
+        );
+
+        await assertValidGenerationParams(remixParams);
+
+        const result: DrawThingsGenerationResult = await runQueued(
+          "remixImage",
+          remixParams.prompt,
+          extra,
+          output,
+          (options) => drawThingsService.generateImage(remixParams, options)
+        );
+
+        return await buildImageResponse(result, remixParams.prompt || "", output);
+      } catch (error) {
+        if (extra?.signal?.aborted) {
+          log("Request cancelled by the client");
+          throw error;
+        }
+        log(
+          `Error handling remix: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        await logError(error);
+        throw error;
+      }
+    }
+  );
+
+  // Arguments of generateIconSet, the render is always a single square image
+  const iconSetSchema = {
+    prompt: z.string().min(1).describe("What the icon shows"),
+    negative_prompt: z.string().optional(),
+    size: z
+      .number()
+      .int()
+      .min(512)
+      .max(2048)
+      .optional()
+      .describe("Side in pixels of the square render (default 1024)"),
+    steps: z.number().optional(),
+    seed: z.number().optional(),
+    guidance_scale: z.number().optional(),
+    model: z
+      .string()
+      .optional()
+      .describe("Model file name, see listModels"),
+    sampler: z.string().optional().describe("Sampler name, see listSamplers"),
+    ...presetSchema,
+    output_path: z
+      .string()
+      .optional()
+      .describe(
+        "Folder for the icons, relative to the first workspace root. Icons of an earlier set in the folder are replaced. Defaults to a new icons-<prompt> folder"
+      ),
+    name: z.string().optional().describe("App name for manifest.json"),
+    theme_color: z
+      .string()
+      .regex(/^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/)
+      .optional()
+      .describe("CSS color for manifest.json and the theme-color meta tag"),
+    background_color: z
+      .string()
+      .regex(/^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/)
+      .optional()
+      .describe("CSS color for manifest.json"),
+  };
+
+  // Icon sets answer with the file list, not with the render itself
+  const iconSetOutput: OutputOptions = {
+    returnImage: false,
+    preview: { maxSize: 0, format: "png" },
+    progressPreviews: false,
+  };
+
+  // Pick the folder an icon set is written to
+  async function resolveIconSetDirectory(
+    outputPath: string | undefined,
+    prompt: string
+  ): Promise<string> {
+    const target = await resolveOutputTarget(outputPath);
+    if (outputPath) {
+      if (target.filenameTemplate !== config.filenameTemplate) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          "output_path must be a folder for an icon set"
+        );
+      }
+      return target.outputDir!;
+    }
+    return uniqueFilePath(
+      path.join(
+        target.outputDir || config.outputDir,
+        `icons-${slugify(prompt, 32)}`
+      )
+    );
+  }
+
+  server.tool(
+    "generateIconSet",
+    "Render one square image and write favicon.ico, favicon PNGs (16, 32, 48), apple-touch-icon (180), Android/PWA icons (192, 512) and a manifest.json into a folder. Returns the files, the manifest and the HTML link tags",
+    iconSetSchema,
+    async (mcpParams: any, extra: any) => {
+      try {
+        log("Received icon set request");
+        const {
+          output_path,
+          name,
+          theme_color,
+          background_color,
+          size = 1024,
+          ...args
+        } = mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {};
+        // the icon is always square, whatever size a preset asks for
+        const { aspect_ratio, megapixels, ...presetParams } =
+          await resolvePresetArgument(args);
+        const parameters = {
+          ...presetParams,
+          width: size,
+          height: size,
+          batch_size: 1,
+          batch_count: 1,
+        };
+        if (!parameters.prompt?.trim()) {
+          throw new McpError(ErrorCode.InvalidParams, "prompt is required");
+        }
+
+        await assertValidGenerationParams(parameters);
+        const directory = await resolveIconSetDirectory(
+          output_path,
+          parameters.prompt
+        );
+
+        const result: DrawThingsGenerationResult = await runQueued(
+          "generateIconSet",
+          parameters.prompt,
+          extra,
+          iconSetOutput,
+          (options) =>
+            drawThingsService.generateImage(parameters, {
+              ...options,
+              outputDir: directory,
+              filenameTemplate: "icon-source.png",
+            })
+        );
+        if (result.cancelled || result.isError || !result.imageData) {
+          return await buildImageResponse(
+            result,
+            parameters.prompt,
+            iconSetOutput
+          );
+        }
+
+        const iconSet = await writeIconSet(
+          Buffer.from(stripDataUri(result.imageData), "base64"),
+          directory,
+          {
+            name,
+            themeColor: theme_color,
+            backgroundColor: background_color,
+          }
+        );
+        log(`Wrote icon set to ${directory}`);
+
+        return jsonResponse({
+          directory,
+          source: result.imagePath,
+          seed: result.seeds?.[0],
+          files: iconSet.files,
+          manifest: iconSet.manifest,
+          html: iconSet.html,
+        });
+      } catch (error) {
+        if (extra?.signal?.aborted) {
+          log("Request cancelled by the client");
+          throw error;
+        }
+        log(
+          `Error handling icon set: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        await logError(error);
+        throw error;
+      }
+    }
+  );
+
+  // Define the discovery tools
+  const listParamsSchema = {
+    refresh: z
+      .boolean()
+      .optional()
+      .describe("Bypass the short-lived cache and ask the server again"),
+  };
+
+  // Register a tool that returns one of the server's catalogs as JSON
+  function registerListTool(
+    name: string,
+    description: string,
+    list: (refresh: boolean) => Promise<unknown[]>
+  ): void {
+    server.tool(name, description, listParamsSchema, async (mcpParams: any) => {
+      try {
+        const { refresh } =
+          mcpParams?.params?.arguments || mcpParams?.arguments || mcpParams || {};
+        const items = await list(Boolean(refresh));
+        log(`${name} returned ${items.length} item(s)`);
+        return {
+          content: [
+            {
+              type: "text" as const,
+              text: JSON.stringify(items, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        log(
+          `Error handling ${name}: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        await logError(error);
+        throw error;
+      }
+    });
+  }
+
+  registerListTool(
+    "listModels",
+    "List the models (checkpoints) available in Draw Things, for the model parameter",
+    (refresh) => drawThingsService.listModels(refresh)
+  );
+
+  registerListTool(
+    "listSamplers",
+    "List the samplers available in Draw Things, for the sampler parameter",
+    (refresh) => drawThingsService.listSamplers(refresh)
+  );
+
+  registerListTool(
+    "listLoras",
+    "List the LoRAs available in Draw Things, for the loras parameter",
+    (refresh) => drawThingsService.listLoras(refresh)
+  );
+
+  server.tool(
+    "listPresets",
+    "List the named presets from .draw-things-presets.json (workspace roots, then home directory) with their resolved parameters",
+    {},
+    async () => {
+      try {
+        const presets = await loadPresets(
+          presetFilePaths(await getInputRoots())
+        );
+        log(`listPresets returned ${presets.size} preset(s)`);
+        return jsonResponse(
+          Array.from(presets.values(), (preset) => ({
+            name: preset.name,
+            description: preset.description,
+            source: preset.source,
+            parameters: preset.params,
+            resolved: {
+              ...drawThingsService.getDefaultParams(preset.params.model),
+              ...preset.params,
+            },
+          }))
+        );
+      } catch (error) {
+        log(
+          `Error handling listPresets: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        await logError(error);
+        throw error;
+      }
+    }
+  );
+
+  // Prompts for recurring asset types, each expands into generateImage arguments
+  // Prompt arguments are strings, choices become enums so clients can offer them
+  function assetPromptArgsShape(assetPrompt: AssetPrompt) {
+    return Object.fromEntries(
+      assetPrompt.arguments.map((argument) => {
+        const type = argument.choices
+          ? z.enum(argument.choices as [string, ...string[]])
+          : z.string();
+        return [
+          argument.name,
+          (argument.required ? type : type.optional()).describe(
+            argument.description
+          ),
+        ];
+      })
+    );
+  }
+
+  for (const assetPrompt of assetPrompts) {
+    server.prompt(
+      assetPrompt.name,
+      assetPrompt.description,
+      assetPromptArgsShape(assetPrompt),
+      async (args: Record<string, string | undefined>) => {
+        log(`Expanding prompt ${assetPrompt.name}`);
+        return {
+          description: assetPrompt.description,
+          messages: [
+            {
+              role: "user" as const,
+              content: {
+                type: "text" as const,
+                text: formatAssetPromptMessage(
+                  assetPrompt,
+                  assetPrompt.expand(args)
+                ),
+              },
+            },
+          ],
+        };
+      }
+    );
+  }
+
+  return server;
+}
 
 // Main program
 async function main(): Promise<void> {
@@ -244,10 +1937,11 @@ async function main(): Promise<void> {
 
     // Enhanced API connection verification with direct method
     log("Checking Draw Things API connection before starting service...");
-    const apiPort = process.env.DRAW_THINGS_API_PORT || 7888;
 
     // Final drawThingsService connection check
     const isApiConnected = await drawThingsService.checkApiConnection();
+    // keep checking in the background, see getServerStatus
+    drawThingsService.startHealthMonitor(config.healthCheckIntervalMs);
     if (!isApiConnected) {
       log("\nFAILED TO CONNECT TO DRAW THINGS API");
       log("Please make sure Draw Things is running and the API is enabled.");
@@ -257,7 +1951,39 @@ async function main(): Promise<void> {
     } else {
       log("\nSUCCESSFULLY CONNECTED TO DRAW THINGS API");
       log("The service is ready to generate images.\n");
-      drawThingsService.setBaseUrl(`http://127.0.0.1:${apiPort}`);
+    }
+
+    if (config.transport === "http") {
+      log("Starting HTTP transport...");
+      const httpServer = await startHttpServer({
+        host: config.httpHost,
+        port: config.httpPort,
+        token: config.httpToken,
+        createServer,
+        log,
+      }).catch((error) => {
+        // nothing else keeps the process alive, say why it stops
+        log(
+          `Failed to listen on ${config.httpHost}:${config.httpPort}: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        process.exit(1);
+      });
+      log(
+        `MCP Server listening on ${httpServer.url}${MCP_PATH} (streamable HTTP) and ${httpServer.url}${SSE_PATH} (HTTP+SSE)${
+          config.httpToken ? ", bearer token required" : ""
+        }`
+      );
+
+      const shutdown = async (signal: string) => {
+        log(`Received ${signal}, closing HTTP sessions...`);
+        await httpServer.close();
+        process.exit(0);
+      };
+      process.once("SIGINT", () => void shutdown("SIGINT"));
+      process.once("SIGTERM", () => void shutdown("SIGTERM"));
+      return;
     }
 
     // Create transport and connect server
@@ -266,7 +1992,7 @@ async function main(): Promise<void> {
 
     // Connect server to transport
     log("Connecting server to transport...");
-    await server.connect(transport);
+    await createServer().connect(transport);
     log("MCP Server started successfully!");
   } catch (error) {
     log(
@@ -279,7 +2005,7 @@ async function main(): Promise<void> {
 }
 
 main().catch(async (error) => {
-  log("server.log", `${new Date().toISOString()} - ${error.stack || error}\n`);
+  log(`Fatal error: ${error.stack || error}`);
   console.error(error);
   process.exit(1);
 });
@@ -0,0 +1,50 @@
+/**
+ * Draw Things backend interfaces
+ */
+
+/**
+ * API a backend speaks
+ * drawthings: Draw Things' flavour of the SD WebUI API
+ * a1111: AUTOMATIC1111 / Forge SD WebUI API
+ * comfyui: ComfyUI workflow API
+ */
+export type BackendType = "drawthings" | "a1111" | "comfyui";
+
+/**
+ * one image generation server generations can be routed to
+ */
+export interface BackendConfig {
+  name?: string; // shown in metadata and logs, defaults to the URL host
+  type?: BackendType; // default drawthings
+  url: string;
+  weight?: number; // share of the generations, default 1, 0 only takes failovers
+  models?: string[]; // model file names the backend serves, all when unset
+}
+
+/**
+ * circuit breaker state of a backend
+ * closed: requests go through
+ * open: the backend failed too often in a row, requests fail fast until retryAt
+ * half-open: retryAt has passed, the next request or health probe decides
+ */
+export type CircuitState = "closed" | "open" | "half-open";
+
+/**
+ * routing and health state of a backend
+ */
+export interface BackendStatus {
+  name: string;
+  type: BackendType;
+  url: string;
+  weight: number;
+  models?: string[];
+  healthy: boolean;
+  state: CircuitState;
+  consecutiveFailures: number;
+  upSince?: string; // ISO date the backend last became reachable
+  lastSuccessAt?: string; // ISO date
+  lastCheckAt?: string; // ISO date of the last health probe
+  lastError?: string;
+  lastFailureAt?: string; // ISO date
+  retryAt?: string; // ISO date an unhealthy backend is tried again
+}
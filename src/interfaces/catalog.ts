@@ -0,0 +1,28 @@
+/**
+ * model, sampler and LoRA catalog interfaces
+ */
+
+/**
+ * model available on the Draw Things server
+ */
+export interface ModelInfo {
+  name: string; // file name used for the "model" param
+  title?: string;
+  family?: string; // model family profile, see modelProfiles
+}
+
+/**
+ * sampler available on the Draw Things server
+ */
+export interface SamplerInfo {
+  name: string; // value used for the "sampler" param
+  aliases?: string[];
+}
+
+/**
+ * LoRA available on the Draw Things server
+ */
+export interface LoraInfo {
+  name: string; // file name used in the "loras" param
+  alias?: string;
+}
@@ -0,0 +1,26 @@
+/**
+ * generation history interfaces
+ */
+
+/**
+ * one saved image and how it was made
+ */
+export interface HistoryEntry {
+  id: string;
+  createdAt: string;
+  kind: "txt2img" | "img2img" | "inpaint" | "upscale";
+  prompt: string;
+  negative_prompt?: string;
+  seed: number;
+  model?: string;
+  sampler?: string;
+  width?: number;
+  height?: number;
+  steps?: number;
+  guidance_scale?: number;
+  inference_time_ms: number;
+  backend?: string; // name of the backend that rendered the image
+  imagePath: string;
+  // full effective request params, without the base64 source image and mask
+  params: Record<string, any>;
+}
@@ -54,13 +54,74 @@ export interface DrawThingsGenerationResult {
   isError: boolean;
   imageData?: string;
   errorMessage?: string;
+  cancelled?: boolean; // the caller aborted the request
   parameters?: Record<string, any>;
   status?: number; // added property to compatible with ImageGenerationResult
   images?: string[]; // added property to compatible with ImageGenerationResult
   error?: string;    // added property to compatible with ImageGenerationResult
   imagePath?: string; // added property to store the path of the generated image
+  imagePaths?: string[]; // paths of every saved image when a batch was generated
+  seeds?: number[]; // per-image seeds, in the same order as imagePaths
+  historyIds?: string[]; // history entry ids, in the same order as imagePaths
   metadata?: {
     alt: string;
     inference_time_ms: number;
+    backend?: string; // name of the backend that rendered the images
   }; // added metadata
-} 
\ No newline at end of file
+}
+
+/**
+ * progress of a running generation, as reported by the progress endpoint
+ */
+export interface GenerationProgress {
+  step: number; // steps done over the whole request (all batches)
+  totalSteps: number;
+  fraction: number; // 0-1
+  etaSeconds?: number;
+  previewImage?: string; // base64 intermediate image, when requested
+}
+
+/**
+ * per-request generation options
+ */
+export interface GenerationOptions {
+  // called while the image renders, enables progress polling
+  onProgress?: (progress: GenerationProgress) => void;
+  // ask the progress endpoint for intermediate images
+  includePreviews?: boolean;
+  // polling interval in ms
+  progressIntervalMs?: number;
+  // aborts the request, interrupts the render and removes saved files
+  signal?: AbortSignal;
+  // directory to save into instead of the service's images directory
+  outputDir?: string;
+  // file name template, see renderFilename
+  filenameTemplate?: string;
+  // resize and convert the images before they are saved
+  postProcess?: PostProcessOptions;
+}
+
+/**
+ * formats generated images can be saved in
+ */
+export type OutputFormat = "png" | "jpeg" | "webp";
+
+/**
+ * how an image is fitted to a target size when both sides are given
+ * cover: fill the size and crop the overflow
+ * contain: fit inside the size and pad the rest
+ * fill: stretch to the size
+ * inside: fit inside the size, keeping the aspect ratio, without padding
+ */
+export type FitMode = "cover" | "contain" | "fill" | "inside";
+
+/**
+ * post-processing applied to generated images before saving
+ */
+export interface PostProcessOptions {
+  width?: number;
+  height?: number;
+  fit?: FitMode;
+  format?: OutputFormat;
+  quality?: number; // JPEG and WebP quality, 1-100
+}
@@ -10,4 +10,13 @@ export * from './jsonRpc.js';
 export * from "./imageGeneration.js";
 
 // 導出 HTTP 相關介面
-export * from './http.js'; 
\ No newline at end of file
+export * from './http.js';
+
+// 導出模型目錄相關介面
+export * from './catalog.js';
+
+// 導出生成歷史相關介面
+export * from './history.js';
+
+// 導出後端相關介面
+export * from './backend.js';
@@ -0,0 +1,110 @@
+import { ImageGenerationParams } from "../schemas.js";
+import { BackendType } from "../../interfaces/index.js";
+import {
+  AdapterGenerationOptions,
+  AdapterGenerationResult,
+  GenerationKind,
+} from "./backendAdapter.js";
+import { DrawThingsAdapter } from "./drawThingsAdapter.js";
+import { toA1111Sampler } from "./samplerNames.js";
+
+/**
+ * AUTOMATIC1111 / Forge adapter
+ * the same /sdapi/v1/* endpoints as Draw Things, but with the WebUI's own
+ * param names, so only the request body differs
+ * upscales go to the extras endpoint, which runs the upscaler alone
+ */
+
+// prompt with <lora:name:weight> tags, the way the WebUI loads LoRAs
+function promptWithLoras(
+  prompt: string,
+  loras: ImageGenerationParams["loras"]
+): string {
+  const tags = (loras || []).map(
+    ({ file, weight }) => `<lora:${file.replace(/\.[^.]+$/, "")}:${weight ?? 1}>`
+  );
+  return [prompt, ...tags].filter(Boolean).join(" ");
+}
+
+export class A1111Adapter extends DrawThingsAdapter {
+  public readonly type: BackendType = "a1111";
+  // built into every WebUI install
+  public readonly defaultUpscaler?: string = "R-ESRGAN 4x+";
+
+  async generate(
+    kind: GenerationKind,
+    params: ImageGenerationParams,
+    options: AdapterGenerationOptions = {}
+  ): Promise<AdapterGenerationResult> {
+    if (kind !== "upscale") {
+      return super.generate(kind, params, options);
+    }
+
+    const response = await this.axios.post(
+      "/sdapi/v1/extra-single-image",
+      {
+        image: params.init_images?.[0],
+        resize_mode: 0,
+        upscaling_resize: params.upscaler_scale || 2,
+        upscaler_1: params.upscaler || this.defaultUpscaler,
+      },
+      { signal: options.signal }
+    );
+    const image: string | undefined = response.data?.image;
+    if (!image) {
+      throw new Error("API did not return image data");
+    }
+    return { images: [image], seeds: [params.seed as number] };
+  }
+
+  protected toRequestBody(
+    kind: GenerationKind,
+    params: ImageGenerationParams
+  ): Record<string, unknown> {
+    const body: Record<string, unknown> = {
+      prompt: promptWithLoras(params.prompt || "", params.loras),
+      negative_prompt: params.negative_prompt || "",
+      seed: params.seed,
+      steps: params.steps,
+      width: params.width,
+      height: params.height,
+      batch_size: params.batch_size,
+      n_iter: params.batch_count,
+      cfg_scale: params.guidance_scale,
+      ...(params.sampler && toA1111Sampler(params.sampler)),
+      override_settings: {
+        ...(params.model && { sd_model_checkpoint: params.model }),
+        ...(params.clip_skip && { CLIP_stop_at_last_layers: params.clip_skip }),
+      },
+      override_settings_restore_afterwards: true,
+    };
+
+    if (kind === "img2img") {
+      Object.assign(body, {
+        init_images: params.init_images,
+        denoising_strength: params.strength,
+        ...(params.mask && {
+          mask: params.mask,
+          mask_blur: Math.round(params.mask_blur ?? 4),
+          // keep the original content under the mask as the starting point
+          inpainting_fill: 1,
+          inpaint_full_res: false,
+        }),
+      });
+    } else if (params.hires_fix && params.hires_fix_width && params.hires_fix_height) {
+      // Draw Things renders the first pass at hires_fix_width/height and
+      // upscales to width/height, the WebUI takes the sizes the other way round
+      Object.assign(body, {
+        width: params.hires_fix_width,
+        height: params.hires_fix_height,
+        enable_hr: true,
+        hr_resize_x: params.width,
+        hr_resize_y: params.height,
+        denoising_strength: params.hires_fix_strength,
+        ...(params.upscaler && { hr_upscaler: params.upscaler }),
+      });
+    }
+
+    return body;
+  }
+}
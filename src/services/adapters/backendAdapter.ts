@@ -0,0 +1,101 @@
+import { AxiosInstance } from "axios";
+import { ImageGenerationParams } from "../schemas.js";
+import {
+  BackendType,
+  GenerationProgress,
+  LoraInfo,
+  ModelInfo,
+  SamplerInfo,
+} from "../../interfaces/index.js";
+
+/**
+ * backend adapter interface
+ * DrawThingsService works in Draw Things params and leaves the HTTP calls of
+ * each kind of server to an adapter, so the same tools run against all of them
+ */
+
+// upscale: enlarge init_images[0] by upscaler_scale with the upscaler model,
+// without denoising
+export type GenerationKind = "txt2img" | "img2img" | "upscale";
+
+export interface AdapterGenerationOptions {
+  signal?: AbortSignal;
+  // called while the image renders, progress is best effort
+  onProgress?: (progress: GenerationProgress) => void;
+  includePreviews?: boolean;
+  progressIntervalMs?: number;
+}
+
+export interface AdapterGenerationResult {
+  images: string[]; // base64 PNG, with or without data URI
+  seeds: number[]; // seed of each image, in the same order
+}
+
+export interface BackendAdapter {
+  readonly type: BackendType;
+  // HTTP client bound to the backend URL
+  readonly axios: AxiosInstance;
+  // upscaler of upscale requests that don't name one, undefined when the
+  // server has none it can be relied on to have
+  readonly defaultUpscaler?: string;
+
+  /**
+   * make sure the backend answers
+   * @throws the request error when it doesn't
+   */
+  checkConnection(): Promise<void>;
+
+  /**
+   * render images and return them, without saving anything
+   * request errors are thrown as they are, so the service can tell refused
+   * and timed out requests from rejected ones
+   * @param kind txt2img, img2img when params carry init_images (and mask),
+   * or upscale
+   * @param params fully merged Draw Things params
+   */
+  generate(
+    kind: GenerationKind,
+    params: ImageGenerationParams,
+    options?: AdapterGenerationOptions
+  ): Promise<AdapterGenerationResult>;
+
+  /**
+   * stop the image the backend is rendering
+   */
+  interrupt(): Promise<void>;
+
+  listModels(): Promise<ModelInfo[]>;
+  listSamplers(): Promise<SamplerInfo[]>;
+  listLoras(): Promise<LoraInfo[]>;
+}
+
+/**
+ * consecutive seeds starting from the request seed, the way Draw Things
+ * seeds the images of a batch
+ */
+export function consecutiveSeeds(baseSeed: number, count: number): number[] {
+  return Array.from({ length: count }, (_, i) => baseSeed + i);
+}
+
+/**
+ * error thrown when a backend doesn't finish in time, looks like an axios
+ * timeout so it is reported and failed over the same way
+ */
+export function timeoutError(message: string): Error {
+  return Object.assign(new Error(message), { code: "ETIMEDOUT" });
+}
+
+/**
+ * wait, or stop waiting as soon as the signal aborts
+ */
+export function delay(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    }
+  });
+}
@@ -0,0 +1,437 @@
+import axios, { AxiosInstance } from "axios";
+import { randomUUID } from "crypto";
+import { ImageGenerationParams } from "../schemas.js";
+import { stripDataUri } from "../imageInput.js";
+import {
+  BackendType,
+  LoraInfo,
+  ModelInfo,
+  SamplerInfo,
+} from "../../interfaces/index.js";
+import {
+  AdapterGenerationOptions,
+  AdapterGenerationResult,
+  BackendAdapter,
+  consecutiveSeeds,
+  delay,
+  GenerationKind,
+  timeoutError,
+} from "./backendAdapter.js";
+import { toComfyUiSampler } from "./samplerNames.js";
+
+/**
+ * ComfyUI adapter
+ * builds an API format workflow from the Draw Things params, queues it with
+ * POST /prompt and polls /history until the images are saved, then downloads
+ * them with /view
+ * every image is queued as its own prompt with its own seed, so each one can
+ * be reproduced from the seed in its metadata
+ * hires fix renders at hires_fix_width x hires_fix_height first, then a second
+ * KSampler refines the upscaled latent at the full size
+ * upscales run the upscaler model alone, then scale to the exact factor since
+ * upscaler models have a fixed one
+ */
+
+// how often /history is polled while a prompt runs
+const HISTORY_POLL_INTERVAL_MS = 500;
+const FILENAME_PREFIX = "draw-things-mcp";
+
+type WorkflowNode = { class_type: string; inputs: Record<string, unknown> };
+export type ComfyUiWorkflow = Record<string, WorkflowNode>;
+
+// source images uploaded to ComfyUI's input folder, as LoadImage names
+interface UploadedImages {
+  image?: string;
+  mask?: string;
+}
+
+/**
+ * API format workflow rendering one image
+ * @param kind txt2img, or img2img with the uploaded source image (and mask)
+ * @param params Draw Things params
+ * @param seed seed of this image
+ * @param uploaded uploaded source image and mask names
+ */
+export function buildComfyUiWorkflow(
+  kind: GenerationKind,
+  params: ImageGenerationParams,
+  seed: number,
+  uploaded: UploadedImages = {}
+): ComfyUiWorkflow {
+  const workflow: ComfyUiWorkflow = {
+    checkpoint: {
+      class_type: "CheckpointLoaderSimple",
+      inputs: { ckpt_name: params.model },
+    },
+  };
+
+  // LoRAs are chained between the checkpoint and everything using its model and clip
+  let model: [string, number] = ["checkpoint", 0];
+  let clip: [string, number] = ["checkpoint", 1];
+  (params.loras || []).forEach(({ file, weight }, index) => {
+    const id = `lora_${index + 1}`;
+    workflow[id] = {
+      class_type: "LoraLoader",
+      inputs: {
+        lora_name: file,
+        strength_model: weight ?? 1,
+        strength_clip: weight ?? 1,
+        model,
+        clip,
+      },
+    };
+    model = [id, 0];
+    clip = [id, 1];
+  });
+
+  workflow.positive = {
+    class_type: "CLIPTextEncode",
+    inputs: { text: params.prompt || "", clip },
+  };
+  workflow.negative = {
+    class_type: "CLIPTextEncode",
+    inputs: { text: params.negative_prompt || "", clip },
+  };
+
+  // hires fix only applies to text to image, like in Draw Things
+  const firstPass =
+    kind === "txt2img" &&
+    params.hires_fix &&
+    params.hires_fix_width &&
+    params.hires_fix_height &&
+    (params.hires_fix_width < (params.width as number) ||
+      params.hires_fix_height < (params.height as number))
+      ? { width: params.hires_fix_width, height: params.hires_fix_height }
+      : null;
+
+  let latent: [string, number];
+  if (kind === "img2img" && uploaded.image) {
+    workflow.source = { class_type: "LoadImage", inputs: { image: uploaded.image } };
+    workflow.encode = {
+      class_type: "VAEEncode",
+      inputs: { pixels: ["source", 0], vae: ["checkpoint", 2] },
+    };
+    latent = ["encode", 0];
+    if (uploaded.mask) {
+      // white marks the area to repaint, like the Draw Things mask
+      workflow.mask = {
+        class_type: "LoadImageMask",
+        inputs: { image: uploaded.mask, channel: "red" },
+      };
+      workflow.masked = {
+        class_type: "SetLatentNoiseMask",
+        inputs: { samples: latent, mask: ["mask", 0] },
+      };
+      latent = ["masked", 0];
+    }
+  } else {
+    workflow.latent = {
+      class_type: "EmptyLatentImage",
+      inputs: {
+        ...(firstPass || { width: params.width, height: params.height }),
+        batch_size: 1,
+      },
+    };
+    latent = ["latent", 0];
+  }
+
+  const sampler = (denoise: number, latentImage: [string, number]) => ({
+    class_type: "KSampler",
+    inputs: {
+      seed,
+      steps: params.steps,
+      cfg: params.guidance_scale,
+      ...toComfyUiSampler(params.sampler || "euler"),
+      denoise,
+      model,
+      positive: ["positive", 0],
+      negative: ["negative", 0],
+      latent_image: latentImage,
+    },
+  });
+  workflow.sampler = sampler(
+    kind === "img2img" ? params.strength ?? 1 : 1,
+    latent
+  );
+
+  let samples: [string, number] = ["sampler", 0];
+  if (firstPass) {
+    workflow.hires_upscale = {
+      class_type: "LatentUpscale",
+      inputs: {
+        samples,
+        upscale_method: "nearest-exact",
+        width: params.width,
+        height: params.height,
+        crop: "disabled",
+      },
+    };
+    workflow.hires_sampler = sampler(params.hires_fix_strength ?? 0.7, [
+      "hires_upscale",
+      0,
+    ]);
+    samples = ["hires_sampler", 0];
+  }
+
+  workflow.decode = {
+    class_type: "VAEDecode",
+    inputs: { samples, vae: ["checkpoint", 2] },
+  };
+  workflow.save = {
+    class_type: "SaveImage",
+    inputs: { images: ["decode", 0], filename_prefix: FILENAME_PREFIX },
+  };
+  return workflow;
+}
+
+/**
+ * API format workflow upscaling the uploaded source image
+ * @param params Draw Things params, width and height are the source size
+ * @param image uploaded source image name
+ */
+export function buildComfyUiUpscaleWorkflow(
+  params: ImageGenerationParams,
+  image: string
+): ComfyUiWorkflow {
+  const scale = params.upscaler_scale || 2;
+  return {
+    source: { class_type: "LoadImage", inputs: { image } },
+    upscaler: {
+      class_type: "UpscaleModelLoader",
+      inputs: { model_name: params.upscaler },
+    },
+    upscale: {
+      class_type: "ImageUpscaleWithModel",
+      inputs: { upscale_model: ["upscaler", 0], image: ["source", 0] },
+    },
+    resize: {
+      class_type: "ImageScale",
+      inputs: {
+        image: ["upscale", 0],
+        upscale_method: "lanczos",
+        width: (params.width as number) * scale,
+        height: (params.height as number) * scale,
+        crop: "disabled",
+      },
+    },
+    save: {
+      class_type: "SaveImage",
+      inputs: { images: ["resize", 0], filename_prefix: FILENAME_PREFIX },
+    },
+  };
+}
+
+// values of a combo input in an /object_info response, old and new layouts
+function comboOptions(objectInfo: any, node: string, input: string): string[] {
+  const spec = objectInfo?.[node]?.input?.required?.[input];
+  if (Array.isArray(spec?.[0])) {
+    return spec[0];
+  }
+  if (spec?.[0] === "COMBO" && Array.isArray(spec[1]?.options)) {
+    return spec[1].options;
+  }
+  throw new Error(`unexpected /object_info response for ${node}.${input}`);
+}
+
+// multipart/form-data body with one PNG file, for /upload/image
+function multipartImage(
+  fileName: string,
+  data: Buffer
+): { body: Buffer; contentType: string } {
+  const boundary = `----draw-things-mcp-${randomUUID()}`;
+  const field = (name: string, value: string) =>
+    `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`;
+  const body = Buffer.concat([
+    Buffer.from(
+      field("overwrite", "true") +
+        field("type", "input") +
+        `--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="${fileName}"\r\nContent-Type: image/png\r\n\r\n`
+    ),
+    data,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+  return { body, contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+export class ComfyUiAdapter implements BackendAdapter {
+  public readonly type: BackendType = "comfyui";
+  public readonly axios: AxiosInstance;
+  private timeoutMs: number;
+  // identifies this server's prompts in ComfyUI's queue
+  private clientId = randomUUID();
+
+  /**
+   * @param url ComfyUI URL, e.g. http://127.0.0.1:8188
+   * @param options.timeoutMs how long a generation may take in total
+   */
+  constructor(url: string, options: { timeoutMs?: number } = {}) {
+    this.timeoutMs = options.timeoutMs ?? 300000;
+    this.axios = axios.create({
+      baseURL: url,
+      timeout: 30000,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+    });
+  }
+
+  async checkConnection(): Promise<void> {
+    await this.axios.get("/system_stats", { timeout: 5000 });
+  }
+
+  async generate(
+    kind: GenerationKind,
+    params: ImageGenerationParams,
+    options: AdapterGenerationOptions = {}
+  ): Promise<AdapterGenerationResult> {
+    const { signal, onProgress } = options;
+    const deadline = Date.now() + this.timeoutMs;
+    const count = (params.batch_size || 1) * (params.batch_count || 1);
+    const seeds = consecutiveSeeds(params.seed as number, count);
+
+    const uploaded: UploadedImages = {};
+    if (kind !== "txt2img" && params.init_images?.[0]) {
+      uploaded.image = await this.uploadImage(params.init_images[0], signal);
+      if (params.mask) {
+        uploaded.mask = await this.uploadImage(params.mask, signal);
+      }
+    }
+
+    // queue every image up front, ComfyUI runs them one after another
+    const promptIds: string[] = [];
+    const images: string[] = [];
+    try {
+      for (const seed of seeds) {
+        const response = await this.axios.post(
+          "/prompt",
+          {
+            prompt:
+              kind === "upscale"
+                ? buildComfyUiUpscaleWorkflow(params, uploaded.image as string)
+                : buildComfyUiWorkflow(kind, params, seed, uploaded),
+            client_id: this.clientId,
+          },
+          { signal }
+        );
+        promptIds.push(response.data.prompt_id);
+      }
+
+      for (const promptId of promptIds) {
+        images.push(await this.waitForImage(promptId, deadline, signal));
+        onProgress?.({
+          step: images.length * (params.steps || 1),
+          totalSteps: count * (params.steps || 1),
+          fraction: images.length / count,
+        });
+      }
+    } catch (error) {
+      // don't leave the rest of the batch running on the server
+      const pending = promptIds.slice(images.length);
+      if (pending.length > 0) {
+        await this.axios
+          .post("/queue", { delete: pending }, { timeout: 5000 })
+          .catch(() => {});
+        await this.interrupt().catch(() => {});
+      }
+      throw error;
+    }
+
+    return { images, seeds };
+  }
+
+  // poll /history until the prompt is done, then download its image
+  private async waitForImage(
+    promptId: string,
+    deadline: number,
+    signal?: AbortSignal
+  ): Promise<string> {
+    while (true) {
+      if (signal?.aborted) {
+        throw Object.assign(new Error("image generation cancelled"), {
+          code: "ERR_CANCELED",
+        });
+      }
+      if (Date.now() > deadline) {
+        throw timeoutError(
+          `ComfyUI did not finish within ${this.timeoutMs} ms`
+        );
+      }
+
+      const response = await this.axios.get(`/history/${promptId}`, { signal });
+      const entry = response.data?.[promptId];
+      if (entry?.status?.status_str === "error") {
+        const failure = entry.status.messages?.find(
+          ([type]: [string]) => type === "execution_error"
+        )?.[1];
+        throw new Error(
+          `ComfyUI execution failed${
+            failure ? `: ${failure.exception_message || failure.node_type}` : ""
+          }`
+        );
+      }
+
+      const image = Object.values<any>(entry?.outputs || {})
+        .flatMap((output) => output.images || [])
+        .find((output: any) => output.type === "output");
+      if (image) {
+        const file = await this.axios.get("/view", {
+          params: {
+            filename: image.filename,
+            subfolder: image.subfolder,
+            type: image.type,
+          },
+          responseType: "arraybuffer",
+          signal,
+        });
+        return Buffer.from(file.data).toString("base64");
+      }
+      if (entry?.status?.completed) {
+        throw new Error("ComfyUI finished without saving an image");
+      }
+
+      await delay(HISTORY_POLL_INTERVAL_MS, signal);
+    }
+  }
+
+  // upload a base64 image to ComfyUI's input folder, returns its LoadImage name
+  private async uploadImage(base64: string, signal?: AbortSignal): Promise<string> {
+    const { body, contentType } = multipartImage(
+      `${FILENAME_PREFIX}-${randomUUID()}.png`,
+      Buffer.from(stripDataUri(base64), "base64")
+    );
+    const response = await this.axios.post("/upload/image", body, {
+      headers: { "Content-Type": contentType },
+      signal,
+    });
+    const { name, subfolder } = response.data;
+    return subfolder ? `${subfolder}/${name}` : name;
+  }
+
+  async interrupt(): Promise<void> {
+    await this.axios.post("/interrupt", {}, { timeout: 5000 });
+  }
+
+  // combo values of a node input from /object_info
+  private async fetchOptions(node: string, input: string): Promise<string[]> {
+    const response = await this.axios.get(`/object_info/${node}`, {
+      timeout: 10000,
+    });
+    return comboOptions(response.data, node, input);
+  }
+
+  async listModels(): Promise<ModelInfo[]> {
+    const names = await this.fetchOptions("CheckpointLoaderSimple", "ckpt_name");
+    return names.map((name) => ({ name }));
+  }
+
+  async listSamplers(): Promise<SamplerInfo[]> {
+    const names = await this.fetchOptions("KSampler", "sampler_name");
+    return names.map((name) => ({ name }));
+  }
+
+  async listLoras(): Promise<LoraInfo[]> {
+    const names = await this.fetchOptions("LoraLoader", "lora_name");
+    return names.map((name) => ({ name }));
+  }
+}
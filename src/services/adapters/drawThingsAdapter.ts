@@ -0,0 +1,251 @@
+import axios, { AxiosInstance } from "axios";
+import path from "path";
+import { ImageGenerationParams } from "../schemas.js";
+import {
+  BackendType,
+  GenerationProgress,
+  LoraInfo,
+  ModelInfo,
+  SamplerInfo,
+} from "../../interfaces/index.js";
+import {
+  AdapterGenerationOptions,
+  AdapterGenerationResult,
+  BackendAdapter,
+  consecutiveSeeds,
+  GenerationKind,
+} from "./backendAdapter.js";
+
+/**
+ * Draw Things adapter
+ * Draw Things speaks a flavour of the SD WebUI API (/sdapi/v1/*) that takes
+ * its own params, so requests go out as they are
+ * it has no upscale endpoint, upscales are img2img requests with strength 0
+ * and the upscaler set, which skip sampling and only run the upscaler
+ */
+
+// default interval for polling the progress endpoint
+const PROGRESS_INTERVAL_MS = 1000;
+
+/**
+ * work out the seed of every returned image
+ * uses the API's reported seeds when available (A1111 style "info.all_seeds"),
+ * otherwise assumes consecutive seeds starting from the request seed
+ * @param responseData API response body
+ * @param baseSeed seed sent with the request
+ * @param count number of returned images
+ */
+export function getImageSeeds(
+  responseData: any,
+  baseSeed: number,
+  count: number
+): number[] {
+  let info = responseData?.info;
+  if (typeof info === "string") {
+    try {
+      info = JSON.parse(info);
+    } catch (error) {
+      info = undefined;
+    }
+  }
+
+  const reportedSeeds = info?.all_seeds;
+  if (
+    Array.isArray(reportedSeeds) &&
+    reportedSeeds.length >= count &&
+    reportedSeeds.every((seed: unknown) => Number.isInteger(seed))
+  ) {
+    return reportedSeeds.slice(0, count);
+  }
+
+  return consecutiveSeeds(baseSeed, count);
+}
+
+/**
+ * parse an A1111 style progress response
+ * returns null until sampling has actually started
+ * @param data progress endpoint response body
+ */
+export function parseProgress(data: any): GenerationProgress | null {
+  const state = data?.state;
+  const stepsPerJob = Number(state?.sampling_steps) || 0;
+  if (!stepsPerJob) {
+    return null;
+  }
+
+  const jobCount = Math.max(1, Number(state.job_count) || 1);
+  const jobIndex = Math.min(
+    jobCount - 1,
+    Math.max(0, Number(state.job_no) || 0)
+  );
+  const step =
+    jobIndex * stepsPerJob +
+    Math.min(stepsPerJob, Math.max(0, Number(state.sampling_step) || 0));
+  const totalSteps = jobCount * stepsPerJob;
+
+  const eta = Number(data.eta_relative);
+  return {
+    step,
+    totalSteps,
+    fraction:
+      typeof data.progress === "number" ? data.progress : step / totalSteps,
+    etaSeconds: Number.isFinite(eta) && eta > 0 ? eta : undefined,
+    previewImage: data.current_image || undefined,
+  };
+}
+
+export class DrawThingsAdapter implements BackendAdapter {
+  public readonly type: BackendType = "drawthings";
+  public readonly axios: AxiosInstance;
+  public readonly defaultUpscaler?: string = "realesrgan_x4plus_f16.ckpt";
+
+  /**
+   * @param url API URL
+   * @param options.timeoutMs generation request timeout
+   */
+  constructor(url: string, options: { timeoutMs?: number } = {}) {
+    this.axios = axios.create({
+      baseURL: url,
+      timeout: options.timeoutMs ?? 300000,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+    });
+  }
+
+  /**
+   * the request body for a generation
+   * @param kind txt2img or img2img
+   * @param params Draw Things params
+   */
+  protected toRequestBody(
+    kind: GenerationKind,
+    params: ImageGenerationParams
+  ): Record<string, unknown> {
+    return params as Record<string, unknown>;
+  }
+
+  async checkConnection(): Promise<void> {
+    // any answer counts, older servers don't have every endpoint
+    await this.axios.get("/sdapi/v1/options", {
+      timeout: 5000,
+      validateStatus: (status) => status >= 200,
+    });
+  }
+
+  async generate(
+    kind: GenerationKind,
+    params: ImageGenerationParams,
+    options: AdapterGenerationOptions = {}
+  ): Promise<AdapterGenerationResult> {
+    const stopProgressPolling = options.onProgress
+      ? this.startProgressPolling(options)
+      : undefined;
+    const endpoint = kind === "upscale" ? "img2img" : kind;
+    const body =
+      kind === "upscale" && !params.upscaler
+        ? { ...params, upscaler: this.defaultUpscaler }
+        : params;
+    const response = await this.axios
+      .post(`/sdapi/v1/${endpoint}`, this.toRequestBody(kind, body), {
+        signal: options.signal,
+      })
+      .finally(() => stopProgressPolling?.());
+
+    const images: string[] | undefined = response.data?.images;
+    if (!images || images.length === 0) {
+      throw new Error("API did not return image data");
+    }
+    return {
+      images,
+      seeds: getImageSeeds(response.data, params.seed as number, images.length),
+    };
+  }
+
+  async interrupt(): Promise<void> {
+    await this.axios.post("/sdapi/v1/interrupt", {}, { timeout: 5000 });
+  }
+
+  /**
+   * poll the progress endpoint until the returned stop function is called
+   * progress is best effort, failed polls are ignored
+   * @param options per-request options with the onProgress callback
+   */
+  private startProgressPolling({
+    onProgress,
+    includePreviews = false,
+    progressIntervalMs = PROGRESS_INTERVAL_MS,
+  }: AdapterGenerationOptions): () => void {
+    let stopped = false;
+    let timer: NodeJS.Timeout | undefined;
+
+    const poll = async () => {
+      try {
+        const response = await this.axios.get("/sdapi/v1/progress", {
+          params: { skip_current_image: !includePreviews },
+          timeout: 5000,
+        });
+        const progress = parseProgress(response.data);
+        if (progress && !stopped && onProgress) {
+          onProgress(progress);
+        }
+      } catch (error) {
+        // ignore, the generation request reports real failures
+      }
+      if (!stopped) {
+        timer = setTimeout(poll, progressIntervalMs);
+      }
+    };
+
+    timer = setTimeout(poll, progressIntervalMs);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  // fetch a listing endpoint, it must answer with an array
+  private async fetchList(endpoint: string): Promise<any[]> {
+    const response = await this.axios.get(endpoint, { timeout: 10000 });
+    if (!Array.isArray(response.data)) {
+      throw new Error(`unexpected response from ${endpoint}`);
+    }
+    return response.data;
+  }
+
+  async listModels(): Promise<ModelInfo[]> {
+    const models = await this.fetchList("/sdapi/v1/sd-models");
+    return models.map((model) =>
+      typeof model === "string"
+        ? { name: model }
+        : {
+            name: model.filename
+              ? path.basename(model.filename)
+              : model.model_name || model.title,
+            title: model.title,
+          }
+    );
+  }
+
+  async listSamplers(): Promise<SamplerInfo[]> {
+    const samplers = await this.fetchList("/sdapi/v1/samplers");
+    return samplers.map((sampler) =>
+      typeof sampler === "string"
+        ? { name: sampler }
+        : { name: sampler.name, aliases: sampler.aliases }
+    );
+  }
+
+  async listLoras(): Promise<LoraInfo[]> {
+    const loras = await this.fetchList("/sdapi/v1/loras");
+    return loras.map((lora) =>
+      typeof lora === "string"
+        ? { name: lora }
+        : {
+            name: lora.path ? path.basename(lora.path) : lora.name,
+            alias: lora.alias,
+          }
+    );
+  }
+}
@@ -0,0 +1,37 @@
+import { BackendType } from "../../interfaces/index.js";
+import { BackendAdapter } from "./backendAdapter.js";
+import { DrawThingsAdapter } from "./drawThingsAdapter.js";
+import { A1111Adapter } from "./a1111Adapter.js";
+import { ComfyUiAdapter } from "./comfyUiAdapter.js";
+
+export * from "./backendAdapter.js";
+export { DrawThingsAdapter, getImageSeeds, parseProgress } from "./drawThingsAdapter.js";
+export { A1111Adapter } from "./a1111Adapter.js";
+export {
+  ComfyUiAdapter,
+  buildComfyUiUpscaleWorkflow,
+  buildComfyUiWorkflow,
+} from "./comfyUiAdapter.js";
+
+export const backendTypes: BackendType[] = ["drawthings", "a1111", "comfyui"];
+
+/**
+ * create the adapter for a kind of server
+ * @param type API the server speaks
+ * @param url server URL
+ * @param options.timeoutMs generation request timeout
+ */
+export function createBackendAdapter(
+  type: BackendType,
+  url: string,
+  options: { timeoutMs?: number } = {}
+): BackendAdapter {
+  switch (type) {
+    case "a1111":
+      return new A1111Adapter(url, options);
+    case "comfyui":
+      return new ComfyUiAdapter(url, options);
+    default:
+      return new DrawThingsAdapter(url, options);
+  }
+}
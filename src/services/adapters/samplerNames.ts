@@ -0,0 +1,100 @@
+/**
+ * Draw Things sampler names in the terms of other servers
+ * Draw Things folds the noise schedule into the sampler name, e.g.
+ * "DPM++ 2M Karras", A1111 and ComfyUI take the sampler and the scheduler apart
+ */
+
+export type NoiseSchedule = "karras" | "trailing" | "ays" | "substep";
+
+const scheduleSuffixes: Record<string, NoiseSchedule> = {
+  karras: "karras",
+  trailing: "trailing",
+  ays: "ays",
+  substep: "substep",
+};
+
+/**
+ * split a Draw Things sampler name into the sampler and its noise schedule
+ * @param sampler e.g. "Euler A Trailing"
+ * @returns e.g. { base: "Euler A", schedule: "trailing" }
+ */
+export function splitSamplerName(sampler: string): {
+  base: string;
+  schedule?: NoiseSchedule;
+} {
+  const match = sampler.trim().match(/^(.*\S)\s+(\w+)$/);
+  const schedule = match && scheduleSuffixes[match[2].toLowerCase()];
+  return schedule ? { base: match![1], schedule } : { base: sampler.trim() };
+}
+
+const a1111Samplers: Record<string, string> = {
+  "euler a": "Euler a",
+};
+
+const a1111Schedulers: Record<NoiseSchedule, string | undefined> = {
+  karras: "Karras",
+  trailing: "SGM Uniform",
+  ays: "Align Your Steps",
+  substep: undefined,
+};
+
+/**
+ * sampler_name and scheduler for the A1111 / Forge API
+ * names the API doesn't know pass through, it reports them itself
+ */
+export function toA1111Sampler(sampler: string): {
+  sampler_name: string;
+  scheduler?: string;
+} {
+  const { base, schedule } = splitSamplerName(sampler);
+  const scheduler = schedule && a1111Schedulers[schedule];
+  return {
+    sampler_name: a1111Samplers[base.toLowerCase()] || base,
+    ...(scheduler && { scheduler }),
+  };
+}
+
+const comfyUiSamplers: Record<string, string> = {
+  "euler a": "euler_ancestral",
+  "euler ancestral": "euler_ancestral",
+  euler: "euler",
+  "dpm++ 2m": "dpmpp_2m",
+  "dpm++ sde": "dpmpp_sde",
+  "dpm++ 2m sde": "dpmpp_2m_sde",
+  ddim: "ddim",
+  unipc: "uni_pc",
+  lcm: "lcm",
+};
+
+// ComfyUI has no Align Your Steps scheduler on KSampler, normal is the closest
+const comfyUiSchedulers: Record<NoiseSchedule, string> = {
+  karras: "karras",
+  trailing: "sgm_uniform",
+  ays: "normal",
+  substep: "normal",
+};
+
+/**
+ * sampler_name and scheduler for a ComfyUI KSampler node
+ * ComfyUI names such as "dpmpp_2m" pass through
+ * @throws Error for Draw Things samplers ComfyUI has no counterpart for
+ */
+export function toComfyUiSampler(sampler: string): {
+  sampler_name: string;
+  scheduler: string;
+} {
+  if (/^[a-z0-9_]+$/.test(sampler)) {
+    return { sampler_name: sampler, scheduler: "normal" };
+  }
+  const { base, schedule } = splitSamplerName(sampler);
+  const samplerName = comfyUiSamplers[base.toLowerCase()];
+  if (!samplerName) {
+    throw new Error(
+      `sampler "${sampler}" has no ComfyUI counterpart, use one of listSamplers`
+    );
+  }
+  return {
+    sampler_name: samplerName,
+    scheduler: schedule ? comfyUiSchedulers[schedule] : "normal",
+  };
+}
@@ -0,0 +1,413 @@
+import { ImageGenerationParams } from "./schemas.js";
+
+/**
+ * MCP prompts for recurring asset types
+ * each one takes a few arguments and expands into an image prompt, a
+ * negative prompt and recommended generateImage params, so clients don't
+ * engineer the same prompts again for every project
+ * sizes are given as aspect_ratio, the model family's profile turns them
+ * into pixels and supplies steps, guidance and sampler
+ */
+
+export interface AssetPromptArgument {
+  name: string;
+  description: string;
+  required?: boolean;
+  choices?: string[]; // allowed values, the first one is the default
+}
+
+export interface AssetPromptExpansion {
+  prompt: string;
+  negative_prompt: string;
+  // recommended params besides the prompts
+  params: Partial<ImageGenerationParams>;
+  tips?: string; // follow-up advice for the client
+}
+
+export interface AssetPrompt {
+  name: string;
+  title: string; // e.g. "app icon", used in the expanded message
+  description: string;
+  arguments: AssetPromptArgument[];
+  /**
+   * @param args argument values, unset or empty ones get their defaults
+   */
+  expand(args: Record<string, string | undefined>): AssetPromptExpansion;
+}
+
+// flaws no asset should have
+const BASE_NEGATIVE =
+  "blurry, lowres, jpeg artifacts, noise, watermark, signature, deformed, distorted";
+// rendered text is rarely legible, assets get their copy from the UI
+const NO_TEXT = "text, letters, words, typography, caption";
+
+const modelArgument: AssetPromptArgument = {
+  name: "model",
+  description: "Model file name, see listModels, the server's default model when unset",
+};
+
+// comma-separated prompt from the parts that are set
+function join(...parts: (string | false | undefined)[]): string {
+  return parts.filter(Boolean).join(", ");
+}
+
+// value of a choice argument, its first choice when unset
+function choice(
+  args: Record<string, string | undefined>,
+  argument: AssetPromptArgument
+): string {
+  return args[argument.name]?.trim() || argument.choices![0];
+}
+
+// value of a free text argument, undefined when unset or empty
+function text(
+  args: Record<string, string | undefined>,
+  name: string
+): string | undefined {
+  return args[name]?.trim() || undefined;
+}
+
+// params every asset prompt recommends: the size and, when given, the model
+function baseParams(
+  args: Record<string, string | undefined>,
+  defaultAspectRatio: string
+): Partial<ImageGenerationParams> {
+  const model = text(args, "model");
+  return {
+    ...(model && { model }),
+    aspect_ratio: text(args, "aspect_ratio") || defaultAspectRatio,
+  };
+}
+
+const illustrationStyle: AssetPromptArgument = {
+  name: "style",
+  description: "flat (default), isometric, line-art, 3d or hand-drawn",
+  choices: ["flat", "isometric", "line-art", "3d", "hand-drawn"],
+};
+
+const illustrationStyles: Record<string, string> = {
+  flat: "flat vector illustration, clean geometric shapes, solid color fills, minimal shading",
+  isometric:
+    "isometric illustration, 30 degree isometric perspective, clean vector style, soft shadows",
+  "line-art":
+    "line art illustration, consistent monoline strokes, minimal color accents",
+  "3d": "3d rendered illustration, soft clay style, rounded shapes, soft studio lighting",
+  "hand-drawn":
+    "hand-drawn illustration, organic pencil and ink lines, textured brush strokes",
+};
+
+const uiIllustration: AssetPrompt = {
+  name: "ui-illustration",
+  title: "UI illustration",
+  description:
+    "Spot illustration for an app or website, e.g. an empty state, onboarding step or feature section",
+  arguments: [
+    {
+      name: "subject",
+      description: "What the illustration shows, e.g. \"a person sorting files into folders\"",
+      required: true,
+    },
+    illustrationStyle,
+    {
+      name: "palette",
+      description: "Colors to use, e.g. \"indigo #4F46E5 and amber\", a harmonious limited palette when unset",
+    },
+    {
+      name: "aspect_ratio",
+      description: "Width to height, e.g. \"1:1\" (default \"4:3\")",
+    },
+    modelArgument,
+  ],
+  expand(args) {
+    const style = choice(args, illustrationStyle);
+    const palette = text(args, "palette");
+    return {
+      prompt: join(
+        illustrationStyles[style],
+        text(args, "subject"),
+        "user interface illustration, friendly and modern",
+        "simple composition, single focal point, generous negative space",
+        palette ? `color palette of ${palette}` : "harmonious limited color palette",
+        "plain light background"
+      ),
+      negative_prompt: join(
+        BASE_NEGATIVE,
+        NO_TEXT,
+        style !== "3d" && "photorealistic, photo",
+        "cluttered background, busy composition, frame, border"
+      ),
+      params: baseParams(args, "4:3"),
+    };
+  },
+};
+
+const iconStyle: AssetPromptArgument = {
+  name: "style",
+  description: "flat (default), gradient, 3d or glyph",
+  choices: ["flat", "gradient", "3d", "glyph"],
+};
+
+const iconStyles: Record<string, string> = {
+  flat: "flat design, bold simple shapes, solid colors",
+  gradient: "vibrant smooth gradients, modern glossy look",
+  "3d": "3d rendered, soft lighting, subtle depth, rounded forms",
+  glyph: "single-color glyph, bold silhouette, high contrast",
+};
+
+const iconPlatform: AssetPromptArgument = {
+  name: "platform",
+  description:
+    "ios (default), android, macos or web, the platform's icon shape conventions",
+  choices: ["ios", "android", "macos", "web"],
+};
+
+// every platform masks or frames the icon differently
+const iconPlatforms: Record<string, string> = {
+  ios: "square app icon, background fills the whole square edge to edge, no rounded corners",
+  android:
+    "adaptive app icon, symbol inside the central safe zone, plain full-bleed background",
+  macos:
+    "macOS app icon, rounded square with a subtle drop shadow, centered on a plain background",
+  web: "website favicon and app icon, bold shape that reads at 16 pixels, full-bleed background",
+};
+
+const appIcon: AssetPrompt = {
+  name: "app-icon",
+  title: "app icon",
+  description:
+    "Square app icon with one centered symbol, following the platform's icon conventions",
+  arguments: [
+    {
+      name: "subject",
+      description: "Symbol the icon shows, e.g. \"a paper plane\" or \"a stylised leaf\"",
+      required: true,
+    },
+    iconStyle,
+    iconPlatform,
+    {
+      name: "color",
+      description: "Main color or colors, e.g. \"teal on white\"",
+    },
+    modelArgument,
+  ],
+  expand(args) {
+    const color = text(args, "color");
+    return {
+      prompt: join(
+        iconPlatforms[choice(args, iconPlatform)],
+        `single centered symbol of ${text(args, "subject")}`,
+        iconStyles[choice(args, iconStyle)],
+        color && `${color} color scheme`,
+        "simple and recognizable at small sizes, clean edges, professional app store quality"
+      ),
+      negative_prompt: join(
+        BASE_NEGATIVE,
+        NO_TEXT,
+        "multiple objects, busy details, photo, frame, border, mockup, device, hands, perspective"
+      ),
+      params: baseParams(args, "1:1"),
+      tips: "For favicon, Apple touch and Android icon files, call generateIconSet with the same prompts and the seed of the image you like.",
+    };
+  },
+};
+
+const bannerStyle: AssetPromptArgument = {
+  name: "style",
+  description: "illustration (default), photo, 3d or abstract",
+  choices: ["illustration", "photo", "3d", "abstract"],
+};
+
+const bannerStyles: Record<string, string> = {
+  illustration: "detailed digital illustration, vibrant colors",
+  photo: "professional photograph, shallow depth of field, natural light, 35mm",
+  "3d": "3d render, octane render, soft global illumination",
+  abstract: "abstract composition, flowing shapes and smooth gradients",
+};
+
+const copySpace: AssetPromptArgument = {
+  name: "copy_space",
+  description:
+    "Where headline text goes over the image: left (default), right, center or none",
+  choices: ["left", "right", "center", "none"],
+};
+
+const copySpaces: Record<string, string | undefined> = {
+  left: "main subject on the right third, clean empty area on the left for headline text",
+  right: "main subject on the left third, clean empty area on the right for headline text",
+  center: "subject framing the edges, calm empty center for headline text",
+  none: undefined,
+};
+
+const heroBanner: AssetPrompt = {
+  name: "hero-banner",
+  title: "hero banner",
+  description:
+    "Wide header image for a landing page, with room for the headline",
+  arguments: [
+    {
+      name: "subject",
+      description: "What the banner shows, e.g. \"a team hiking at sunrise\"",
+      required: true,
+    },
+    bannerStyle,
+    {
+      name: "mood",
+      description: "Mood or lighting, e.g. \"calm and optimistic\"",
+    },
+    copySpace,
+    {
+      name: "aspect_ratio",
+      description: "Width to height, e.g. \"21:9\" (default \"16:9\")",
+    },
+    modelArgument,
+  ],
+  expand(args) {
+    const mood = text(args, "mood");
+    return {
+      prompt: join(
+        "wide website hero banner",
+        text(args, "subject"),
+        bannerStyles[choice(args, bannerStyle)],
+        mood && `${mood} mood`,
+        copySpaces[choice(args, copySpace)],
+        "cinematic wide composition, high detail"
+      ),
+      negative_prompt: join(
+        BASE_NEGATIVE,
+        NO_TEXT,
+        "cluttered, cropped subject, frame, border, split screen, collage"
+      ),
+      params: baseParams(args, "16:9"),
+    };
+  },
+};
+
+const avatarStyle: AssetPromptArgument = {
+  name: "style",
+  description: "flat (default), 3d, line-art or watercolor",
+  choices: ["flat", "3d", "line-art", "watercolor"],
+};
+
+const avatarStyles: Record<string, string> = {
+  flat: "flat vector avatar illustration, simple shapes, solid colors",
+  "3d": "3d rendered avatar, soft clay style, soft studio lighting",
+  "line-art": "minimal line art avatar, clean strokes",
+  watercolor: "soft watercolor avatar illustration, gentle washes",
+};
+
+const avatarPlaceholder: AssetPrompt = {
+  name: "avatar-placeholder",
+  title: "avatar placeholder",
+  description:
+    "Generic, anonymous profile picture for mockups, seed data and empty profiles",
+  arguments: [
+    {
+      name: "subject",
+      description: "Who is shown, e.g. \"a woman with curly hair\" or \"a friendly robot\" (default \"a person\")",
+    },
+    avatarStyle,
+    {
+      name: "background",
+      description: "Background color, e.g. \"mint green\" (default soft pastel)",
+    },
+    modelArgument,
+  ],
+  expand(args) {
+    return {
+      prompt: join(
+        avatarStyles[choice(args, avatarStyle)],
+        text(args, "subject") || "a person",
+        "head and shoulders, centered, facing forward, friendly neutral expression",
+        "generic anonymous character",
+        `plain solid ${text(args, "background") || "soft pastel"} background`,
+        "composition that survives a circular crop"
+      ),
+      negative_prompt: join(
+        BASE_NEGATIVE,
+        NO_TEXT,
+        "multiple people, full body, hands, busy background, cropped head, frame, border, celebrity likeness"
+      ),
+      params: baseParams(args, "1:1"),
+    };
+  },
+};
+
+const textureStyle: AssetPromptArgument = {
+  name: "style",
+  description: "photo (default), stylized or hand-painted",
+  choices: ["photo", "stylized", "hand-painted"],
+};
+
+const textureStyles: Record<string, string> = {
+  photo: "photorealistic, physically based material photo, high detail",
+  stylized: "stylized game texture, clean readable shapes",
+  "hand-painted": "hand-painted game texture, painterly brush strokes",
+};
+
+const texture: AssetPrompt = {
+  name: "texture",
+  title: "texture",
+  description:
+    "Tileable surface texture for backgrounds, 3d materials and game assets",
+  arguments: [
+    {
+      name: "material",
+      description: "Surface, e.g. \"mossy cobblestone\" or \"brushed aluminium\"",
+      required: true,
+    },
+    textureStyle,
+    {
+      name: "aspect_ratio",
+      description: "Width to height (default \"1:1\")",
+    },
+    modelArgument,
+  ],
+  expand(args) {
+    return {
+      prompt: join(
+        `seamless tileable texture of ${text(args, "material")}`,
+        "top-down orthographic view, flat even lighting",
+        "uniform detail across the whole image",
+        textureStyles[choice(args, textureStyle)]
+      ),
+      negative_prompt: join(
+        BASE_NEGATIVE,
+        NO_TEXT,
+        "perspective, horizon, vignette, visible seams, border, frame, objects, cast shadows, lighting gradient, depth of field"
+      ),
+      params: baseParams(args, "1:1"),
+      tips: "Check the edges for seams before tiling, an offset filter in an image editor shows them.",
+    };
+  },
+};
+
+export const assetPrompts: AssetPrompt[] = [
+  uiIllustration,
+  appIcon,
+  heroBanner,
+  avatarPlaceholder,
+  texture,
+];
+
+/**
+ * the message a prompt expands into: the generateImage arguments as JSON,
+ * ready to be passed on as they are
+ */
+export function formatAssetPromptMessage(
+  assetPrompt: AssetPrompt,
+  expansion: AssetPromptExpansion
+): string {
+  const args = {
+    prompt: expansion.prompt,
+    negative_prompt: expansion.negative_prompt,
+    ...expansion.params,
+  };
+  return [
+    `Generate ${/^[aeiou]/i.test(assetPrompt.title) ? "an" : "a"} ${assetPrompt.title} with the generateImage tool, using these arguments:`,
+    "",
+    "```json",
+    JSON.stringify(args, null, 2),
+    "```",
+    ...(expansion.tips ? ["", expansion.tips] : []),
+  ].join("\n");
+}
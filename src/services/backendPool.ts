@@ -0,0 +1,402 @@
+import {
+  BackendConfig,
+  BackendStatus,
+  BackendType,
+  CircuitState,
+} from "../interfaces/index.js";
+import {
+  BackendAdapter,
+  backendTypes,
+  createBackendAdapter,
+} from "./adapters/index.js";
+
+/**
+ * several image generation servers behind one service
+ * generations go to a healthy backend that serves the model, picked by
+ * weight, and fail over to the next one when a backend refuses or times out
+ * a backend that keeps failing opens its circuit: it gets no requests until
+ * the cooldown is over, so requests to a dead server fail fast
+ */
+
+// how long a backend that refused or timed out is skipped
+const DEFAULT_COOLDOWN_MS = 30000;
+// failures in a row that open a backend's circuit
+const DEFAULT_FAILURE_THRESHOLD = 3;
+// first retry delay and the cap of the exponential backoff
+const DEFAULT_RETRY_BASE_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+// errors where the request never got an answer from the backend
+const connectionErrorCodes = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ECONNABORTED", // axios timeout
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+];
+
+// connection errors worth retrying, timeouts are not: the backend may still be rendering
+const timeoutErrorCodes = ["ECONNABORTED", "ETIMEDOUT"];
+
+export interface Backend {
+  name: string;
+  type: BackendType;
+  url: string;
+  weight: number;
+  models?: string[];
+  adapter: BackendAdapter;
+  healthy: boolean;
+  consecutiveFailures: number;
+  upSince?: number;
+  lastSuccessAt?: number;
+  lastCheckAt?: number;
+  lastError?: string;
+  lastFailureAt?: number;
+  retryAt?: number;
+}
+
+/**
+ * thrown when every backend that could take a request has its circuit open
+ */
+export class BackendUnavailableError extends Error {
+  constructor(backends: Backend[]) {
+    super(
+      `no backend available, failing fast: ${backends
+        .map(
+          (backend) =>
+            `${backend.name} failed ${backend.consecutiveFailures} times in a row (${
+              backend.lastError
+            }), next try after ${new Date(backend.retryAt ?? 0).toISOString()}`
+        )
+        .join("; ")}`
+    );
+    this.name = "BackendUnavailableError";
+  }
+}
+
+/**
+ * validate backend configs from the config file, an env var or a flag
+ * @param raw array of URLs or { name, type, url, weight, models } objects, a JSON
+ * string of one, or comma-separated URLs
+ * @throws Error naming the first invalid backend
+ */
+export function parseBackendConfigs(raw: unknown): BackendConfig[] {
+  let list = raw;
+  if (typeof raw === "string") {
+    const text = raw.trim();
+    if (text.startsWith("[")) {
+      try {
+        list = JSON.parse(text);
+      } catch (error) {
+        throw new Error("backends is not valid JSON");
+      }
+    } else {
+      list = text.split(",").map((url) => url.trim()).filter(Boolean);
+    }
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("backends must be a non-empty list");
+  }
+
+  const configs = list.map((item, index): BackendConfig => {
+    const entry = typeof item === "string" ? { url: item } : item;
+    const label = `backend ${index + 1}`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`${label} must be a URL or an object with a url`);
+    }
+    const unknownKeys = Object.keys(entry).filter(
+      (key) => !["name", "type", "url", "weight", "models"].includes(key)
+    );
+    if (unknownKeys.length > 0) {
+      throw new Error(`${label}: unknown key(s) ${unknownKeys.join(", ")}`);
+    }
+
+    const { name, type, url, weight, models } = entry as Record<string, unknown>;
+    let parsedUrl: URL;
+    try {
+      parsedUrl = new URL(String(url));
+    } catch (error) {
+      throw new Error(`${label}: url must be a URL, got ${JSON.stringify(url)}`);
+    }
+    if (name !== undefined && (typeof name !== "string" || !name)) {
+      throw new Error(`${label}: name must be a non-empty string`);
+    }
+    if (type !== undefined && !backendTypes.includes(type as BackendType)) {
+      throw new Error(
+        `${label}: type must be one of ${backendTypes.join(", ")}, got ${JSON.stringify(type)}`
+      );
+    }
+    if (
+      weight !== undefined &&
+      (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0)
+    ) {
+      throw new Error(`${label}: weight must be a number >= 0`);
+    }
+    if (
+      models !== undefined &&
+      (!Array.isArray(models) ||
+        models.length === 0 ||
+        !models.every((model) => typeof model === "string" && model))
+    ) {
+      throw new Error(`${label}: models must be a non-empty list of model names`);
+    }
+
+    return {
+      name: (name as string | undefined) || parsedUrl.host,
+      ...(type !== undefined && { type: type as BackendType }),
+      url: parsedUrl.toString().replace(/\/$/, ""),
+      ...(weight !== undefined && { weight: weight as number }),
+      ...(models !== undefined && { models: models as string[] }),
+    };
+  });
+
+  const names = configs.map((config) => config.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`backend name "${duplicate}" is used twice`);
+  }
+  if (!configs.some((config) => config.weight !== 0)) {
+    throw new Error("at least one backend needs a weight above 0");
+  }
+  return configs;
+}
+
+/**
+ * whether a failed request should be retried on another backend
+ * connection failures, timeouts and server errors fail over, a rejected
+ * request (4xx) or a cancelled one does not
+ */
+export function isFailoverError(error: unknown): boolean {
+  const axiosError = error as any;
+  if (axiosError?.code === "ERR_CANCELED") {
+    return false;
+  }
+  if (axiosError?.response) {
+    return axiosError.response.status >= 500;
+  }
+  return isConnectionError(error);
+}
+
+/**
+ * whether the backend never answered: refused, unreachable or timed out
+ */
+export function isConnectionError(error: unknown): boolean {
+  const axiosError = error as any;
+  return (
+    !axiosError?.response && connectionErrorCodes.includes(axiosError?.code)
+  );
+}
+
+/**
+ * whether a failed request is worth sending again after a pause
+ * refused and dropped connections are, timeouts are not, the backend may
+ * still be busy with the request
+ */
+export function isRetryableError(error: unknown): boolean {
+  return (
+    isConnectionError(error) &&
+    !timeoutErrorCodes.includes((error as any)?.code)
+  );
+}
+
+/**
+ * exponential backoff with full jitter
+ * @param attempt 0 for the first retry
+ * @param baseMs delay cap of the first retry
+ * @param random random source, for tests
+ * @returns a random delay between 0 and baseMs * 2^attempt, at most 10 s
+ */
+export function backoffDelay(
+  attempt: number,
+  baseMs = DEFAULT_RETRY_BASE_MS,
+  random: () => number = Math.random
+): number {
+  return Math.round(
+    random() * Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** attempt)
+  );
+}
+
+export class BackendPool {
+  public readonly backends: Backend[];
+  private cooldownMs: number;
+  private failureThreshold: number;
+  private random: () => number;
+
+  /**
+   * @param configs backends, validated with parseBackendConfigs
+   * @param options.timeoutMs generation request timeout
+   * @param options.cooldownMs how long a failed backend is skipped
+   * @param options.failureThreshold failures in a row that open the circuit
+   * @param options.random random source for the weighted pick, for tests
+   */
+  constructor(
+    configs: BackendConfig[],
+    options: {
+      timeoutMs?: number;
+      cooldownMs?: number;
+      failureThreshold?: number;
+      random?: () => number;
+    } = {}
+  ) {
+    this.cooldownMs = options.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+    this.failureThreshold = options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD;
+    this.random = options.random || Math.random;
+    this.backends = configs.map((config) => ({
+      name: config.name || new URL(config.url).host,
+      type: config.type || "drawthings",
+      url: config.url,
+      weight: config.weight ?? 1,
+      models: config.models,
+      adapter: createBackendAdapter(config.type || "drawthings", config.url, {
+        timeoutMs: options.timeoutMs,
+      }),
+      healthy: true,
+      consecutiveFailures: 0,
+    }));
+  }
+
+  /**
+   * the first configured backend
+   */
+  get primary(): Backend {
+    return this.backends[0];
+  }
+
+  /**
+   * circuit breaker state of a backend
+   */
+  circuitState(backend: Backend): CircuitState {
+    if (backend.consecutiveFailures < this.failureThreshold) {
+      return "closed";
+    }
+    return (backend.retryAt ?? 0) > Date.now() ? "open" : "half-open";
+  }
+
+  /**
+   * backends a request can go to right now, all but those with an open circuit
+   * @param backends the backends in question, all by default
+   * @throws BackendUnavailableError when every one of them is open
+   */
+  available(backends: Backend[] = this.backends): Backend[] {
+    const available = backends.filter(
+      (backend) => this.circuitState(backend) !== "open"
+    );
+    if (available.length === 0) {
+      throw new BackendUnavailableError(backends);
+    }
+    return available;
+  }
+
+  /**
+   * backends to try for a model, in order
+   * healthy backends first, in a weighted random order, then the ones still
+   * cooling down after a failure, as a last resort
+   * backends with an open circuit are left out
+   * @param model model file name of the request
+   * @throws Error when no backend serves the model
+   * @throws BackendUnavailableError when all that do have an open circuit
+   */
+  candidates(model?: string): Backend[] {
+    const serving = this.backends.filter(
+      (backend) => !model || !backend.models || backend.models.includes(model)
+    );
+    if (serving.length === 0) {
+      throw new Error(
+        `no backend serves model "${model}", configured backends: ${this.backends
+          .map((backend) => `${backend.name} (${backend.models?.join(", ")})`)
+          .join("; ")}`
+      );
+    }
+
+    const now = Date.now();
+    const reachable = this.available(serving);
+    const available = reachable.filter(
+      (backend) => backend.healthy || (backend.retryAt ?? 0) <= now
+    );
+    const coolingDown = reachable
+      .filter((backend) => !available.includes(backend))
+      .sort((a, b) => (a.retryAt ?? 0) - (b.retryAt ?? 0));
+
+    return [
+      ...this.weightedOrder(available.filter((backend) => backend.weight > 0)),
+      ...available.filter((backend) => backend.weight === 0),
+      ...coolingDown,
+    ];
+  }
+
+  // random order where each backend comes first in proportion to its weight
+  private weightedOrder(backends: Backend[]): Backend[] {
+    const remaining = [...backends];
+    const ordered: Backend[] = [];
+    while (remaining.length > 0) {
+      const total = remaining.reduce((sum, backend) => sum + backend.weight, 0);
+      let pick = this.random() * total;
+      let index = remaining.findIndex((backend) => (pick -= backend.weight) < 0);
+      if (index < 0) {
+        index = remaining.length - 1;
+      }
+      ordered.push(...remaining.splice(index, 1));
+    }
+    return ordered;
+  }
+
+  /**
+   * record an answered request, this closes the circuit
+   */
+  markHealthy(backend: Backend): void {
+    const now = Date.now();
+    if (!backend.healthy || backend.upSince === undefined) {
+      backend.upSince = now;
+    }
+    backend.healthy = true;
+    backend.consecutiveFailures = 0;
+    backend.lastSuccessAt = now;
+    backend.retryAt = undefined;
+  }
+
+  /**
+   * record a request the backend refused or never answered, it is skipped
+   * for the cooldown unless no other backend is left
+   * enough failures in a row open the circuit, a failure while half-open
+   * opens it again
+   */
+  markUnhealthy(backend: Backend, error: unknown): void {
+    backend.healthy = false;
+    backend.upSince = undefined;
+    backend.consecutiveFailures++;
+    backend.lastError = error instanceof Error ? error.message : String(error);
+    backend.lastFailureAt = Date.now();
+    backend.retryAt = backend.lastFailureAt + this.cooldownMs;
+  }
+
+  /**
+   * routing and health state of every backend
+   */
+  status(): BackendStatus[] {
+    return this.backends.map((backend) => ({
+      name: backend.name,
+      type: backend.type,
+      url: backend.url,
+      weight: backend.weight,
+      ...(backend.models && { models: backend.models }),
+      healthy: backend.healthy,
+      state: this.circuitState(backend),
+      consecutiveFailures: backend.consecutiveFailures,
+      ...(backend.upSince && { upSince: new Date(backend.upSince).toISOString() }),
+      ...(backend.lastSuccessAt && {
+        lastSuccessAt: new Date(backend.lastSuccessAt).toISOString(),
+      }),
+      ...(backend.lastCheckAt && {
+        lastCheckAt: new Date(backend.lastCheckAt).toISOString(),
+      }),
+      ...(backend.lastError && { lastError: backend.lastError }),
+      ...(backend.lastFailureAt && {
+        lastFailureAt: new Date(backend.lastFailureAt).toISOString(),
+      }),
+      ...(backend.retryAt && { retryAt: new Date(backend.retryAt).toISOString() }),
+    }));
+  }
+}
@@ -0,0 +1,568 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  DEFAULT_FILENAME_TEMPLATE,
+  validateFilenameTemplate,
+} from "./outputPaths.js";
+import { parseBackendConfigs } from "./backendPool.js";
+import { BackendConfig, BackendType } from "../interfaces/index.js";
+import { backendTypes } from "./adapters/index.js";
+
+/**
+ * server configuration
+ * every option can be set, from highest to lowest precedence, by
+ *   1. a CLI flag, e.g. --api-url http://127.0.0.1:7888
+ *   2. an environment variable, e.g. DRAW_THINGS_API_URL
+ *   3. the JSON config file, e.g. { "apiUrl": "http://127.0.0.1:7888" }
+ *   4. the built-in default
+ * the config file is --config / DRAW_THINGS_CONFIG when given, otherwise
+ * the first .draw-things-mcp.json found in the working directory or home directory
+ */
+
+export const CONFIG_FILE_NAME = ".draw-things-mcp.json";
+
+export interface ServerConfig {
+  apiUrl: string;
+  apiType: BackendType; // API the apiUrl server speaks
+  backends?: BackendConfig[]; // several Draw Things servers, replaces apiUrl
+  timeoutMs: number; // generation request timeout
+  retries: number; // retries of a generation no backend could take
+  healthCheckIntervalMs: number; // time between backend health probes, 0 for none
+  outputDir: string; // where generated images are saved without workspace roots
+  outputSubdir: string; // folder inside the first workspace root
+  filenameTemplate: string; // see renderFilename
+  logDir: string;
+  historyFile: string; // generation history, shared by every server process
+  defaultModel?: string; // model used when a call doesn't pass one
+  returnImages: boolean; // default of the return_image tool argument
+  previewMaxSize: number; // default of preview_max_size
+  previewFormat: "jpeg" | "png"; // default of preview_format
+  queueConcurrency: number; // generations running at the same time
+  debug: boolean;
+  transport: "stdio" | "http";
+  httpHost: string; // bind address of the HTTP transport
+  httpPort: number;
+  httpToken?: string; // bearer token HTTP clients must send
+}
+
+export type ConfigKey = keyof ServerConfig;
+
+export interface ResolvedConfig {
+  config: ServerConfig;
+  // where each value came from, e.g. "--api-url", "env DRAW_THINGS_API_URL"
+  sources: Record<ConfigKey, string>;
+  configFile?: string;
+  help: boolean; // --help was passed
+}
+
+type OptionType =
+  | "string"
+  | "url"
+  | "path"
+  | "subdir"
+  | "template"
+  | "integer"
+  | "boolean"
+  | "choice"
+  | "backends";
+
+interface OptionSpec {
+  key: ConfigKey;
+  flag: string;
+  env: string;
+  type: OptionType;
+  min?: number;
+  max?: number;
+  choices?: string[];
+  secret?: boolean; // never printed
+  description: string;
+}
+
+const optionSpecs: OptionSpec[] = [
+  {
+    key: "apiUrl",
+    flag: "--api-url",
+    env: "DRAW_THINGS_API_URL",
+    type: "url",
+    description: "Draw Things API URL",
+  },
+  {
+    key: "apiType",
+    flag: "--api-type",
+    env: "DRAW_THINGS_API_TYPE",
+    type: "choice",
+    choices: backendTypes,
+    description:
+      "API the server at --api-url speaks: drawthings, a1111 (AUTOMATIC1111/Forge) or comfyui",
+  },
+  {
+    key: "backends",
+    flag: "--backends",
+    env: "DRAW_THINGS_BACKENDS",
+    type: "backends",
+    description:
+      "Several Draw Things servers, comma-separated URLs or a JSON list of { name, url, weight, models }",
+  },
+  {
+    key: "timeoutMs",
+    flag: "--timeout",
+    env: "DRAW_THINGS_TIMEOUT_MS",
+    type: "integer",
+    min: 1,
+    description: "Generation request timeout in milliseconds",
+  },
+  {
+    key: "retries",
+    flag: "--retries",
+    env: "DRAW_THINGS_RETRIES",
+    type: "integer",
+    min: 0,
+    description:
+      "Retries, with backoff, of a generation when no backend can be reached",
+  },
+  {
+    key: "healthCheckIntervalMs",
+    flag: "--health-check-interval",
+    env: "DRAW_THINGS_HEALTH_CHECK_INTERVAL_MS",
+    type: "integer",
+    min: 0,
+    description:
+      "Time between backend health probes in milliseconds, 0 turns them off",
+  },
+  {
+    key: "outputDir",
+    flag: "--output-dir",
+    env: "DRAW_THINGS_OUTPUT_DIR",
+    type: "path",
+    description:
+      "Directory generated images are saved to, overrides the workspace root",
+  },
+  {
+    key: "outputSubdir",
+    flag: "--output-subdir",
+    env: "DRAW_THINGS_OUTPUT_SUBDIR",
+    type: "subdir",
+    description: "Folder inside the first workspace root images are saved to",
+  },
+  {
+    key: "filenameTemplate",
+    flag: "--filename-template",
+    env: "DRAW_THINGS_FILENAME_TEMPLATE",
+    type: "template",
+    description: "File name template, e.g. {date}-{slug(prompt)}-{seed}.png",
+  },
+  {
+    key: "logDir",
+    flag: "--log-dir",
+    env: "DRAW_THINGS_LOG_DIR",
+    type: "path",
+    description: "Directory for draw-things-mcp.log and error.log",
+  },
+  {
+    key: "historyFile",
+    flag: "--history-file",
+    env: "DRAW_THINGS_HISTORY_FILE",
+    type: "path",
+    description: "File the generation history is kept in",
+  },
+  {
+    key: "defaultModel",
+    flag: "--default-model",
+    env: "DRAW_THINGS_DEFAULT_MODEL",
+    type: "string",
+    description: "Model used when a call doesn't pass one",
+  },
+  {
+    key: "returnImages",
+    flag: "--return-images",
+    env: "DRAW_THINGS_RETURN_IMAGES",
+    type: "boolean",
+    description: "Return images as MCP image content by default",
+  },
+  {
+    key: "previewMaxSize",
+    flag: "--preview-max-size",
+    env: "DRAW_THINGS_PREVIEW_MAX_SIZE",
+    type: "integer",
+    min: 0,
+    description: "Longest side of returned images, 0 for full size",
+  },
+  {
+    key: "previewFormat",
+    flag: "--preview-format",
+    env: "DRAW_THINGS_PREVIEW_FORMAT",
+    type: "choice",
+    choices: ["jpeg", "png"],
+    description: "Format of returned images, jpeg or png",
+  },
+  {
+    key: "queueConcurrency",
+    flag: "--queue-concurrency",
+    env: "DRAW_THINGS_QUEUE_CONCURRENCY",
+    type: "integer",
+    min: 1,
+    description: "Generations running against Draw Things at the same time",
+  },
+  {
+    key: "debug",
+    flag: "--debug",
+    env: "DEBUG_MODE",
+    type: "boolean",
+    description: "Print full error details",
+  },
+  {
+    key: "transport",
+    flag: "--transport",
+    env: "DRAW_THINGS_TRANSPORT",
+    type: "choice",
+    choices: ["stdio", "http"],
+    description:
+      "stdio for one client, http to share the server between clients",
+  },
+  {
+    key: "httpHost",
+    flag: "--host",
+    env: "DRAW_THINGS_HTTP_HOST",
+    type: "string",
+    description: "Address the HTTP transport listens on",
+  },
+  {
+    key: "httpPort",
+    flag: "--port",
+    env: "DRAW_THINGS_HTTP_PORT",
+    type: "integer",
+    min: 0,
+    max: 65535,
+    description: "Port of the HTTP transport, 0 picks a free one",
+  },
+  {
+    key: "httpToken",
+    flag: "--http-token",
+    env: "DRAW_THINGS_HTTP_TOKEN",
+    type: "string",
+    secret: true,
+    description: "Bearer token HTTP clients must send, prefer the env var",
+  },
+];
+
+const CONFIG_FLAG = "--config";
+const CONFIG_ENV = "DRAW_THINGS_CONFIG";
+// older setups only set the port of a local Draw Things
+const LEGACY_PORT_ENV = "DRAW_THINGS_API_PORT";
+
+/**
+ * built-in defaults
+ * @param projectRoot install directory of the server
+ * @param homeDir home directory of the user, for files that outlive the install
+ */
+export function defaultConfig(
+  projectRoot: string,
+  homeDir = os.homedir()
+): ServerConfig {
+  return {
+    apiUrl: "http://127.0.0.1:7888",
+    apiType: "drawthings",
+    timeoutMs: 300000,
+    retries: 2,
+    healthCheckIntervalMs: 30000,
+    outputDir: path.resolve(projectRoot, "..", "images"),
+    outputSubdir: "assets/generated",
+    filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+    logDir: path.join(projectRoot, "logs"),
+    historyFile: path.join(homeDir, ".draw-things-mcp", "history.jsonl"),
+    returnImages: false,
+    previewMaxSize: 512,
+    previewFormat: "jpeg",
+    queueConcurrency: 1,
+    debug: false,
+    transport: "stdio",
+    httpHost: "127.0.0.1",
+    httpPort: 8788,
+  };
+}
+
+// convert a raw flag, env or file value, relative paths resolve against baseDir
+function parseValue(
+  spec: OptionSpec,
+  raw: unknown,
+  source: string,
+  baseDir: string
+): ServerConfig[ConfigKey] {
+  const invalid = (expected: string) =>
+    new Error(`${source}: ${spec.key} must be ${expected}, got ${JSON.stringify(raw)}`);
+
+  switch (spec.type) {
+    case "boolean":
+      if (typeof raw === "boolean") {
+        return raw;
+      }
+      if (raw === "true" || raw === "1") {
+        return true;
+      }
+      if (raw === "false" || raw === "0") {
+        return false;
+      }
+      throw invalid("true or false");
+    case "integer": {
+      const value = typeof raw === "string" && raw.trim() ? Number(raw) : raw;
+      if (
+        typeof value !== "number" ||
+        !Number.isInteger(value) ||
+        value < (spec.min ?? -Infinity) ||
+        value > (spec.max ?? Infinity)
+      ) {
+        throw invalid(
+          spec.max === undefined
+            ? `an integer >= ${spec.min}`
+            : `an integer from ${spec.min} to ${spec.max}`
+        );
+      }
+      return value;
+    }
+    case "choice":
+      if (typeof raw !== "string" || !spec.choices?.includes(raw)) {
+        throw invalid(
+          (spec.choices || []).map((choice) => JSON.stringify(choice)).join(" or ")
+        );
+      }
+      return raw;
+    case "url":
+      try {
+        return new URL(String(raw)).toString().replace(/\/$/, "");
+      } catch (error) {
+        throw invalid("a URL such as http://127.0.0.1:7888");
+      }
+    case "subdir":
+      if (
+        typeof raw !== "string" ||
+        !raw ||
+        path.isAbsolute(raw) ||
+        raw.split(/[\\/]/).includes("..")
+      ) {
+        throw invalid("a relative path inside the workspace");
+      }
+      return path.normalize(raw);
+    case "template":
+      if (typeof raw !== "string" || !raw) {
+        throw invalid("a file name template");
+      }
+      try {
+        validateFilenameTemplate(raw);
+      } catch (error) {
+        throw new Error(
+          `${source}: ${spec.key}: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+      }
+      return raw;
+    case "path":
+      if (typeof raw !== "string" || !raw) {
+        throw invalid("a path");
+      }
+      return path.resolve(baseDir, raw);
+    case "backends":
+      try {
+        return parseBackendConfigs(raw);
+      } catch (error) {
+        throw new Error(
+          `${source}: ${spec.key}: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+      }
+    default:
+      if (typeof raw !== "string" || !raw) {
+        throw invalid("a non-empty string");
+      }
+      return raw;
+  }
+}
+
+// split argv into flag values, booleans accept --flag, --no-flag and --flag=false
+function parseArgs(argv: string[]): {
+  values: Map<string, string | boolean>;
+  help: boolean;
+} {
+  const values = new Map<string, string | boolean>();
+  const knownFlags = new Map(optionSpecs.map((spec) => [spec.flag, spec]));
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      help = true;
+      continue;
+    }
+
+    const [name, inlineValue] = arg.split(/=(.*)/s, 2);
+    const negated = name.startsWith("--no-") ? `--${name.slice(5)}` : undefined;
+    if (negated && knownFlags.get(negated)?.type === "boolean") {
+      values.set(negated, false);
+      continue;
+    }
+
+    const spec = knownFlags.get(name);
+    if (!spec && name !== CONFIG_FLAG) {
+      throw new Error(`unknown option ${name}, see --help`);
+    }
+
+    if (inlineValue !== undefined) {
+      values.set(name, inlineValue);
+    } else if (spec?.type === "boolean") {
+      values.set(name, true);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      values.set(name, argv[++i]);
+    } else {
+      throw new Error(`option ${name} needs a value`);
+    }
+  }
+
+  return { values, help };
+}
+
+// pick the config file and read it
+function readConfigFile(
+  explicitPath: string | undefined,
+  cwd: string,
+  homeDir: string
+): { filePath?: string; data: Record<string, unknown> } {
+  const candidates = explicitPath
+    ? [path.resolve(cwd, explicitPath)]
+    : [path.join(cwd, CONFIG_FILE_NAME), path.join(homeDir, CONFIG_FILE_NAME)];
+  const filePath = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!filePath) {
+    if (explicitPath) {
+      throw new Error(`config file not found: ${candidates[0]}`);
+    }
+    return { data: {} };
+  }
+
+  let data: unknown;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `invalid JSON in ${filePath}: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${filePath} must contain a JSON object`);
+  }
+
+  const knownKeys = optionSpecs.map((spec) => spec.key as string);
+  const unknownKeys = Object.keys(data).filter((key) => !knownKeys.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(
+      `${filePath}: unknown option(s) ${unknownKeys.join(", ")}, expected: ${knownKeys.join(", ")}`
+    );
+  }
+
+  return { filePath, data: data as Record<string, unknown> };
+}
+
+/**
+ * resolve the configuration from CLI flags, env vars, config file and defaults
+ * throws when a value is invalid, naming the option and where it came from
+ */
+export function loadConfig({
+  argv = process.argv.slice(2),
+  env = process.env,
+  cwd = process.cwd(),
+  homeDir = os.homedir(),
+  projectRoot,
+}: {
+  argv?: string[];
+  env?: NodeJS.ProcessEnv;
+  cwd?: string;
+  homeDir?: string;
+  projectRoot: string;
+}): ResolvedConfig {
+  const args = parseArgs(argv);
+  const explicitConfig =
+    (args.values.get(CONFIG_FLAG) as string | undefined) || env[CONFIG_ENV];
+  const file = readConfigFile(explicitConfig, cwd, homeDir);
+
+  const config: Record<string, unknown> = {
+    ...defaultConfig(projectRoot, homeDir),
+  };
+  const sources = Object.fromEntries(
+    optionSpecs.map((spec) => [spec.key, "default"])
+  ) as Record<ConfigKey, string>;
+
+  for (const spec of optionSpecs) {
+    let raw: unknown;
+    let source: string | undefined;
+    let baseDir = cwd;
+
+    if (args.values.has(spec.flag)) {
+      raw = args.values.get(spec.flag);
+      source = spec.flag;
+    } else if (env[spec.env] !== undefined && env[spec.env] !== "") {
+      raw = env[spec.env];
+      source = `env ${spec.env}`;
+    } else if (file.filePath && file.data[spec.key] !== undefined) {
+      raw = file.data[spec.key];
+      source = file.filePath;
+      baseDir = path.dirname(file.filePath);
+    } else if (spec.key === "apiUrl" && env[LEGACY_PORT_ENV]) {
+      raw = `http://127.0.0.1:${env[LEGACY_PORT_ENV]}`;
+      source = `env ${LEGACY_PORT_ENV}`;
+    }
+
+    if (source !== undefined) {
+      config[spec.key] = parseValue(spec, raw, source, baseDir);
+      sources[spec.key] = source;
+    }
+  }
+
+  return {
+    config: config as unknown as ServerConfig,
+    sources,
+    configFile: file.filePath,
+    help: args.help,
+  };
+}
+
+/**
+ * describe the resolved configuration, one option per line with its source
+ */
+export function formatConfig({ config, sources, configFile }: ResolvedConfig): string {
+  const lines = optionSpecs.map((spec) => {
+    const value =
+      spec.secret && config[spec.key] !== undefined
+        ? "(set)"
+        : spec.type === "backends" && config.backends
+        ? config.backends
+            .map((backend) =>
+              `${backend.name} ${backend.url}${backend.type ? ` (${backend.type})` : ""}`
+            )
+            .join(", ")
+        : config[spec.key];
+    return `    ${spec.key}: ${value ?? "(not set)"} [${sources[spec.key]}]`;
+  });
+  return [`Config file: ${configFile || "none"}`, ...lines].join("\n");
+}
+
+/**
+ * usage text for --help
+ */
+export function formatUsage(): string {
+  const lines = optionSpecs.map(
+    (spec) =>
+      `  ${`${spec.flag}${spec.type === "boolean" ? "" : " <value>"}`.padEnd(28)} ${
+        spec.description
+      } (env ${spec.env}, config "${spec.key}")`
+  );
+  return [
+    "Usage: draw-things-mcp [options]",
+    "",
+    "Options (flags override env vars, env vars override the config file):",
+    `  ${`${CONFIG_FLAG} <path>`.padEnd(28)} JSON config file (env ${CONFIG_ENV}, default ./${CONFIG_FILE_NAME} or ~/${CONFIG_FILE_NAME})`,
+    ...lines,
+    `  ${"--help".padEnd(28)} Show this help`,
+  ].join("\n");
+}
@@ -66,6 +66,12 @@ export const defaultParams: ImageGenerationParams = {
   fps: 5,
   refiner_start: 0.8500000238418579,
   height: 512,
-  prompt: "A cute koala sitting on a eucalyptus tree, watercolor style, beautiful lighting, detailed",
   negative_prompt: "deformed, distorted, unnatural pose, extra limbs, blurry, low quality, ugly, bad anatomy, poor details, mutated, text, watermark"
-}; 
\ No newline at end of file
+}; 
+
+// Default denoising strength for img2img, the global default of 1 would ignore the source image
+export const defaultTransformStrength = 0.6;
+
+// Factor for upscaling an existing image when none is passed or configured,
+// the default upscaler depends on the backend
+export const defaultUpscaleFactor = 2;
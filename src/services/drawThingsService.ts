@@ -1,13 +1,82 @@
-import { defaultParams } from "./defaultParams.js";
 import {
+  defaultParams,
+  defaultTransformStrength,
+  defaultUpscaleFactor,
+} from "./defaultParams.js";
+import {
+  assertValidParams,
   ImageGenerationParams,
-  validateImageGenerationParams,
+  InvalidParamsError,
 } from "./schemas.js";
-import axios, { AxiosInstance } from "axios";
+import { AxiosInstance } from "axios";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { DrawThingsGenerationResult } from "../../interfaces/index.js";
+import {
+  BackendConfig,
+  BackendStatus,
+  BackendType,
+  DrawThingsGenerationResult,
+  GenerationOptions,
+  HistoryEntry,
+  LoraInfo,
+  ModelInfo,
+  SamplerInfo,
+} from "../interfaces/index.js";
+import { unknownValueMessage } from "./suggest.js";
+import { HistoryStore } from "./historyStore.js";
+import { randomUUID } from "crypto";
+import { embedGenerationMetadata } from "./imageMetadata.js";
+import {
+  DEFAULT_FILENAME_TEMPLATE,
+  isInsideDirectory,
+  renderFilename,
+  uniqueFilePath,
+} from "./outputPaths.js";
+import { formatForFileName, postProcessImage } from "./postProcess.js";
+import { stripDataUri } from "./imageInput.js";
+import { readImageSize } from "./png.js";
+import {
+  detectModelProfile,
+  highResolutionParams,
+  ModelProfile,
+  parseAspectRatio,
+  sizeForAspectRatio,
+} from "./modelProfiles.js";
+import {
+  AdapterGenerationResult,
+  BackendAdapter,
+  delay,
+  GenerationKind,
+} from "./adapters/index.js";
+import {
+  Backend,
+  BackendPool,
+  backoffDelay,
+  isConnectionError,
+  isFailoverError,
+  isRetryableError,
+} from "./backendPool.js";
+
+// how long model, sampler and LoRA lists are cached
+const CATALOG_CACHE_TTL_MS = 60000;
+// high_resolution without a size renders this many times the native pixels
+const HIGH_RESOLUTION_PIXEL_SCALE = 4;
+
+// the lists every backend adapter provides
+type CatalogName = "listModels" | "listSamplers" | "listLoras";
+type CatalogItem<K extends CatalogName> = Awaited<
+  ReturnType<BackendAdapter[K]>
+>[number];
+
+// filter for catalogs merged from several backends, keeps the first entry of each name
+function isFirstByName(
+  item: { name: string },
+  index: number,
+  items: { name: string }[]
+): boolean {
+  return items.findIndex((other) => other.name === item.name) === index;
+}
 
 /**
  * simplified DrawThingsService
@@ -18,82 +87,245 @@ export class DrawThingsService {
   public baseUrl: string;
   // change to public axios for compatibility
   public axios: AxiosInstance;
+  // the Draw Things servers generations are routed to, baseUrl and axios
+  // belong to the first one
+  public backends: BackendPool;
+  // short-lived cache for the model, sampler and LoRA lists, keyed by backend and list
+  private catalogCache = new Map<string, { expiresAt: number; value: any[] }>();
+  // directory generated images are saved to
+  public imagesDir: string;
+  // record of every saved image
+  public history: HistoryStore;
+  // server-wide overrides of defaultParams, e.g. the configured default model
+  private defaultOverrides: Partial<ImageGenerationParams>;
+  // file name template of saved images, see renderFilename
+  public filenameTemplate: string;
+  // how often a generation is sent again when no backend could be reached
+  public retries: number;
+  private retryDelayMs?: number;
+  // when the service was created, for the uptime in getStatus
+  public readonly startedAt = new Date();
+  // timer of the periodic health probe, see startHealthMonitor
+  private healthMonitor?: NodeJS.Timeout;
+  public healthCheckIntervalMs = 0;
 
-  constructor(apiUrl = "http://127.0.0.1:7888") {
-    this.baseUrl = apiUrl;
-
-    // initialize axios
-    this.axios = axios.create({
-      baseURL: this.baseUrl,
-      timeout: 300000, // 5 minutes timeout (image generation may take time)
-      headers: {
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
-    });
+  /**
+   * @param apiUrl Draw Things API URL
+   * @param options.imagesDir directory generated images are saved to
+   * @param options.historyFile generation history, next to imagesDir by default
+   * @param options.timeoutMs generation request timeout
+   * @param options.defaults params merged over defaultParams
+   * @param options.filenameTemplate file name template of saved images
+   * @param options.apiType API the apiUrl server speaks, Draw Things by default
+   * @param options.backends several servers, replaces apiUrl and apiType
+   * @param options.retries retries of a generation no backend could take, default 2
+   * @param options.retryDelayMs delay cap of the first retry, doubled for each one after
+   * @param options.failureThreshold failures in a row that open a backend's circuit
+   * @param options.cooldownMs how long a failed backend is skipped
+   */
+  constructor(
+    apiUrl = "http://127.0.0.1:7888",
+    options: {
+      imagesDir?: string;
+      historyFile?: string;
+      timeoutMs?: number;
+      defaults?: Partial<ImageGenerationParams>;
+      filenameTemplate?: string;
+      apiType?: BackendType;
+      backends?: BackendConfig[];
+      retries?: number;
+      retryDelayMs?: number;
+      failureThreshold?: number;
+      cooldownMs?: number;
+    } = {}
+  ) {
+    this.backends = new BackendPool(
+      options.backends?.length
+        ? options.backends
+        : [{ url: apiUrl, type: options.apiType }],
+      {
+        timeoutMs: options.timeoutMs,
+        failureThreshold: options.failureThreshold,
+        cooldownMs: options.cooldownMs,
+      }
+    );
+    this.retries = options.retries ?? 2;
+    this.retryDelayMs = options.retryDelayMs;
+    this.baseUrl = this.backends.primary.url;
+    this.defaultOverrides = options.defaults || {};
+    this.filenameTemplate =
+      options.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+
+    const __filename = fileURLToPath(import.meta.url);
+    // Get directory name
+    const __dirname = path.dirname(__filename);
+    const projectRoot: string = path.resolve(__dirname, "..");
+    this.imagesDir =
+      options.imagesDir || path.resolve(projectRoot, "..", "images");
+    this.history = new HistoryStore(
+      options.historyFile ||
+        path.join(path.dirname(this.imagesDir), "draw-things-history.jsonl")
+    );
+
+    // the first backend's client, kept for compatibility
+    this.axios = this.backends.primary.adapter.axios;
 
     // log initialization
     console.error(
-      `DrawThingsService initialized, API location: ${this.baseUrl}`
+      `DrawThingsService initialized, API location: ${this.backends.backends
+        .map((backend) => `${backend.name} ${backend.url}`)
+        .join(", ")}`
     );
   }
 
   /**
-   * Set new base URL and update axios instance
+   * Set new base URL of the first backend and update its axios instance
    * @param url new base URL
    */
   setBaseUrl(url: string): void {
     this.baseUrl = url;
+    this.backends.primary.url = url;
     this.axios.defaults.baseURL = url;
+    this.catalogCache.clear();
     console.error(`Updated API base URL to: ${url}`);
   }
 
   /**
-   * check API connection
-   * simplified version that just checks if API is available
+   * check API connection of every backend and update their health
+   * @returns whether at least one backend answered
    */
   async checkApiConnection(): Promise<boolean> {
+    const results = await Promise.all(
+      this.backends.backends.map((backend) => this.checkBackendConnection(backend))
+    );
+    return results.some(Boolean);
+  }
+
+  // simplified version that just checks if the API of one backend is available
+  // quiet checks only log when the backend goes up or down
+  private async checkBackendConnection(
+    backend: Backend,
+    quiet = false
+  ): Promise<boolean> {
+    const wasHealthy = backend.healthy;
+    backend.lastCheckAt = Date.now();
     try {
-      console.error(`Checking API connection to: ${this.baseUrl}`);
+      if (!quiet) {
+        console.error(`Checking API connection to: ${backend.url}`);
+      }
 
       // Try simple endpoint with short timeout
-      const response = await this.axios.get("/sdapi/v1/options", {
-        timeout: 5000,
-        validateStatus: (status) => status >= 200,
-      });
+      await backend.adapter.checkConnection();
 
-      const isConnected = response.status >= 200;
-      console.error(
-        `API connection check: ${isConnected ? "Success" : "Failed"}`
-      );
-      return isConnected;
+      if (!quiet || !wasHealthy) {
+        console.error(`API connection check (${backend.name}): Success`);
+      }
+      this.backends.markHealthy(backend);
+      return true;
     } catch (error) {
-      console.error(`API connection check failed: ${(error as Error).message}`);
+      if (!quiet || wasHealthy) {
+        console.error(
+          `API connection check (${backend.name}) failed: ${(error as Error).message}`
+        );
+      }
+      this.backends.markUnhealthy(backend, error);
       return false;
     }
   }
 
+  /**
+   * probe every backend periodically, so a backend that went away is known
+   * before a generation needs it, and one that came back closes its circuit
+   * without waiting for the cooldown
+   * @param intervalMs time between probes, 0 turns the probe off
+   */
+  startHealthMonitor(intervalMs: number): void {
+    this.stopHealthMonitor();
+    this.healthCheckIntervalMs = intervalMs;
+    if (intervalMs <= 0) {
+      return;
+    }
+    let probing = false;
+    this.healthMonitor = setInterval(async () => {
+      // a probe of an unreachable backend can take longer than the interval
+      if (probing) {
+        return;
+      }
+      probing = true;
+      try {
+        await Promise.all(
+          this.backends.backends.map((backend) =>
+            this.checkBackendConnection(backend, true)
+          )
+        );
+      } finally {
+        probing = false;
+      }
+    }, intervalMs);
+    // the probe alone must not keep the process running
+    this.healthMonitor.unref();
+  }
+
+  /**
+   * stop the periodic health probe
+   */
+  stopHealthMonitor(): void {
+    if (this.healthMonitor) {
+      clearInterval(this.healthMonitor);
+      this.healthMonitor = undefined;
+    }
+    this.healthCheckIntervalMs = 0;
+  }
+
+  /**
+   * health of the service and every backend
+   * @returns ok when every backend is healthy, degraded when some are,
+   * unavailable when none is
+   */
+  getStatus(): {
+    status: "ok" | "degraded" | "unavailable";
+    startedAt: string;
+    uptimeSeconds: number;
+    healthCheckIntervalMs: number;
+    retries: number;
+    backends: BackendStatus[];
+  } {
+    const backends = this.backends.status();
+    const healthy = backends.filter((backend) => backend.healthy).length;
+    return {
+      status:
+        healthy === backends.length
+          ? "ok"
+          : healthy > 0
+          ? "degraded"
+          : "unavailable",
+      startedAt: this.startedAt.toISOString(),
+      uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+      healthCheckIntervalMs: this.healthCheckIntervalMs,
+      retries: this.retries,
+      backends,
+    };
+  }
+
   // Helper function to save images to the file system
   async saveImage({
     base64Data,
     outputPath,
-    fileName
+    fileName,
+    signal
   }: {
     base64Data: string;
     outputPath?: string;
     fileName?: string;
+    signal?: AbortSignal;
   }): Promise<string> {
-    const __filename = fileURLToPath(import.meta.url);
-    // Get directory name
-    const __dirname = path.dirname(__filename);
-    const projectRoot: string = path.resolve(__dirname, "..");
+    let absolutePath: string | undefined;
     
     try {
       // if no output path provided, use default path
       const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
       const defaultFileName = fileName || `generated-image-${timestamp}.png`;
-      const defaultImagesDir = path.resolve(projectRoot, "..", "images");
-      const finalOutputPath = outputPath || path.join(defaultImagesDir, defaultFileName);
+      const finalOutputPath = outputPath || path.join(this.imagesDir, defaultFileName);
       
       // ensure the images directory exists
       const imagesDir = path.dirname(finalOutputPath);
@@ -104,10 +336,14 @@ export class DrawThingsService {
       const cleanBase64 = base64Data.replace(/^data:image\/\w+;base64,/, "");
       const buffer = Buffer.from(cleanBase64, "base64");
 
-      const absolutePath = path.resolve(finalOutputPath);
-      await fs.promises.writeFile(absolutePath, buffer);
+      absolutePath = path.resolve(finalOutputPath);
+      await fs.promises.writeFile(absolutePath, buffer, { signal });
       return absolutePath;
     } catch (error) {
+      // don't leave a partially written file behind
+      if (absolutePath) {
+        await fs.promises.rm(absolutePath, { force: true }).catch(() => {});
+      }
       console.error(
         `Failed to save image: ${
           error instanceof Error ? error.message : String(error)
@@ -121,108 +357,744 @@ export class DrawThingsService {
   }
 
   /**
-   * get default params
+   * ask Draw Things to stop the image it is currently rendering
+   * @param backend the backend rendering it, the first one by default
+   * @returns whether the interrupt request was accepted
+   */
+  async interrupt(backend: Backend = this.backends.primary): Promise<boolean> {
+    try {
+      await backend.adapter.interrupt();
+      console.error(`sent interrupt to ${backend.type} API (${backend.name})`);
+      return true;
+    } catch (error) {
+      console.error(
+        `interrupt request failed: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * fetch a list of one backend, cached for a short time
+   * @param backend backend to ask
+   * @param catalog which list
+   * @param refresh bypass the cache
+   */
+  private async fetchBackendCatalog<K extends CatalogName>(
+    backend: Backend,
+    catalog: K,
+    refresh = false
+  ): Promise<CatalogItem<K>[]> {
+    const cacheKey = `${backend.name}:${catalog}`;
+    const cached = this.catalogCache.get(cacheKey);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const value = (await backend.adapter[catalog]()) as CatalogItem<K>[];
+    this.catalogCache.set(cacheKey, {
+      expiresAt: Date.now() + CATALOG_CACHE_TTL_MS,
+      value,
+    });
+    return value;
+  }
+
+  /**
+   * fetch a list of every backend, in configured order, without duplicates
+   * backends that fail are left out, it only throws when all of them fail
+   * @param catalog which list
+   * @param refresh bypass the cache
+   */
+  private async fetchCatalog<K extends CatalogName>(
+    catalog: K,
+    refresh = false
+  ): Promise<CatalogItem<K>[]> {
+    // backends with an open circuit are skipped, it throws when all are
+    const results = await Promise.allSettled(
+      this.backends.available().map((backend) =>
+        this.fetchBackendCatalog(backend, catalog, refresh)
+      )
+    );
+    const lists = results.flatMap((result) =>
+      result.status === "fulfilled" ? [result.value] : []
+    );
+    if (lists.length === 0) {
+      throw (results[0] as PromiseRejectedResult).reason;
+    }
+    return lists.flat().filter(isFirstByName);
+  }
+
+  /**
+   * list the models (checkpoints) available on the server
+   * @param refresh bypass the cache
+   */
+  async listModels(refresh = false): Promise<ModelInfo[]> {
+    const models = await this.fetchCatalog("listModels", refresh);
+    return models.map((info) => {
+      const family = detectModelProfile(info.name)?.family;
+      return family ? { ...info, family } : info;
+    });
+  }
+
+  /**
+   * list the samplers available on the server
+   * @param refresh bypass the cache
    */
-  getDefaultParams(): ImageGenerationParams {
-    return defaultParams;
+  async listSamplers(refresh = false): Promise<SamplerInfo[]> {
+    return this.fetchCatalog("listSamplers", refresh);
+  }
+
+  /**
+   * list the LoRAs available on the server
+   * @param refresh bypass the cache
+   */
+  async listLoras(refresh = false): Promise<LoraInfo[]> {
+    return this.fetchCatalog("listLoras", refresh);
+  }
+
+  /**
+   * check model, sampler and loras params against the server's lists
+   * lists that cannot be fetched are skipped, so generation still works
+   * against servers without the listing endpoints
+   * @param params user provided params
+   * @returns one message per unknown value, empty when everything is known
+   */
+  async validateCatalogParams(
+    params: Partial<ImageGenerationParams>
+  ): Promise<string[]> {
+    const errors: string[] = [];
+
+    const tryList = async <T>(list: () => Promise<T[]>): Promise<T[] | null> => {
+      try {
+        return await list();
+      } catch (error) {
+        console.error(
+          `catalog lookup failed, skip validation: ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+        return null;
+      }
+    };
+
+    if (params.model) {
+      const models = await tryList(() => this.listModels());
+      if (models) {
+        const names = models.map((model) => model.name);
+        const known = models.some(
+          (model) => model.name === params.model || model.title === params.model
+        );
+        if (!known) {
+          errors.push(
+            unknownValueMessage("model", params.model, names, "listModels")
+          );
+        }
+      }
+    }
+
+    if (params.sampler) {
+      const samplers = await tryList(() => this.listSamplers());
+      if (samplers) {
+        const known = samplers.some(
+          (sampler) =>
+            sampler.name === params.sampler ||
+            sampler.aliases?.includes(params.sampler as string)
+        );
+        if (!known) {
+          errors.push(
+            unknownValueMessage(
+              "sampler",
+              params.sampler,
+              samplers.map((sampler) => sampler.name),
+              "listSamplers"
+            )
+          );
+        }
+      }
+    }
+
+    if (Array.isArray(params.loras) && params.loras.length > 0) {
+      const loras = await tryList(() => this.listLoras());
+      if (loras) {
+        const names = loras.map((lora) => lora.name);
+        for (const lora of params.loras) {
+          const known = loras.some(
+            (candidate) =>
+              candidate.name === lora.file || candidate.alias === lora.file
+          );
+          if (!known) {
+            errors.push(
+              unknownValueMessage("LoRA", lora.file, names, "listLoras")
+            );
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * check that an upscale has an upscaler to run
+   * upscaler names differ between servers, so without one every backend the
+   * request may go to needs a default of its own
+   * @param params user provided params
+   * @returns one message per backend without a default, empty when fine
+   */
+  validateUpscaleParams(params: Partial<ImageGenerationParams>): string[] {
+    if (params.upscaler || this.getDefaultParams(params.model).upscaler) {
+      return [];
+    }
+    const model = params.model || this.getDefaultParams().model;
+    return this.backends.backends
+      .filter(
+        (backend) =>
+          !backend.adapter.defaultUpscaler &&
+          (!model || !backend.models || backend.models.includes(model))
+      )
+      .map(
+        (backend) =>
+          `backend ${backend.name} (${backend.type}) has no default upscaler, pass upscaler with the name of one of its upscale models`
+      );
+  }
+
+  /**
+   * get default params, with the recommended params of the model's family
+   * @param model model file name, the default model when unset
+   */
+  getDefaultParams(model?: string | null): ImageGenerationParams {
+    const profile = detectModelProfile(
+      model || this.defaultOverrides.model || defaultParams.model
+    );
+    return { ...defaultParams, ...profile?.params, ...this.defaultOverrides };
   }
 
   /**
    * generate image
    * @param inputParams user provided params
+   * @param options per-request options
    */
   async generateImage(
-    inputParams: Partial<ImageGenerationParams> = {}
+    inputParams: Partial<ImageGenerationParams> = {},
+    options: GenerationOptions = {}
+  ): Promise<DrawThingsGenerationResult> {
+    const requestParams = this.prepareParams(inputParams);
+    return this.requestImage("txt2img", requestParams, options);
+  }
+
+  /**
+   * transform an existing image (img2img)
+   * @param inputParams user provided params
+   * @param initImage base64 encoded source image
+   * @param options per-request options
+   */
+  async transformImage(
+    inputParams: Partial<ImageGenerationParams>,
+    initImage: string,
+    options: GenerationOptions = {}
   ): Promise<DrawThingsGenerationResult> {
+    const requestParams = {
+      ...this.prepareParams({
+        strength: defaultTransformStrength,
+        ...inputParams,
+      }),
+      init_images: [initImage],
+    };
+    return this.requestImage("img2img", requestParams, options);
+  }
+
+  /**
+   * repaint the masked area of an existing image (inpainting)
+   * mask_blur, mask_blur_outset and preserve_original_after_inpaint
+   * come from the defaults unless overridden
+   * @param inputParams user provided params
+   * @param initImage base64 encoded source image
+   * @param mask base64 encoded mask, white marks the area to repaint
+   * @param options per-request options
+   */
+  async inpaintImage(
+    inputParams: Partial<ImageGenerationParams>,
+    initImage: string,
+    mask: string,
+    options: GenerationOptions = {}
+  ): Promise<DrawThingsGenerationResult> {
+    const requestParams = {
+      ...this.prepareParams(inputParams),
+      init_images: [initImage],
+      mask,
+    };
+    return this.requestImage("img2img", requestParams, options);
+  }
+
+  /**
+   * upscale an existing image with an upscaler model, keeping its content
+   * the source goes out at its size rounded to 64 pixel units, so the result
+   * is resized to exactly upscaler_scale times the source size
+   * @param inputParams upscaler and upscaler_scale, the prompt names the file
+   * @param initImage base64 encoded source image, PNG or JPEG
+   * @param options per-request options
+   */
+  async upscaleImage(
+    inputParams: Partial<ImageGenerationParams>,
+    initImage: string,
+    options: GenerationOptions = {}
+  ): Promise<DrawThingsGenerationResult> {
+    let source: { width: number; height: number };
     try {
-      // handle input params
-      let params: Partial<ImageGenerationParams> = {};
+      source = readImageSize(Buffer.from(stripDataUri(initImage), "base64"));
+    } catch (error) {
+      throw new InvalidParamsError([
+        {
+          field: "image",
+          message: error instanceof Error ? error.message : String(error),
+        },
+      ]);
+    }
 
-      // validate params
-      try {
-        const validationResult = validateImageGenerationParams(inputParams);
-        if (validationResult.valid) {
-          params = inputParams;
-        } else {
-          console.error("parameter validation failed, use default params");
-        }
-      } catch (error) {
-        console.error("parameter validation error:", error);
-      }
+    const upscalerErrors = this.validateUpscaleParams(inputParams);
+    if (upscalerErrors.length > 0) {
+      throw new InvalidParamsError(
+        upscalerErrors.map((message) => ({ field: "upscaler", message }))
+      );
+    }
 
-      // handle random_string special case
-      if (
-        params.random_string &&
-        (!params.prompt || Object.keys(params).length === 1)
-      ) {
-        params.prompt = params.random_string;
-        delete params.random_string;
-      }
+    const defaults = this.getDefaultParams(inputParams.model);
+    const snap = (value: number) => Math.max(64, Math.round(value / 64) * 64);
+    const requestParams = {
+      ...this.prepareParams({
+        ...inputParams,
+        // the prompt only names the saved file
+        prompt: inputParams.prompt || "image upscaled",
+        // each backend falls back to its own upscaler when unset
+        upscaler: inputParams.upscaler || defaults.upscaler || undefined,
+        upscaler_scale:
+          inputParams.upscaler_scale ||
+          defaults.upscaler_scale ||
+          defaultUpscaleFactor,
+        width: snap(source.width),
+        height: snap(source.height),
+        // no denoising, the upscaler alone runs
+        strength: 0,
+        hires_fix: false,
+        batch_size: 1,
+        batch_count: 1,
+      }),
+      init_images: [initImage],
+    };
+
+    // a size asked for by the caller wins over the exact scale
+    const scale = requestParams.upscaler_scale as number;
+    const resized =
+      options.postProcess?.width !== undefined ||
+      options.postProcess?.height !== undefined;
+    if (
+      !resized &&
+      (requestParams.width !== source.width ||
+        requestParams.height !== source.height)
+    ) {
+      options = {
+        ...options,
+        postProcess: {
+          ...options.postProcess,
+          width: source.width * scale,
+          height: source.height * scale,
+          fit: "fill",
+        },
+      };
+    }
+    return this.requestImage("upscale", requestParams, options);
+  }
+
+  /**
+   * width and height for aspect_ratio and megapixels
+   * @param defaults defaults of the model, the native size comes from them
+   * @param profile family of the model, undefined for unknown models
+   * @param aspectRatio e.g. "16:9", the default size's ratio when unset
+   * @param megapixels pixel budget, the family's native size when unset
+   */
+  private resolveAspectRatioSize(
+    defaults: ImageGenerationParams,
+    profile: ModelProfile | undefined,
+    aspectRatio?: string,
+    megapixels?: number
+  ): { width: number; height: number } {
+    let ratio: number;
+    try {
+      ratio =
+        aspectRatio !== undefined
+          ? parseAspectRatio(aspectRatio)
+          : (defaults.width || 1) / (defaults.height || 1);
+    } catch (error) {
+      throw new InvalidParamsError([
+        {
+          field: "aspect_ratio",
+          message: error instanceof Error ? error.message : String(error),
+        },
+      ]);
+    }
+    return sizeForAspectRatio(
+      ratio,
+      megapixels ?? profile?.megapixels ?? 1,
+      profile?.sizeMultiple ?? 64
+    );
+  }
+
+  /**
+   * validate user params and merge them with the defaults
+   * @param inputParams user provided params
+   * @throws InvalidParamsError naming every bad field
+   */
+  private prepareParams(
+    inputParams: Partial<ImageGenerationParams>
+  ): ImageGenerationParams {
+    // invalid params are an error, never replaced by the defaults
+    const { aspect_ratio, megapixels, high_resolution, ...params } =
+      assertValidParams(inputParams);
+    const defaults = this.getDefaultParams(params.model);
+    // the family of the requested model, the defaults only carry its params
+    const profile = detectModelProfile(params.model || defaults.model);
+
+    // a missing prompt is an error, never replaced by a made up one
+    if (!params.prompt?.trim()) {
+      throw new InvalidParamsError([
+        { field: "prompt", message: "prompt is required" },
+      ]);
+    }
 
-      // ensure prompt
-      if (!params.prompt) {
-        params.prompt = inputParams.prompt || defaultParams.prompt;
+    // size from the aspect ratio, in the units of the model family
+    // high_resolution without a size renders at twice the native sides
+    const sizeGiven = params.width !== undefined || params.height !== undefined;
+    if (
+      aspect_ratio !== undefined ||
+      megapixels !== undefined ||
+      (high_resolution && !sizeGiven)
+    ) {
+      if (sizeGiven) {
+        throw new InvalidParamsError([
+          {
+            field: aspect_ratio !== undefined ? "aspect_ratio" : "megapixels",
+            message: "use either aspect_ratio and megapixels, or width and height",
+          },
+        ]);
       }
+      Object.assign(
+        params,
+        this.resolveAspectRatioSize(
+          defaults,
+          profile,
+          aspect_ratio,
+          megapixels ??
+            (high_resolution
+              ? (profile?.megapixels ?? 1) * HIGH_RESOLUTION_PIXEL_SCALE
+              : undefined)
+        )
+      );
+    }
 
-      // merge params
-      const requestParams = {
-        ...defaultParams,
+    // hires fix and tiling for the output size, params passed with the
+    // call still win
+    if (high_resolution) {
+      Object.assign(params, {
+        ...highResolutionParams(
+          params.width ?? defaults.width ?? 512,
+          params.height ?? defaults.height ?? 512,
+          profile?.megapixels ?? 1,
+          profile?.sizeMultiple ?? 64
+        ),
         ...params,
-        seed: params.seed ?? Math.floor(Math.random() * 2147483647),
-      };
+      });
+    }
 
-      console.error(`use prompt: "${requestParams.prompt}"`);
+    // merge params, the defaults include the model family's profile
+    // a negative seed means "pick one", drawn here so every image can be
+    // reproduced from the seed saved with it
+    return {
+      ...defaults,
+      ...params,
+      seed:
+        params.seed !== undefined && params.seed >= 0
+          ? params.seed
+          : Math.floor(Math.random() * 2147483647),
+    };
+  }
 
-      // send request to Draw Things API
-      console.error("send request to Draw Things API...");
-      const response = await this.axios.post(
-        "/sdapi/v1/txt2img",
-        requestParams
+  /**
+   * add one history entry per saved image
+   * history is best effort, a failure to write it doesn't fail the generation
+   * @returns history ids, in the same order as imagePaths
+   */
+  private async recordHistory(
+    kind: GenerationKind,
+    requestParams: ImageGenerationParams,
+    imagePaths: string[],
+    seeds: number[],
+    inferenceTimeMs: number,
+    backend: string
+  ): Promise<string[]> {
+    // don't store the base64 source image and mask in the history
+    const { init_images, mask, ...params } = requestParams;
+    const entryKind: HistoryEntry["kind"] = mask ? "inpaint" : kind;
+
+    const ids: string[] = [];
+    try {
+      for (let i = 0; i < imagePaths.length; i++) {
+        const entry: HistoryEntry = {
+          id: randomUUID(),
+          createdAt: new Date().toISOString(),
+          kind: entryKind,
+          prompt: params.prompt as string,
+          negative_prompt: params.negative_prompt,
+          seed: seeds[i],
+          model: params.model,
+          sampler: params.sampler,
+          width: params.width,
+          height: params.height,
+          steps: params.steps,
+          guidance_scale: params.guidance_scale,
+          inference_time_ms: inferenceTimeMs,
+          backend,
+          imagePath: imagePaths[i],
+          params: { ...params, seed: seeds[i] },
+        };
+        await this.history.append(entry);
+        ids.push(entry.id);
+      }
+    } catch (error) {
+      console.error(
+        `Failed to record generation history: ${
+          error instanceof Error ? error.message : String(error)
+        }`
       );
+    }
+    return ids;
+  }
 
-      // handle response
-      if (
-        !response.data ||
-        !response.data.images ||
-        response.data.images.length === 0
-      ) {
-        throw new Error("API did not return image data");
+  /**
+   * send a generation request and save the returned image
+   * @param kind txt2img or img2img
+   * @param requestParams fully merged request params
+   * @param options per-request options
+   */
+  private async requestImage(
+    kind: GenerationKind,
+    requestParams: ImageGenerationParams,
+    options: GenerationOptions = {}
+  ): Promise<DrawThingsGenerationResult> {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return {
+        isError: true,
+        cancelled: true,
+        errorMessage: "image generation cancelled",
+      };
+    }
+
+    // the backend rendering the image, set once one is picked
+    let backend: Backend | undefined;
+    const triedBackends: string[] = [];
+
+    // stop the render on the server as soon as the caller gives up
+    const onAbort = () => {
+      if (backend) {
+        void this.interrupt(backend);
       }
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
 
-      // handle image data
-      const imageData = response.data.images[0];
+    const imagePaths: string[] = [];
+
+    try {
+      console.error(`use prompt: "${requestParams.prompt}"`);
+
+      // record the start time of image generation
+      const startTime = Date.now();
+
+      // send request to Draw Things API, failing over to the next backend
+      // when one refuses or times out, and trying all of them again after a
+      // backoff when none could be reached
+      let generated: AdapterGenerationResult | undefined;
+      for (let attempt = 0; !generated; attempt++) {
+        // throws once every backend for the model has its circuit open
+        const candidates = this.backends.candidates(requestParams.model);
+        let lastError: unknown;
+        for (const candidate of candidates) {
+          backend = candidate;
+          if (!triedBackends.includes(candidate.name)) {
+            triedBackends.push(candidate.name);
+          }
+          console.error(
+            `send request to ${candidate.type} API (${kind}, ${candidate.name})...`
+          );
+          try {
+            generated = await candidate.adapter.generate(kind, requestParams, {
+              signal,
+              onProgress: options.onProgress,
+              includePreviews: options.includePreviews,
+              progressIntervalMs: options.progressIntervalMs,
+            });
+            this.backends.markHealthy(candidate);
+            break;
+          } catch (error) {
+            if (isConnectionError(error)) {
+              this.backends.markUnhealthy(candidate, error);
+            }
+            if (signal?.aborted || !isFailoverError(error)) {
+              throw error;
+            }
+            lastError = error;
+            if (candidate !== candidates[candidates.length - 1]) {
+              console.error(
+                `backend ${candidate.name} failed: ${
+                  error instanceof Error ? error.message : String(error)
+                }, failing over`
+              );
+            }
+          }
+        }
+        if (generated) {
+          break;
+        }
+
+        if (attempt >= this.retries || !isRetryableError(lastError)) {
+          throw lastError;
+        }
+        const delayMs = backoffDelay(attempt, this.retryDelayMs);
+        console.error(
+          `no backend could be reached, retrying in ${delayMs} ms (retry ${
+            attempt + 1
+          } of ${this.retries})`
+        );
+        await delay(delayMs, signal);
+        if (signal?.aborted) {
+          throw new Error("image generation cancelled");
+        }
+      }
 
       // format image data
-      const formattedImageData = imageData.startsWith("data:image/")
-        ? imageData
-        : `data:image/png;base64,${imageData}`;
+      const images: string[] = generated!.images.map((imageData: string) =>
+        imageData.startsWith("data:image/")
+          ? imageData
+          : `data:image/png;base64,${imageData}`
+      );
+      const seeds = generated!.seeds;
 
-      console.error("image generation success");
+      console.error(`image generation success, ${images.length} image(s)`);
       
-      // record the start time of image generation
-      const startTime = Date.now() - 2000; // assume the image generation took 2 seconds
       const endTime = Date.now();
       
-      // automatically save the generated image
-      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const defaultFileName = `generated-image-${timestamp}.png`;
-      
-      // save the generated image
-      const imagePath = await this.saveImage({
-        base64Data: formattedImageData,
-        fileName: defaultFileName
-      });
+      // automatically save the generated images
+      const createdAt = new Date();
+      const outputDir = options.outputDir || this.imagesDir;
+      const filenameTemplate = options.filenameTemplate || this.filenameTemplate;
+      for (let i = 0; i < images.length; i++) {
+        if (signal?.aborted) {
+          throw new Error("image generation cancelled");
+        }
+
+        let fileName = renderFilename(filenameTemplate, {
+          prompt: requestParams.prompt || "",
+          seed: seeds[i],
+          index: i + 1,
+          model: requestParams.model,
+          width: requestParams.width,
+          height: requestParams.height,
+          date: createdAt,
+        });
+
+        // resize or convert when asked to, or when the file name is not a PNG
+        let fileData = images[i];
+        const format =
+          options.postProcess?.format || formatForFileName(fileName);
+        if (options.postProcess || format !== "png") {
+          const processed = await postProcessImage(
+            Buffer.from(stripDataUri(images[i]), "base64"),
+            { ...options.postProcess, format }
+          );
+          if (formatForFileName(fileName) !== format) {
+            fileName =
+              fileName.slice(0, fileName.length - path.extname(fileName).length) +
+              processed.extension;
+          }
+          fileData = `data:${processed.mimeType};base64,${processed.data.toString("base64")}`;
+          // returned images stay readable for previews
+          images[i] = processed.pngData
+            ? `data:image/png;base64,${processed.pngData.toString("base64")}`
+            : fileData;
+        }
+
+        // write the params into the image so it can be reproduced later
+        if (format === "png") {
+          try {
+            images[i] = fileData = embedGenerationMetadata(
+              fileData,
+              { ...requestParams, seed: seeds[i] },
+              backend!.name
+            );
+          } catch (error) {
+            console.error(
+              `Failed to embed image metadata: ${
+                error instanceof Error ? error.message : String(error)
+              }`
+            );
+          }
+        }
+
+        const filePath = path.resolve(outputDir, fileName);
+        if (!isInsideDirectory(outputDir, filePath)) {
+          throw new Error(`file name ${fileName} leaves the output directory`);
+        }
+
+        // save the generated image, never overwriting an existing file
+        imagePaths.push(
+          await this.saveImage({
+            base64Data: fileData,
+            outputPath: uniqueFilePath(filePath),
+            signal,
+          })
+        );
+      }
       
+      const historyIds = await this.recordHistory(
+        kind,
+        requestParams,
+        imagePaths,
+        seeds,
+        endTime - startTime,
+        backend!.name
+      );
+
       return {
         isError: false,
-        imageData: formattedImageData,
-        imagePath: imagePath,
+        imageData: images[0],
+        imagePath: imagePaths[0],
+        images,
+        imagePaths,
+        seeds,
+        historyIds,
         metadata: {
           alt: `Image generated from prompt: ${requestParams.prompt}`,
           inference_time_ms: endTime - startTime,
+          backend: backend!.name,
         }
       };
     } catch (error) {
+      if (signal?.aborted) {
+        // drop whatever was already saved for this request
+        await Promise.all(
+          imagePaths.map((imagePath) =>
+            fs.promises.rm(imagePath, { force: true }).catch(() => {})
+          )
+        );
+        console.error("image generation cancelled");
+        return {
+          isError: true,
+          cancelled: true,
+          errorMessage: "image generation cancelled",
+        };
+      }
+
       console.error("image generation error:", error);
 
       // error message
@@ -235,8 +1107,10 @@ export class DrawThingsService {
       // handle axios error
       const axiosError = error as any;
       if (axiosError.response) {
+        // ComfyUI answers with { error: { message } }
+        const apiError = axiosError.response.data?.error;
         errorMessage = `API error: ${axiosError.response.status} - ${
-          axiosError.response.data?.error || axiosError.message
+          apiError?.message || apiError || axiosError.message
         }`;
       } else if (axiosError.code === "ECONNREFUSED") {
         errorMessage =
@@ -245,11 +1119,16 @@ export class DrawThingsService {
         errorMessage =
           "connection to Draw Things API timeout. image generation may take longer, or API not responding.";
       }
+      if (triedBackends.length > 1) {
+        errorMessage += ` (tried backends: ${triedBackends.join(", ")})`;
+      }
 
       return {
         isError: true,
         errorMessage,
       };
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
     }
   }
 }
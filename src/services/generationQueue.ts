@@ -0,0 +1,230 @@
+import { randomUUID } from "crypto";
+import {
+  DrawThingsGenerationResult,
+  GenerationProgress,
+} from "../interfaces/index.js";
+
+/**
+ * in-process FIFO queue in front of DrawThingsService
+ * limits how many generations run against Draw Things at the same time
+ * and keeps track of jobs for the asynchronous job tools
+ */
+
+export type JobStatus =
+  | "queued"
+  | "running"
+  | "succeeded"
+  | "failed"
+  | "cancelled";
+
+export interface GenerationJob {
+  id: string;
+  kind: string; // tool that created the job, e.g. "generateImage"
+  prompt?: string;
+  status: JobStatus;
+  createdAt: string;
+  startedAt?: string;
+  finishedAt?: string;
+  progress?: GenerationProgress;
+  result?: DrawThingsGenerationResult;
+  error?: string;
+}
+
+// controls handed to a job's run function
+export interface JobControl {
+  signal: AbortSignal;
+  onProgress: (progress: GenerationProgress) => void;
+}
+
+export type JobRunner = (
+  control: JobControl
+) => Promise<DrawThingsGenerationResult>;
+
+interface JobEntry {
+  job: GenerationJob;
+  run: JobRunner;
+  controller: AbortController;
+  done: Promise<GenerationJob>;
+  resolve: (job: GenerationJob) => void;
+}
+
+const finishedStatuses: JobStatus[] = ["succeeded", "failed", "cancelled"];
+
+export class GenerationQueue {
+  private entries = new Map<string, JobEntry>();
+  private waiting: string[] = [];
+  private running = 0;
+
+  /**
+   * @param concurrency max number of jobs running at the same time
+   * @param maxFinishedJobs finished jobs kept for status and result lookups
+   */
+  constructor(
+    public readonly concurrency = 1,
+    private readonly maxFinishedJobs = 50
+  ) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error("queue concurrency must be a positive integer");
+    }
+  }
+
+  /**
+   * add a job to the end of the queue
+   * @param kind tool that created the job
+   * @param prompt prompt shown in job listings
+   * @param run performs the generation, must honour the abort signal
+   */
+  enqueue(
+    kind: string,
+    prompt: string | undefined,
+    run: JobRunner
+  ): GenerationJob {
+    const job: GenerationJob = {
+      id: randomUUID(),
+      kind,
+      prompt,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+    };
+
+    let resolve!: (job: GenerationJob) => void;
+    const done = new Promise<GenerationJob>((r) => {
+      resolve = r;
+    });
+
+    this.entries.set(job.id, {
+      job,
+      run,
+      controller: new AbortController(),
+      done,
+      resolve,
+    });
+    this.waiting.push(job.id);
+    this.pruneFinished();
+    this.startNext();
+    return job;
+  }
+
+  /**
+   * wait until a job has finished, whatever the outcome
+   * @param id job id
+   */
+  async wait(id: string): Promise<GenerationJob> {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      throw new Error(`unknown job: ${id}`);
+    }
+    return entry.done;
+  }
+
+  /**
+   * look up a job
+   * @param id job id
+   */
+  get(id: string): GenerationJob | undefined {
+    return this.entries.get(id)?.job;
+  }
+
+  /**
+   * all known jobs, oldest first
+   */
+  list(): GenerationJob[] {
+    return Array.from(this.entries.values(), (entry) => entry.job);
+  }
+
+  /**
+   * 1-based position of a queued job, undefined once it has started
+   * @param id job id
+   */
+  position(id: string): number | undefined {
+    const index = this.waiting.indexOf(id);
+    return index === -1 ? undefined : index + 1;
+  }
+
+  /**
+   * cancel a queued or running job
+   * running jobs are aborted through their signal
+   * @param id job id
+   * @returns false when the job is unknown or already finished
+   */
+  cancel(id: string): boolean {
+    const entry = this.entries.get(id);
+    if (!entry || finishedStatuses.includes(entry.job.status)) {
+      return false;
+    }
+
+    if (entry.job.status === "queued") {
+      this.waiting = this.waiting.filter((waitingId) => waitingId !== id);
+      this.finish(entry, "cancelled");
+      return true;
+    }
+
+    entry.controller.abort();
+    return true;
+  }
+
+  // start waiting jobs while there is capacity
+  private startNext(): void {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      const entry = this.entries.get(this.waiting.shift() as string);
+      if (entry) {
+        void this.runEntry(entry);
+      }
+    }
+  }
+
+  private async runEntry(entry: JobEntry): Promise<void> {
+    const { job, controller } = entry;
+    this.running++;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const result = await entry.run({
+        signal: controller.signal,
+        onProgress: (progress) => {
+          job.progress = progress;
+        },
+      });
+      job.result = result;
+      if (result.cancelled || controller.signal.aborted) {
+        this.finish(entry, "cancelled");
+      } else if (result.isError) {
+        this.finish(entry, "failed", result.errorMessage);
+      } else {
+        this.finish(entry, "succeeded");
+      }
+    } catch (error) {
+      this.finish(
+        entry,
+        controller.signal.aborted ? "cancelled" : "failed",
+        error instanceof Error ? error.message : String(error)
+      );
+    } finally {
+      this.running--;
+      this.startNext();
+    }
+  }
+
+  private finish(entry: JobEntry, status: JobStatus, error?: string): void {
+    entry.job.status = status;
+    entry.job.finishedAt = new Date().toISOString();
+    if (error) {
+      entry.job.error = error;
+    }
+    entry.resolve(entry.job);
+  }
+
+  // forget the oldest finished jobs beyond maxFinishedJobs
+  private pruneFinished(): void {
+    const finished = this.list().filter((job) =>
+      finishedStatuses.includes(job.status)
+    );
+    for (const job of finished.slice(
+      0,
+      Math.max(0, finished.length - this.maxFinishedJobs)
+    )) {
+      this.entries.delete(job.id);
+    }
+  }
+}
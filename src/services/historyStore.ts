@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+import { HistoryEntry } from "../interfaces/index.js";
+
+/**
+ * persistent generation history
+ * one JSON object per line, appended after every saved image
+ * other server processes may append to the same file, it is read again
+ * whenever its size or modification time changes
+ */
+export class HistoryStore {
+  // entries in file order (oldest first), loaded on first use
+  private entries: HistoryEntry[] | null = null;
+  // size and mtime of the file the entries were read from
+  private loadedStat: { size: number; mtimeMs: number } | null = null;
+
+  constructor(public readonly filePath: string) {}
+
+  // size and mtime of the history file, null when it doesn't exist yet
+  private async stat(): Promise<{ size: number; mtimeMs: number } | null> {
+    try {
+      const { size, mtimeMs } = await fs.promises.stat(this.filePath);
+      return { size, mtimeMs };
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  // read the history file, skipping lines that cannot be parsed
+  private async load(): Promise<HistoryEntry[]> {
+    const stat = await this.stat();
+    if (
+      this.entries &&
+      stat?.size === this.loadedStat?.size &&
+      stat?.mtimeMs === this.loadedStat?.mtimeMs
+    ) {
+      return this.entries;
+    }
+
+    const entries: HistoryEntry[] = [];
+    try {
+      const content = await fs.promises.readFile(this.filePath, "utf8");
+      for (const line of content.split("\n")) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          console.error(`skip unreadable history line in ${this.filePath}`);
+        }
+      }
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    this.entries = entries;
+    this.loadedStat = stat;
+    return entries;
+  }
+
+  /**
+   * append an entry to the history file
+   * @param entry history entry
+   */
+  async append(entry: HistoryEntry): Promise<void> {
+    const entries = await this.load();
+    const line = `${JSON.stringify(entry)}\n`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, line);
+
+    // when another process appended in between, read everything again
+    const stat = await this.stat();
+    if (stat?.size === (this.loadedStat?.size ?? 0) + Buffer.byteLength(line)) {
+      entries.push(entry);
+      this.loadedStat = stat;
+    } else {
+      this.entries = null;
+    }
+  }
+
+  /**
+   * list entries, newest first
+   * @param limit max number of entries
+   */
+  async list(limit?: number): Promise<HistoryEntry[]> {
+    const newestFirst = [...(await this.load())].reverse();
+    return limit === undefined ? newestFirst : newestFirst.slice(0, limit);
+  }
+
+  /**
+   * look up an entry by id
+   * @param id history entry id
+   */
+  async get(id: string): Promise<HistoryEntry | undefined> {
+    return (await this.load()).find((entry) => entry.id === id);
+  }
+}
@@ -0,0 +1,313 @@
+import http from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+/**
+ * HTTP transport for the MCP server
+ * several clients share one server process, and with it one job queue and
+ * one history, each client session gets its own McpServer
+ *   /mcp                 streamable HTTP (POST, GET for the SSE stream, DELETE)
+ *   /sse and /messages   the older HTTP+SSE transport
+ */
+
+export const MCP_PATH = "/mcp";
+export const SSE_PATH = "/sse";
+export const SSE_MESSAGES_PATH = "/messages";
+
+// sessions without a request or an open stream for this long are closed
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+// tool arguments may carry base64 images
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+const loopbackHosts = ["127.0.0.1", "localhost", "::1"];
+
+export interface HttpServerOptions {
+  host: string;
+  port: number;
+  // clients must send "Authorization: Bearer <token>" when set
+  token?: string;
+  // builds the McpServer of a new session
+  createServer: () => McpServer;
+  log: (message: string) => void;
+  sessionIdleMs?: number;
+}
+
+export interface RunningHttpServer {
+  url: string; // base URL, e.g. http://127.0.0.1:8788
+  sessionCount: () => number;
+  close: () => Promise<void>;
+}
+
+interface Session {
+  transport: StreamableHTTPServerTransport | SSEServerTransport;
+  server: McpServer;
+  lastSeen: number;
+  // requests and streams still open, the session isn't idle while any is
+  openConnections: number;
+}
+
+class HttpError extends Error {
+  constructor(public readonly status: number, message: string) {
+    super(message);
+  }
+}
+
+function sendJsonRpcError(
+  res: http.ServerResponse,
+  status: number,
+  message: string,
+  headers: Record<string, string> = {}
+): void {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(
+    JSON.stringify({
+      jsonrpc: "2.0",
+      error: { code: -32000, message },
+      id: null,
+    })
+  );
+}
+
+async function readJsonBody(req: http.IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, "request body too large");
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (error) {
+    throw new HttpError(400, "invalid JSON body");
+  }
+}
+
+// constant time comparison of the Authorization header
+function isAuthorized(req: http.IncomingMessage, token?: string): boolean {
+  if (!token) {
+    return true;
+  }
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.headers.authorization || "");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// a server bound to loopback only answers requests for a loopback host name,
+// so web pages can't reach it through DNS rebinding
+function isAllowedHost(req: http.IncomingMessage, bindHost: string): boolean {
+  if (!loopbackHosts.includes(bindHost)) {
+    return true;
+  }
+  const hostHeader = req.headers.host || "";
+  const hostname = hostHeader.startsWith("[")
+    ? hostHeader.slice(1, hostHeader.indexOf("]"))
+    : hostHeader.split(":")[0];
+  return loopbackHosts.includes(hostname);
+}
+
+/**
+ * start the HTTP transport
+ * the tools read and write files on this machine, so a server reachable from
+ * other machines needs a token
+ * @param options bind address, token and the McpServer factory
+ * @throws Error for a non-loopback bind address without a token
+ */
+export async function startHttpServer({
+  host,
+  port,
+  token,
+  createServer,
+  log,
+  sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+}: HttpServerOptions): Promise<RunningHttpServer> {
+  if (!loopbackHosts.includes(host) && !token) {
+    throw new Error(
+      `refusing to listen on ${host} without a token, anyone who can reach it could read and write files on this machine: set --http-token, or bind to 127.0.0.1`
+    );
+  }
+
+  const sessions = new Map<string, Session>();
+
+  const closeSession = async (sessionId: string, reason: string) => {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    sessions.delete(sessionId);
+    log(`HTTP session ${sessionId} closed (${reason}), ${sessions.size} open`);
+    await session.server.close().catch(() => {});
+  };
+
+  const openSession = (
+    sessionId: string,
+    transport: StreamableHTTPServerTransport | SSEServerTransport,
+    server: McpServer
+  ) => {
+    sessions.set(sessionId, {
+      transport,
+      server,
+      lastSeen: Date.now(),
+      openConnections: 0,
+    });
+    log(`HTTP session ${sessionId} opened, ${sessions.size} open`);
+  };
+
+  // count a request or stream of a session until its response closes
+  const trackConnection = (session: Session, res: http.ServerResponse) => {
+    session.lastSeen = Date.now();
+    session.openConnections++;
+    res.once("close", () => {
+      session.openConnections--;
+      session.lastSeen = Date.now();
+    });
+  };
+
+  const handleStreamableHttp = async (
+    req: http.IncomingMessage,
+    res: http.ServerResponse
+  ) => {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    if (typeof sessionId === "string") {
+      const session = sessions.get(sessionId);
+      if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+        throw new HttpError(404, "session not found, initialize a new one");
+      }
+      trackConnection(session, res);
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== "POST" || !isInitializeRequest(body)) {
+      throw new HttpError(400, "missing Mcp-Session-Id header");
+    }
+
+    // the session is registered once the initialize request got its ID
+    const server = createServer();
+    const transport: StreamableHTTPServerTransport =
+      new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => openSession(id, transport, server),
+      });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        void closeSession(transport.sessionId, "closed by the client");
+      }
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleSse = async (
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+    url: URL
+  ) => {
+    if (url.pathname === SSE_PATH && req.method === "GET") {
+      const server = createServer();
+      const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+      openSession(transport.sessionId, transport, server);
+      trackConnection(sessions.get(transport.sessionId) as Session, res);
+      transport.onclose = () => {
+        void closeSession(transport.sessionId, "stream closed");
+      };
+      await server.connect(transport);
+      return;
+    }
+
+    if (url.pathname === SSE_MESSAGES_PATH && req.method === "POST") {
+      const session = sessions.get(url.searchParams.get("sessionId") || "");
+      if (!session || !(session.transport instanceof SSEServerTransport)) {
+        throw new HttpError(404, "session not found");
+      }
+      trackConnection(session, res);
+      await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+      return;
+    }
+
+    throw new HttpError(405, "method not allowed");
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    try {
+      if (!isAllowedHost(req, host)) {
+        throw new HttpError(403, "host not allowed");
+      }
+      if (!isAuthorized(req, token)) {
+        sendJsonRpcError(res, 401, "missing or invalid bearer token", {
+          "WWW-Authenticate": 'Bearer realm="draw-things-mcp"',
+        });
+        return;
+      }
+
+      if (url.pathname === MCP_PATH) {
+        await handleStreamableHttp(req, res);
+      } else if (url.pathname === SSE_PATH || url.pathname === SSE_MESSAGES_PATH) {
+        await handleSse(req, res, url);
+      } else {
+        throw new HttpError(404, `not found, the MCP endpoint is ${MCP_PATH}`);
+      }
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJsonRpcError(res, error.status, error.message);
+        return;
+      }
+      log(
+        `HTTP request ${req.method} ${url.pathname} failed: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+      sendJsonRpcError(res, 500, "internal server error");
+    }
+  });
+
+  // close sessions of clients that went away without saying so, a client
+  // listening on a stream is still there however quiet it is
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.openConnections === 0 && session.lastSeen < cutoff) {
+        void closeSession(sessionId, "idle");
+      }
+    }
+  }, Math.min(sessionIdleMs, 60000));
+  sweep.unref();
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+  const address = httpServer.address();
+  const boundPort = typeof address === "object" && address ? address.port : port;
+  const urlHost = host.includes(":") ? `[${host}]` : host;
+
+  return {
+    url: `http://${urlHost}:${boundPort}`,
+    sessionCount: () => sessions.size,
+    close: async () => {
+      clearInterval(sweep);
+      await Promise.all(
+        Array.from(sessions.keys(), (sessionId) =>
+          closeSession(sessionId, "server shutting down")
+        )
+      );
+      httpServer.closeAllConnections?.();
+      await new Promise<void>((resolve) => httpServer.close(() => resolve()));
+    },
+  };
+}
@@ -0,0 +1,162 @@
+import fs from "fs";
+import path from "path";
+import { Jimp } from "jimp";
+import { encodeImage } from "./postProcess.js";
+
+/**
+ * favicon, PWA and iOS icons cut from a single square render
+ * written as the file names browsers and platforms look for by default
+ */
+
+export interface IconSpec {
+  fileName: string;
+  size: number;
+}
+
+// PNG icons, the 16/32/48 sizes also go into favicon.ico
+export const ICON_SPECS: IconSpec[] = [
+  { fileName: "favicon-16x16.png", size: 16 },
+  { fileName: "favicon-32x32.png", size: 32 },
+  { fileName: "favicon-48x48.png", size: 48 },
+  { fileName: "apple-touch-icon.png", size: 180 },
+  { fileName: "android-chrome-192x192.png", size: 192 },
+  { fileName: "android-chrome-512x512.png", size: 512 },
+];
+
+const FAVICON_SIZES = [16, 32, 48];
+// icons listed in manifest.json
+const MANIFEST_SIZES = [192, 512];
+
+export const FAVICON_FILE_NAME = "favicon.ico";
+export const MANIFEST_FILE_NAME = "manifest.json";
+
+export interface IconSetOptions {
+  name?: string; // app name for the manifest
+  themeColor?: string;
+  backgroundColor?: string;
+}
+
+export interface WebManifestIcon {
+  src: string;
+  sizes: string;
+  type: string;
+  purpose?: string;
+}
+
+export interface IconSetResult {
+  directory: string;
+  files: string[]; // absolute paths of everything written
+  manifest: {
+    name?: string;
+    short_name?: string;
+    icons: WebManifestIcon[];
+    theme_color?: string;
+    background_color?: string;
+    display: string;
+  };
+  html: string; // <link> tags for the page head
+}
+
+/**
+ * pack PNG images into an ICO container
+ * ICO files may hold PNG data directly, supported by every current browser
+ * @param images PNG data with the square size of each image
+ */
+export function buildIco(images: { size: number; data: Buffer }[]): Buffer {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(0, 0); // reserved
+  header.writeUInt16LE(1, 2); // type: icon
+  header.writeUInt16LE(images.length, 4);
+
+  const entries: Buffer[] = [];
+  let offset = header.length + images.length * 16;
+  for (const { size, data } of images) {
+    const entry = Buffer.alloc(16);
+    // 0 means 256 pixels
+    entry.writeUInt8(size >= 256 ? 0 : size, 0);
+    entry.writeUInt8(size >= 256 ? 0 : size, 1);
+    entry.writeUInt8(0, 2); // no palette
+    entry.writeUInt8(0, 3); // reserved
+    entry.writeUInt16LE(1, 4); // color planes
+    entry.writeUInt16LE(32, 6); // bits per pixel
+    entry.writeUInt32LE(data.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    entries.push(entry);
+    offset += data.length;
+  }
+
+  return Buffer.concat([header, ...entries, ...images.map(({ data }) => data)]);
+}
+
+/**
+ * write the icon set into a directory, replacing icons of an earlier set
+ * @param source rendered image (PNG or JPEG), cropped to a square when it isn't one
+ * @param directory target directory, created when missing
+ * @param options manifest fields
+ */
+export async function writeIconSet(
+  source: Buffer,
+  directory: string,
+  options: IconSetOptions = {}
+): Promise<IconSetResult> {
+  const image = await Jimp.read(source);
+  const side = Math.min(image.width, image.height);
+  if (image.width !== image.height) {
+    image.cover({ w: side, h: side });
+  }
+
+  await fs.promises.mkdir(directory, { recursive: true });
+  const files: string[] = [];
+  const pngs = new Map<number, Buffer>();
+
+  for (const { fileName, size } of ICON_SPECS) {
+    const data = await encodeImage(
+      image.clone().resize({ w: size, h: size }),
+      "png"
+    );
+    pngs.set(size, data);
+    const filePath = path.join(directory, fileName);
+    await fs.promises.writeFile(filePath, data);
+    files.push(filePath);
+  }
+
+  const faviconPath = path.join(directory, FAVICON_FILE_NAME);
+  await fs.promises.writeFile(
+    faviconPath,
+    buildIco(FAVICON_SIZES.map((size) => ({ size, data: pngs.get(size)! })))
+  );
+  files.push(faviconPath);
+
+  const manifest: IconSetResult["manifest"] = {
+    ...(options.name && { name: options.name, short_name: options.name }),
+    icons: MANIFEST_SIZES.map((size) => ({
+      src: `android-chrome-${size}x${size}.png`,
+      sizes: `${size}x${size}`,
+      type: "image/png",
+    })),
+    ...(options.themeColor && { theme_color: options.themeColor }),
+    ...(options.backgroundColor && {
+      background_color: options.backgroundColor,
+    }),
+    display: "standalone",
+  };
+  const manifestPath = path.join(directory, MANIFEST_FILE_NAME);
+  await fs.promises.writeFile(
+    manifestPath,
+    JSON.stringify(manifest, null, 2) + "\n"
+  );
+  files.push(manifestPath);
+
+  const html = [
+    `<link rel="icon" href="/${FAVICON_FILE_NAME}" sizes="48x48">`,
+    `<link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">`,
+    `<link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">`,
+    `<link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">`,
+    `<link rel="manifest" href="/${MANIFEST_FILE_NAME}">`,
+    ...(options.themeColor
+      ? [`<meta name="theme-color" content="${options.themeColor}">`]
+      : []),
+  ].join("\n");
+
+  return { directory, files, manifest, html };
+}
@@ -0,0 +1,99 @@
+import fs from "fs";
+import path from "path";
+import { isInsideDirectory } from "./outputPaths.js";
+
+// image formats Draw Things accepts as an init image
+const supportedExtensions = [".png", ".jpg", ".jpeg", ".webp"];
+
+const mimeTypesByExtension: Record<string, string> = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+};
+
+/**
+ * guess an image MIME type from its file extension
+ * @param filePath image file path
+ */
+export function mimeTypeForPath(filePath: string): string {
+  return (
+    mimeTypesByExtension[path.extname(filePath).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+/**
+ * strip an optional data URI prefix from base64 image data
+ * @param data base64 string, with or without "data:image/...;base64,"
+ */
+export function stripDataUri(data: string): string {
+  return data.replace(/^data:image\/[\w+.-]+;base64,/, "");
+}
+
+/**
+ * resolve a workspace file path to an absolute path
+ * relative paths are resolved against the first root
+ * @param filePath user provided file path
+ * @param roots absolute workspace directories the file must be in
+ * @throws Error when the path is outside every root
+ */
+export function resolveWorkspacePath(
+  filePath: string,
+  roots: string[] = [process.cwd()]
+): string {
+  const absolutePath = path.resolve(roots[0] ?? process.cwd(), filePath);
+  if (!roots.some((root) => isInsideDirectory(root, absolutePath))) {
+    throw new Error(
+      `${absolutePath} is outside the workspace roots: ${roots.join(", ")}`
+    );
+  }
+  return absolutePath;
+}
+
+/**
+ * load an input image either from a file or from base64 data
+ * the file wins when both are given
+ * returns plain base64 (no data URI prefix), ready to send to the API
+ * @param imagePath path to an image file in the workspace
+ * @param base64 base64 encoded image data
+ * @param roots workspace directories the file must be in, the working
+ * directory by default
+ */
+export async function loadImageInput({
+  imagePath,
+  base64,
+  roots,
+}: {
+  imagePath?: string;
+  base64?: string;
+  roots?: string[];
+}): Promise<string> {
+  if (!imagePath) {
+    if (!base64) {
+      throw new Error("either an image path or base64 image data is required");
+    }
+    const cleanBase64 = stripDataUri(base64.trim());
+    if (!cleanBase64) {
+      throw new Error("image data is empty");
+    }
+    return cleanBase64;
+  }
+
+  const absolutePath = resolveWorkspacePath(imagePath, roots);
+  const extension = path.extname(absolutePath).toLowerCase();
+  if (!supportedExtensions.includes(extension)) {
+    throw new Error(
+      `unsupported image format "${extension}", expected one of: ${supportedExtensions.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`image file not found: ${absolutePath}`);
+  }
+
+  const buffer = await fs.promises.readFile(absolutePath);
+  return buffer.toString("base64");
+}
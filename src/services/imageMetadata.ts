@@ -0,0 +1,240 @@
+import { isPng, readTextChunks, setTextChunks } from "./png.js";
+import { stripDataUri } from "./imageInput.js";
+
+/**
+ * generation parameters embedded in PNG text chunks
+ * the "parameters" chunk uses the AUTOMATIC1111 layout so other tools
+ * (A1111, ComfyUI loaders, image browsers) can read it, the JSON chunk
+ * keeps the exact request params for reproducing an image
+ */
+
+// A1111 keyword for the human readable parameters
+export const PARAMETERS_KEY = "parameters";
+// keyword for the full request params as JSON
+export const PARAMS_JSON_KEY = "draw-things-params";
+
+const NEGATIVE_PROMPT_PREFIX = "Negative prompt:";
+
+export interface ImageMetadata {
+  prompt: string;
+  negative_prompt?: string;
+  steps?: number;
+  sampler?: string;
+  guidance_scale?: number;
+  seed?: number;
+  width?: number;
+  height?: number;
+  model?: string;
+  strength?: number;
+  // key-value pairs without a matching field, e.g. "Clip skip"
+  extra: Record<string, string>;
+}
+
+export interface ImageMetadataResult {
+  // parsed "parameters" chunk, null when the image has none
+  parameters: ImageMetadata | null;
+  // exact request params written by this server, null for other images
+  params: Record<string, any> | null;
+  // name of the backend that rendered the image, null when unknown
+  backend: string | null;
+  // every text chunk in the image, by keyword
+  text: Record<string, string>;
+}
+
+// quote values the way A1111 does, so commas don't split them
+function quoteValue(value: string | number): string {
+  const text = String(value);
+  return /[,:\n"]/.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * format generation params as an A1111 "parameters" text
+ * @param params effective request params, seed must be the image's own seed
+ */
+export function formatParameters(params: Record<string, any>): string {
+  const lines = [String(params.prompt ?? "")];
+  if (params.negative_prompt) {
+    lines.push(`${NEGATIVE_PROMPT_PREFIX} ${params.negative_prompt}`);
+  }
+
+  const fields: Array<[string, string | number | undefined]> = [
+    ["Steps", params.steps],
+    ["Sampler", params.sampler],
+    ["CFG scale", params.guidance_scale],
+    ["Seed", params.seed],
+    [
+      "Size",
+      params.width && params.height
+        ? `${params.width}x${params.height}`
+        : undefined,
+    ],
+    ["Model", params.model],
+    ["Denoising strength", params.init_images ? params.strength : undefined],
+  ];
+  lines.push(
+    fields
+      .filter(([, value]) => value !== undefined && value !== "")
+      .map(([key, value]) => `${key}: ${quoteValue(value as string | number)}`)
+      .join(", ")
+  );
+
+  return lines.join("\n");
+}
+
+// the settings line starts with one of the keys formatParameters writes
+const SETTINGS_LINE_PATTERN =
+  /^(Steps|Sampler|CFG scale|Seed|Size|Model|Denoising strength): /;
+
+// matches "Key: value" pairs, values may be JSON quoted
+const PARAM_PATTERN = /\s*([\w ]+):\s*("(?:\\.|[^\\"])*"|[^,]*)(?:,|$)/g;
+
+function unquoteValue(value: string): string {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return trimmed;
+    }
+  }
+  return trimmed;
+}
+
+function toNumber(value: string): number | undefined {
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * parse an A1111 "parameters" text
+ * the last line holds the key-value pairs, A1111 always starts it with "Steps:"
+ * @param text value of the "parameters" chunk
+ */
+export function parseParameters(text: string): ImageMetadata {
+  const lines = text.trim().split("\n");
+  let settingsLine = "";
+  if (SETTINGS_LINE_PATTERN.test(lines[lines.length - 1])) {
+    settingsLine = lines.pop() as string;
+  }
+
+  const promptLines: string[] = [];
+  const negativeLines: string[] = [];
+  let inNegative = false;
+  for (const line of lines) {
+    if (!inNegative && line.startsWith(NEGATIVE_PROMPT_PREFIX)) {
+      inNegative = true;
+      negativeLines.push(line.slice(NEGATIVE_PROMPT_PREFIX.length).trim());
+    } else {
+      (inNegative ? negativeLines : promptLines).push(line);
+    }
+  }
+
+  const metadata: Omit<ImageMetadata, "extra"> = {
+    prompt: promptLines.join("\n").trim(),
+  };
+  const extra: Record<string, string> = {};
+  if (inNegative) {
+    metadata.negative_prompt = negativeLines.join("\n").trim();
+  }
+
+  for (const match of settingsLine.matchAll(PARAM_PATTERN)) {
+    const key = match[1].trim();
+    const value = unquoteValue(match[2]);
+    switch (key) {
+      case "Steps":
+        metadata.steps = toNumber(value);
+        break;
+      case "Sampler":
+        metadata.sampler = value;
+        break;
+      case "CFG scale":
+        metadata.guidance_scale = toNumber(value);
+        break;
+      case "Seed":
+        metadata.seed = toNumber(value);
+        break;
+      case "Size": {
+        const [width, height] = value.split("x").map(toNumber);
+        metadata.width = width;
+        metadata.height = height;
+        break;
+      }
+      case "Model":
+        metadata.model = value;
+        break;
+      case "Denoising strength":
+        metadata.strength = toNumber(value);
+        break;
+      default:
+        extra[key] = value;
+    }
+  }
+
+  return { ...metadata, extra };
+}
+
+/**
+ * embed generation params into a PNG image
+ * other formats are returned unchanged
+ * @param imageData base64 image, with or without data URI prefix
+ * @param params effective request params, seed must be the image's own seed
+ * @param backend name of the backend that rendered the image
+ * @returns base64 image in the same form as the input
+ */
+export function embedGenerationMetadata(
+  imageData: string,
+  params: Record<string, any>,
+  backend?: string
+): string {
+  const base64 = stripDataUri(imageData);
+  const buffer = Buffer.from(base64, "base64");
+  if (!isPng(buffer)) {
+    return imageData;
+  }
+
+  // the source image and mask are too large and not useful as metadata
+  const { init_images, mask, ...storedParams } = params;
+  const tagged = setTextChunks(buffer, {
+    [PARAMETERS_KEY]: formatParameters(params),
+    [PARAMS_JSON_KEY]: JSON.stringify(
+      backend ? { ...storedParams, backend } : storedParams
+    ),
+  }).toString("base64");
+
+  return imageData.slice(0, imageData.length - base64.length) + tagged;
+}
+
+/**
+ * read generation metadata from a PNG image
+ * @param buffer PNG bytes
+ */
+export function readImageMetadata(buffer: Buffer): ImageMetadataResult {
+  if (!isPng(buffer)) {
+    throw new Error("not a PNG image, metadata can only be read from PNG files");
+  }
+
+  const text = readTextChunks(buffer);
+  let params: Record<string, any> | null = null;
+  let backend: string | null = null;
+  if (text[PARAMS_JSON_KEY]) {
+    try {
+      params = JSON.parse(text[PARAMS_JSON_KEY]);
+      // the backend is stored with the params but isn't one of them
+      if (params && typeof params.backend === "string") {
+        ({ backend, ...params } = params);
+      }
+    } catch (error) {
+      console.error(`skip unreadable ${PARAMS_JSON_KEY} chunk`);
+    }
+  }
+
+  return {
+    parameters:
+      text[PARAMETERS_KEY] !== undefined
+        ? parseParameters(text[PARAMETERS_KEY])
+        : null,
+    params,
+    backend,
+    text,
+  };
+}
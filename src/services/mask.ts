@@ -0,0 +1,59 @@
+import { COLOR_TYPE_GRAYSCALE, encodePng } from "./png.js";
+
+/**
+ * inpainting mask helpers
+ * white (255) marks the area to repaint, black (0) the area to keep
+ */
+
+export interface MaskRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * rasterize rectangles into a grayscale PNG mask
+ * rectangles are in pixels of the source image and are clipped to its bounds
+ * @param width mask width, must match the source image
+ * @param height mask height, must match the source image
+ * @param rects regions to repaint
+ * @returns base64 encoded PNG
+ */
+export function rasterizeMask(
+  width: number,
+  height: number,
+  rects: MaskRect[]
+): string {
+  if (rects.length === 0) {
+    throw new Error("at least one mask rectangle is required");
+  }
+
+  const pixels = new Uint8Array(width * height);
+  let painted = 0;
+
+  for (const rect of rects) {
+    const left = Math.max(0, Math.round(rect.x));
+    const top = Math.max(0, Math.round(rect.y));
+    const right = Math.min(width, Math.round(rect.x + rect.width));
+    const bottom = Math.min(height, Math.round(rect.y + rect.height));
+
+    for (let y = top; y < bottom; y++) {
+      pixels.fill(255, y * width + left, y * width + right);
+      painted += Math.max(0, right - left);
+    }
+  }
+
+  if (painted === 0) {
+    throw new Error(
+      `mask rectangles do not overlap the ${width}x${height} source image`
+    );
+  }
+
+  return encodePng({
+    width,
+    height,
+    pixels,
+    colorType: COLOR_TYPE_GRAYSCALE,
+  }).toString("base64");
+}
@@ -0,0 +1,224 @@
+import { ImageGenerationParams } from "./schemas.js";
+
+/**
+ * model family profiles
+ * recommended steps, guidance, shift, sampler and native size per family,
+ * detected from the model file name, plus aspect ratio based sizing
+ */
+
+export interface ModelProfile {
+  family: string;
+  label: string;
+  // matched against the lower-case model file name, first match wins
+  pattern: RegExp;
+  // recommended params, the native size included
+  params: Partial<ImageGenerationParams>;
+  // megapixels the family was trained at, the default for aspect_ratio
+  megapixels: number;
+  // width and height must be multiples of this
+  sizeMultiple: number;
+}
+
+// Draw Things renders in 64 pixel units for every family
+const DRAW_THINGS_SIZE_MULTIPLE = 64;
+
+// ordered from the most to the least specific name
+export const modelProfiles: ModelProfile[] = [
+  {
+    family: "flux-schnell",
+    label: "FLUX.1 [schnell]",
+    pattern: /flux.*schnell/,
+    params: {
+      steps: 4,
+      guidance_scale: 1,
+      sampler: "Euler A Trailing",
+      shift: 1,
+      resolution_dependent_shift: false,
+      width: 1024,
+      height: 1024,
+    },
+    megapixels: 1,
+    sizeMultiple: DRAW_THINGS_SIZE_MULTIPLE,
+  },
+  {
+    family: "flux",
+    label: "FLUX.1 [dev] and fine-tunes",
+    pattern: /flux/,
+    params: {
+      steps: 20,
+      guidance_scale: 3.5,
+      sampler: "Euler A Trailing",
+      resolution_dependent_shift: true,
+      speed_up_with_guidance_embed: true,
+      width: 1024,
+      height: 1024,
+    },
+    megapixels: 1,
+    sizeMultiple: DRAW_THINGS_SIZE_MULTIPLE,
+  },
+  {
+    family: "sd3",
+    label: "Stable Diffusion 3 / 3.5",
+    pattern: /sd_?3|stable_diffusion_3/,
+    params: {
+      steps: 28,
+      guidance_scale: 4.5,
+      sampler: "Euler A Trailing",
+      shift: 3,
+      resolution_dependent_shift: false,
+      width: 1024,
+      height: 1024,
+    },
+    megapixels: 1,
+    sizeMultiple: DRAW_THINGS_SIZE_MULTIPLE,
+  },
+  {
+    family: "sdxl-turbo",
+    label: "SDXL Turbo / Lightning / Hyper",
+    pattern: /(sdxl|sd_xl|xl).*(turbo|lightning|hyper)|(turbo|lightning|hyper).*xl/,
+    params: {
+      steps: 6,
+      guidance_scale: 1.5,
+      sampler: "DPM++ SDE Trailing",
+      shift: 1,
+      width: 1024,
+      height: 1024,
+    },
+    megapixels: 1,
+    sizeMultiple: DRAW_THINGS_SIZE_MULTIPLE,
+  },
+  {
+    family: "sdxl",
+    label: "Stable Diffusion XL",
+    pattern: /sdxl|sd_xl|_xl_|xl_base|pony|illustrious|juggernaut/,
+    params: {
+      steps: 30,
+      guidance_scale: 7,
+      sampler: "DPM++ 2M Karras",
+      shift: 1,
+      width: 1024,
+      height: 1024,
+    },
+    megapixels: 1,
+    sizeMultiple: DRAW_THINGS_SIZE_MULTIPLE,
+  },
+  {
+    family: "sd2",
+    label: "Stable Diffusion 2.x",
+    pattern: /v2[._-]?[01]|sd_?2[._]?[01]/,
+    params: {
+      steps: 25,
+      guidance_scale: 7,
+      sampler: "DPM++ 2M Karras",
+      shift: 1,
+      width: 768,
+      height: 768,
+    },
+    megapixels: 0.59,
+    sizeMultiple: DRAW_THINGS_SIZE_MULTIPLE,
+  },
+  {
+    family: "sd15",
+    label: "Stable Diffusion 1.x",
+    pattern: /v1[._-]?[45]|sd_?1[._]?[45]|sd15/,
+    params: {
+      steps: 25,
+      guidance_scale: 7,
+      sampler: "DPM++ 2M Karras",
+      shift: 1,
+      width: 512,
+      height: 512,
+    },
+    megapixels: 0.26,
+    sizeMultiple: DRAW_THINGS_SIZE_MULTIPLE,
+  },
+];
+
+/**
+ * find the profile of a model by its file name
+ * @param model model file name, e.g. "sd_xl_base_1.0_f16.ckpt"
+ * @returns undefined for models of an unknown family
+ */
+export function detectModelProfile(model?: string | null): ModelProfile | undefined {
+  if (!model) {
+    return undefined;
+  }
+  const name = model.toLowerCase();
+  return modelProfiles.find((profile) => profile.pattern.test(name));
+}
+
+/**
+ * parse an aspect ratio such as "16:9", "3/2" or "1.5"
+ * @throws Error for anything that isn't a positive ratio
+ */
+export function parseAspectRatio(aspectRatio: string): number {
+  const match = aspectRatio
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)(?:\s*[:/x]\s*(\d+(?:\.\d+)?))?$/);
+  const ratio = match
+    ? Number(match[1]) / (match[2] === undefined ? 1 : Number(match[2]))
+    : NaN;
+  if (!Number.isFinite(ratio) || ratio <= 0) {
+    throw new Error(
+      `invalid aspect_ratio "${aspectRatio}", expected e.g. "16:9" or "1.5"`
+    );
+  }
+  if (ratio > 8 || ratio < 1 / 8) {
+    throw new Error(`aspect_ratio "${aspectRatio}" is outside 1:8 to 8:1`);
+  }
+  return ratio;
+}
+
+/**
+ * width and height for an aspect ratio and a pixel budget
+ * @param aspectRatio width / height
+ * @param megapixels total pixels in millions
+ * @param multiple both sides are rounded to a multiple of this
+ */
+export function sizeForAspectRatio(
+  aspectRatio: number,
+  megapixels: number,
+  multiple: number
+): { width: number; height: number } {
+  const pixels = megapixels * 1000000;
+  const snap = (value: number) =>
+    Math.max(multiple, Math.round(value / multiple) * multiple);
+  return {
+    width: snap(Math.sqrt(pixels * aspectRatio)),
+    height: snap(Math.sqrt(pixels / aspectRatio)),
+  };
+}
+
+/**
+ * hires fix and tiling params rendering width x height above a family's
+ * native size: the first pass renders at the native pixel count in the same
+ * aspect ratio, hires fix refines it at the full size, and tiled diffusion
+ * with tiles of the native size keeps the refinement in the family's range
+ * @param width output width
+ * @param height output height
+ * @param megapixels native pixel count of the family, in millions
+ * @param multiple sides are rounded to a multiple of this
+ * @returns an empty object when the output isn't larger than the native size
+ */
+export function highResolutionParams(
+  width: number,
+  height: number,
+  megapixels: number,
+  multiple: number
+): Partial<ImageGenerationParams> {
+  const firstPass = sizeForAspectRatio(width / height, megapixels, multiple);
+  if (firstPass.width >= width && firstPass.height >= height) {
+    return {};
+  }
+
+  const tile = sizeForAspectRatio(1, megapixels, multiple).width;
+  return {
+    hires_fix: true,
+    hires_fix_width: Math.min(firstPass.width, width),
+    hires_fix_height: Math.min(firstPass.height, height),
+    tiled_diffusion: true,
+    diffusion_tile_width: Math.min(tile, width),
+    diffusion_tile_height: Math.min(tile, height),
+    tiled_decoding: true,
+  };
+}
@@ -0,0 +1,205 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * where generated images are saved and how they are named
+ * file names come from templates such as "{date}-{slug(prompt)}-{seed}.png"
+ * and output paths are confined to the client's workspace roots
+ */
+
+export const DEFAULT_FILENAME_TEMPLATE = "{date}-{slug(prompt)}-{seed}.png";
+
+// image extensions that mark an output path as a file rather than a directory
+const imageExtensions = [".png", ".jpg", ".jpeg", ".webp"];
+
+const MAX_SLUG_LENGTH = 48;
+const MAX_FILENAME_LENGTH = 200;
+
+export interface FilenameValues {
+  prompt: string;
+  seed: number;
+  index: number; // 1-based position in the batch
+  model?: string;
+  width?: number;
+  height?: number;
+  date?: Date;
+}
+
+const templateVariables = [
+  "date",
+  "time",
+  "timestamp",
+  "prompt",
+  "seed",
+  "index",
+  "model",
+  "width",
+  "height",
+];
+const templateFunctions = ["slug"];
+
+// {name} or {fn(name)}
+const PLACEHOLDER_PATTERN = /\{(?:(\w+)\((\w+)\)|(\w+))\}/g;
+
+/**
+ * lowercase, ASCII only, words joined by dashes
+ * @param text any text, e.g. a prompt
+ * @param maxLength cut at a word boundary when possible
+ */
+export function slugify(text: string, maxLength = MAX_SLUG_LENGTH): string {
+  const slug = text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  if (slug.length <= maxLength) {
+    return slug || "image";
+  }
+  const cut = slug.slice(0, maxLength);
+  const lastDash = cut.lastIndexOf("-");
+  return lastDash > maxLength / 2 ? cut.slice(0, lastDash) : cut;
+}
+
+// keep substituted values from adding directories or invalid characters
+function sanitize(value: string): string {
+  return value.replace(/[\/\\:*?"<>|\x00-\x1f]+/g, "-");
+}
+
+const pad = (value: number) => String(value).padStart(2, "0");
+
+/**
+ * check a template for unknown placeholders
+ * @throws Error naming the first unknown placeholder
+ */
+export function validateFilenameTemplate(template: string): void {
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const [placeholder, fn, argument, variable] = match;
+    if (fn && !templateFunctions.includes(fn)) {
+      throw new Error(
+        `unknown filename template function in ${placeholder}, expected: ${templateFunctions.join(", ")}`
+      );
+    }
+    if (!templateVariables.includes(argument || variable)) {
+      throw new Error(
+        `unknown filename template variable in ${placeholder}, expected one of: ${templateVariables.join(", ")}`
+      );
+    }
+  }
+}
+
+/**
+ * render a file name template, ".png" is added when it has no image extension
+ * @param template e.g. "{date}-{slug(prompt)}-{seed}.png"
+ * @param values values of the current image
+ */
+export function renderFilename(
+  template: string,
+  values: FilenameValues
+): string {
+  validateFilenameTemplate(template);
+
+  const date = values.date || new Date();
+  const variables: Record<string, string> = {
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+    timestamp: date.toISOString().replace(/[:.]/g, "-"),
+    prompt: values.prompt,
+    seed: String(values.seed),
+    index: String(values.index),
+    model: (values.model || "").replace(/\.[^.]+$/, ""),
+    width: values.width === undefined ? "" : String(values.width),
+    height: values.height === undefined ? "" : String(values.height),
+  };
+
+  let fileName = template.replace(
+    PLACEHOLDER_PATTERN,
+    (_match, fn, argument, variable) =>
+      fn === "slug"
+        ? slugify(variables[argument])
+        : sanitize(variables[variable])
+  );
+
+  const extension = path.extname(fileName).toLowerCase();
+  if (!imageExtensions.includes(extension)) {
+    fileName += ".png";
+  }
+  if (fileName.length > MAX_FILENAME_LENGTH) {
+    const ext = path.extname(fileName);
+    fileName = fileName.slice(0, MAX_FILENAME_LENGTH - ext.length) + ext;
+  }
+  return fileName;
+}
+
+/**
+ * add "-2", "-3", ... before the extension until the path is free
+ * @param filePath wanted file path
+ */
+export function uniqueFilePath(filePath: string): string {
+  if (!fs.existsSync(filePath)) {
+    return filePath;
+  }
+  const extension = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - extension.length);
+  let counter = 2;
+  while (fs.existsSync(`${base}-${counter}${extension}`)) {
+    counter++;
+  }
+  return `${base}-${counter}${extension}`;
+}
+
+/**
+ * check whether a path is the same as or inside a directory
+ */
+export function isInsideDirectory(directory: string, target: string): boolean {
+  const relative = path.relative(directory, target);
+  return (
+    relative === "" ||
+    (relative !== ".." &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative))
+  );
+}
+
+export interface OutputTarget {
+  outputDir: string;
+  // file name template, a plain name for a fixed file
+  filenameTemplate: string;
+}
+
+/**
+ * resolve an output_path argument inside the workspace roots
+ * a path with an image extension names the file (templates allowed),
+ * anything else is a directory that uses the default template
+ * @param outputPath user provided path, relative paths start at the first root
+ * @param roots absolute workspace directories, the first one is the default
+ * @param defaultTemplate template used for directories
+ * @throws Error when the path is outside every root
+ */
+export function resolveOutputPath(
+  outputPath: string,
+  roots: string[],
+  defaultTemplate: string
+): OutputTarget {
+  if (roots.length === 0) {
+    throw new Error("no workspace roots to save into");
+  }
+
+  const absolutePath = path.resolve(roots[0], outputPath);
+  if (!roots.some((root) => isInsideDirectory(root, absolutePath))) {
+    throw new Error(
+      `output_path ${absolutePath} is outside the workspace roots: ${roots.join(", ")}`
+    );
+  }
+
+  const isFile = imageExtensions.includes(
+    path.extname(absolutePath).toLowerCase()
+  );
+  if (!isFile) {
+    return { outputDir: absolutePath, filenameTemplate: defaultTemplate };
+  }
+
+  const filenameTemplate = path.basename(absolutePath);
+  validateFilenameTemplate(filenameTemplate);
+  return { outputDir: path.dirname(absolutePath), filenameTemplate };
+}
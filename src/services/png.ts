@@ -0,0 +1,318 @@
+import zlib from "zlib";
+
+/**
+ * minimal PNG helpers
+ * enough to build simple images (masks) and inspect image headers
+ * without pulling in a native image library
+ */
+
+export const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+// PNG color types
+export const COLOR_TYPE_GRAYSCALE = 0;
+export const COLOR_TYPE_RGB = 2;
+export const COLOR_TYPE_RGBA = 6;
+
+const channelsByColorType: Record<number, number> = {
+  [COLOR_TYPE_GRAYSCALE]: 1,
+  [COLOR_TYPE_RGB]: 3,
+  [COLOR_TYPE_RGBA]: 4,
+};
+
+// lazily built CRC-32 lookup table (polynomial 0xEDB88320)
+let crcTable: Uint32Array | null = null;
+
+function getCrcTable(): Uint32Array {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param buffer bytes to checksum
+ */
+export function crc32(buffer: Buffer): number {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = table[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * check whether a buffer starts with the PNG signature
+ */
+export function isPng(buffer: Buffer): boolean {
+  return (
+    buffer.length >= PNG_SIGNATURE.length &&
+    buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)
+  );
+}
+
+/**
+ * build a single PNG chunk (length, type, data, crc)
+ * @param type four character chunk type
+ * @param data chunk payload
+ */
+export function buildChunk(type: string, data: Buffer): Buffer {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const typeAndData = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData), 0);
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * encode raw 8-bit pixels as a PNG
+ * @param width image width in pixels
+ * @param height image height in pixels
+ * @param pixels row-major pixel bytes, channels depend on colorType
+ * @param colorType one of the COLOR_TYPE_* constants
+ */
+export function encodePng({
+  width,
+  height,
+  pixels,
+  colorType = COLOR_TYPE_RGBA,
+}: {
+  width: number;
+  height: number;
+  pixels: Uint8Array;
+  colorType?: number;
+}): Buffer {
+  const channels = channelsByColorType[colorType];
+  if (!channels) {
+    throw new Error(`unsupported PNG color type: ${colorType}`);
+  }
+  const stride = width * channels;
+  if (pixels.length !== stride * height) {
+    throw new Error(
+      `pixel buffer size ${pixels.length} does not match ${width}x${height}`
+    );
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = colorType;
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  // every scanline is prefixed with filter type 0 (none)
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    raw.set(
+      pixels.subarray(y * stride, (y + 1) * stride),
+      y * (stride + 1) + 1
+    );
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    buildChunk("IHDR", header),
+    buildChunk("IDAT", zlib.deflateSync(raw)),
+    buildChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+export interface PngChunk {
+  type: string;
+  data: Buffer;
+}
+
+/**
+ * split a PNG into its chunks
+ * @param buffer PNG bytes
+ */
+export function readChunks(buffer: Buffer): PngChunk[] {
+  if (!isPng(buffer)) {
+    throw new Error("not a PNG image");
+  }
+
+  const chunks: PngChunk[] = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const dataStart = offset + 8;
+    if (dataStart + length + 4 > buffer.length) {
+      throw new Error(`truncated PNG chunk: ${type}`);
+    }
+    chunks.push({ type, data: buffer.subarray(dataStart, dataStart + length) });
+    offset = dataStart + length + 4;
+    if (type === "IEND") {
+      break;
+    }
+  }
+  return chunks;
+}
+
+// split a chunk payload at the next null byte
+function splitAtNull(data: Buffer, start = 0): [Buffer, number] {
+  const end = data.indexOf(0, start);
+  return end === -1
+    ? [data.subarray(start), data.length]
+    : [data.subarray(start, end), end + 1];
+}
+
+/**
+ * read the text chunks (tEXt, zTXt, iTXt) of a PNG
+ * @param buffer PNG bytes
+ * @returns text values by keyword
+ */
+export function readTextChunks(buffer: Buffer): Record<string, string> {
+  const texts: Record<string, string> = {};
+
+  for (const { type, data } of readChunks(buffer)) {
+    try {
+      if (type === "tEXt") {
+        const [keyword, next] = splitAtNull(data);
+        texts[keyword.toString("latin1")] = data
+          .subarray(next)
+          .toString("latin1");
+      } else if (type === "zTXt") {
+        const [keyword, next] = splitAtNull(data);
+        // next byte is the compression method, always zlib
+        texts[keyword.toString("latin1")] = zlib
+          .inflateSync(data.subarray(next + 1))
+          .toString("latin1");
+      } else if (type === "iTXt") {
+        const [keyword, afterKeyword] = splitAtNull(data);
+        const compressed = data[afterKeyword] === 1;
+        // skip compression flag and method, then language tag and translated keyword
+        const [, afterLanguage] = splitAtNull(data, afterKeyword + 2);
+        const [, afterTranslated] = splitAtNull(data, afterLanguage);
+        const text = data.subarray(afterTranslated);
+        texts[keyword.toString("latin1")] = (
+          compressed ? zlib.inflateSync(text) : text
+        ).toString("utf8");
+      }
+    } catch (error) {
+      console.error(`skip unreadable PNG ${type} chunk`);
+    }
+  }
+
+  return texts;
+}
+
+/**
+ * build a text chunk, tEXt when the value is Latin-1, iTXt otherwise
+ * @param keyword chunk keyword, 1-79 Latin-1 characters
+ * @param text chunk value
+ */
+export function buildTextChunk(keyword: string, text: string): Buffer {
+  const isLatin1 = /^[\x00-\xff]*$/.test(text);
+  if (isLatin1) {
+    return buildChunk(
+      "tEXt",
+      Buffer.concat([
+        Buffer.from(keyword, "latin1"),
+        Buffer.from([0]),
+        Buffer.from(text, "latin1"),
+      ])
+    );
+  }
+
+  return buildChunk(
+    "iTXt",
+    Buffer.concat([
+      Buffer.from(keyword, "latin1"),
+      // null separator, no compression, compression method, empty language and translated keyword
+      Buffer.from([0, 0, 0, 0, 0]),
+      Buffer.from(text, "utf8"),
+    ])
+  );
+}
+
+/**
+ * set text chunks on a PNG, replacing existing chunks with the same keywords
+ * new chunks are written right before IEND
+ * @param buffer PNG bytes
+ * @param texts text values by keyword
+ */
+export function setTextChunks(
+  buffer: Buffer,
+  texts: Record<string, string>
+): Buffer {
+  const keywords = new Set(Object.keys(texts));
+  const parts: Buffer[] = [PNG_SIGNATURE];
+
+  for (const chunk of readChunks(buffer)) {
+    if (chunk.type === "IEND") {
+      break;
+    }
+    const isReplaced =
+      ["tEXt", "zTXt", "iTXt"].includes(chunk.type) &&
+      keywords.has(splitAtNull(chunk.data)[0].toString("latin1"));
+    if (!isReplaced) {
+      parts.push(buildChunk(chunk.type, chunk.data));
+    }
+  }
+
+  for (const [keyword, text] of Object.entries(texts)) {
+    parts.push(buildTextChunk(keyword, text));
+  }
+  parts.push(buildChunk("IEND", Buffer.alloc(0)));
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * read the pixel size of a PNG or JPEG image from its header
+ * @param buffer encoded image bytes
+ */
+export function readImageSize(buffer: Buffer): {
+  width: number;
+  height: number;
+} {
+  if (isPng(buffer)) {
+    // IHDR is always the first chunk: signature(8) + length(4) + type(4)
+    return {
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20),
+    };
+  }
+
+  // JPEG: walk the segments until a start-of-frame marker
+  if (buffer.length > 2 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = buffer[offset + 1];
+      const isStartOfFrame =
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        marker !== 0xc4 &&
+        marker !== 0xc8 &&
+        marker !== 0xcc;
+      if (isStartOfFrame) {
+        return {
+          height: buffer.readUInt16BE(offset + 5),
+          width: buffer.readUInt16BE(offset + 7),
+        };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  throw new Error("cannot read image size, only PNG and JPEG are supported");
+}
@@ -0,0 +1,177 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { Jimp } from "jimp";
+import encodeWebpImage, { init as initWebpEncoder } from "@jsquash/webp/encode.js";
+import {
+  OutputFormat,
+  PostProcessOptions,
+} from "../interfaces/index.js";
+
+/**
+ * post-processing of generated images before they are saved
+ * resizing, cropping and format conversion, in JavaScript (WebP through
+ * a WebAssembly encoder) so it runs wherever Node runs
+ */
+
+export interface ProcessedImage {
+  data: Buffer; // encoded in the target format
+  mimeType: string;
+  extension: string; // with leading dot
+  width: number;
+  height: number;
+  // the same image as PNG when the target format can't be read back for previews
+  pngData?: Buffer;
+}
+
+type JimpImage = Awaited<ReturnType<typeof Jimp.read>>;
+
+// the WebAssembly global, not part of the Node type definitions in use
+const wasm = (globalThis as any).WebAssembly;
+
+const DEFAULT_QUALITY = 85;
+
+const formats: Record<OutputFormat, { mimeType: string; extension: string }> = {
+  png: { mimeType: "image/png", extension: ".png" },
+  jpeg: { mimeType: "image/jpeg", extension: ".jpg" },
+  webp: { mimeType: "image/webp", extension: ".webp" },
+};
+
+/**
+ * file extension of an output format
+ */
+export function extensionForFormat(format: OutputFormat): string {
+  return formats[format].extension;
+}
+
+/**
+ * output format implied by a file name, PNG unless it ends in a JPEG or WebP extension
+ */
+export function formatForFileName(fileName: string): OutputFormat {
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension === ".jpg" || extension === ".jpeg") {
+    return "jpeg";
+  }
+  return extension === ".webp" ? "webp" : "png";
+}
+
+// the WebP encoder fetches its wasm by URL by default, which Node can't do,
+// so it is compiled from the package files on first use
+let webpReady: Promise<unknown> | undefined;
+
+function ensureWebpEncoder(): Promise<unknown> {
+  if (!webpReady) {
+    webpReady = (async () => {
+      const require = createRequire(import.meta.url);
+      const codecDir = require
+        .resolve("@jsquash/webp/package.json")
+        .replace(/package\.json$/, "codec/enc/");
+      // the encoder picks its SIMD build when the runtime supports SIMD
+      const simdBinary = await fs.promises.readFile(
+        `${codecDir}webp_enc_simd.wasm`
+      );
+      const binary = wasm.validate(simdBinary)
+        ? simdBinary
+        : await fs.promises.readFile(`${codecDir}webp_enc.wasm`);
+      await initWebpEncoder(await wasm.compile(binary));
+    })();
+    webpReady.catch(() => {
+      webpReady = undefined;
+    });
+  }
+  return webpReady;
+}
+
+/**
+ * encode an image in one of the output formats
+ * @param image decoded image
+ * @param format target format
+ * @param quality JPEG and WebP quality, 1-100
+ */
+export async function encodeImage(
+  image: JimpImage,
+  format: OutputFormat,
+  quality = DEFAULT_QUALITY
+): Promise<Buffer> {
+  if (format === "png") {
+    return image.getBuffer("image/png");
+  }
+
+  if (format === "jpeg") {
+    // JPEG has no alpha channel, flatten transparent areas onto white
+    const flattened = new Jimp({
+      width: image.width,
+      height: image.height,
+      color: 0xffffffff,
+    }).composite(image);
+    return flattened.getBuffer("image/jpeg", { quality });
+  }
+
+  await ensureWebpEncoder();
+  const encoded = await encodeWebpImage(
+    {
+      data: new Uint8ClampedArray(image.bitmap.data),
+      width: image.width,
+      height: image.height,
+      colorSpace: "srgb",
+    } as unknown as Parameters<typeof encodeWebpImage>[0],
+    { quality }
+  );
+  return Buffer.from(encoded);
+}
+
+/**
+ * resize an image in place to the target size
+ * with a single side the other one follows the aspect ratio
+ */
+function resizeImage(
+  image: JimpImage,
+  { width, height, fit = "cover" }: PostProcessOptions
+): void {
+  if (width && height) {
+    switch (fit) {
+      case "cover":
+        image.cover({ w: width, h: height });
+        break;
+      case "contain":
+        image.contain({ w: width, h: height });
+        break;
+      case "fill":
+        image.resize({ w: width, h: height });
+        break;
+      case "inside":
+        // only shrinks, an image that already fits keeps its size
+        if (image.width > width || image.height > height) {
+          image.scaleToFit({ w: width, h: height });
+        }
+        break;
+    }
+  } else if (width) {
+    image.resize({ w: width });
+  } else if (height) {
+    image.resize({ h: height });
+  }
+}
+
+/**
+ * resize, crop and convert an image
+ * @param buffer encoded source image (PNG or JPEG)
+ * @param options target size, fit mode, format and quality
+ */
+export async function postProcessImage(
+  buffer: Buffer,
+  options: PostProcessOptions
+): Promise<ProcessedImage> {
+  const image = await Jimp.read(buffer);
+  resizeImage(image, options);
+
+  const format = options.format || "png";
+  return {
+    data: await encodeImage(image, format, options.quality),
+    ...formats[format],
+    width: image.width,
+    height: image.height,
+    // Jimp decodes PNG and JPEG, but not WebP
+    pngData: format === "webp" ? await encodeImage(image, "png") : undefined,
+  };
+}
@@ -0,0 +1,143 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ImageGenerationParams } from "./schemas.js";
+import { unknownValueMessage } from "./suggest.js";
+
+/**
+ * named parameter presets from .draw-things-presets.json
+ * the file maps preset names to partial generation params, with an
+ * optional "description", e.g.
+ *   { "app-icon": { "description": "Square icon", "width": 1024, "height": 1024 } }
+ * presets in the workspace file override home directory presets of the same name,
+ * with several workspace roots the first root wins
+ */
+
+export const PRESETS_FILE_NAME = ".draw-things-presets.json";
+
+export interface Preset {
+  name: string;
+  description?: string;
+  params: Partial<ImageGenerationParams>;
+  source: string; // file the preset was loaded from
+}
+
+/**
+ * preset files in lookup order, later files win
+ * @param workspaceDirs workspace roots of the client, defaults to the working directory
+ * @param homeDir home directory
+ */
+export function presetFilePaths(
+  workspaceDirs = [process.cwd()],
+  homeDir = os.homedir()
+): string[] {
+  const paths = [
+    path.join(homeDir, PRESETS_FILE_NAME),
+    ...[...workspaceDirs]
+      .reverse()
+      .map((workspaceDir) => path.join(workspaceDir, PRESETS_FILE_NAME)),
+  ];
+  // don't read the same file twice when the workspace is the home directory
+  return paths.filter((filePath, i) => paths.indexOf(filePath) === i);
+}
+
+// parse one preset file, missing files have no presets
+async function readPresetFile(filePath: string): Promise<Preset[]> {
+  let content: string;
+  try {
+    content = await fs.promises.readFile(filePath, "utf8");
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  let data: unknown;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(
+      `invalid JSON in ${filePath}: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${filePath} must contain an object of named presets`);
+  }
+
+  return Object.entries(data as Record<string, unknown>).map(
+    ([name, value]) => {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`preset "${name}" in ${filePath} must be an object`);
+      }
+      const { description, ...params } = value as Record<string, any>;
+      return {
+        name,
+        description: typeof description === "string" ? description : undefined,
+        params,
+        source: filePath,
+      };
+    }
+  );
+}
+
+/**
+ * load all presets, read fresh on every call so edits apply immediately
+ * @param filePaths preset files in lookup order
+ * @returns presets by name
+ */
+export async function loadPresets(
+  filePaths = presetFilePaths()
+): Promise<Map<string, Preset>> {
+  const presets = new Map<string, Preset>();
+  for (const filePath of filePaths) {
+    for (const preset of await readPresetFile(filePath)) {
+      presets.set(preset.name, preset);
+    }
+  }
+  return presets;
+}
+
+/**
+ * merge a preset under the call arguments
+ * arguments that are undefined don't override the preset
+ * @param presets loaded presets
+ * @param name preset name
+ * @param args call arguments
+ */
+export function applyPreset(
+  presets: Map<string, Preset>,
+  name: string,
+  args: Partial<ImageGenerationParams>
+): Partial<ImageGenerationParams> {
+  const preset = presets.get(name);
+  if (!preset) {
+    throw new Error(
+      unknownValueMessage(
+        "preset",
+        name,
+        Array.from(presets.keys()),
+        "listPresets"
+      )
+    );
+  }
+
+  const merged: Record<string, unknown> = { ...preset.params };
+  // a size in the arguments replaces the preset's size, whichever way it is given
+  if (args.width !== undefined || args.height !== undefined) {
+    delete merged.aspect_ratio;
+    delete merged.megapixels;
+  }
+  if (args.aspect_ratio !== undefined || args.megapixels !== undefined) {
+    delete merged.width;
+    delete merged.height;
+  }
+  for (const [key, value] of Object.entries(args)) {
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged as Partial<ImageGenerationParams>;
+}
@@ -0,0 +1,59 @@
+import { Jimp } from "jimp";
+import { stripDataUri } from "./imageInput.js";
+
+/**
+ * preview images for MCP image content blocks
+ * large renders are downscaled so they don't blow the client's context
+ */
+
+export type PreviewFormat = "png" | "jpeg";
+
+export interface PreviewOptions {
+  // longest side of the preview in pixels, 0 sends the original image
+  maxSize: number;
+  format: PreviewFormat;
+  // JPEG quality, 1-100
+  quality?: number;
+}
+
+export interface ImagePreview {
+  data: string; // base64, no data URI prefix
+  mimeType: string;
+  width: number;
+  height: number;
+}
+
+const mimeTypes: Record<PreviewFormat, "image/png" | "image/jpeg"> = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+};
+
+/**
+ * build a preview of a generated image
+ * @param imageData base64 image, with or without data URI prefix
+ * @param options preview size and format
+ */
+export async function createPreview(
+  imageData: string,
+  { maxSize, format, quality = 80 }: PreviewOptions
+): Promise<ImagePreview> {
+  const buffer = Buffer.from(stripDataUri(imageData), "base64");
+  const image = await Jimp.read(buffer);
+
+  if (maxSize > 0 && Math.max(image.width, image.height) > maxSize) {
+    image.scaleToFit({ w: maxSize, h: maxSize });
+  }
+
+  const mimeType = mimeTypes[format];
+  const encoded =
+    mimeType === "image/jpeg"
+      ? await image.getBuffer(mimeType, { quality })
+      : await image.getBuffer(mimeType);
+
+  return {
+    data: encoded.toString("base64"),
+    mimeType,
+    width: image.width,
+    height: image.height,
+  };
+}
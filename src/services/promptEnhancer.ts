@@ -0,0 +1,126 @@
+import {
+  CreateMessageRequest,
+  CreateMessageResult,
+} from "@modelcontextprotocol/sdk/types.js";
+import { detectModelProfile } from "./modelProfiles.js";
+
+/**
+ * prompt enhancement
+ * terse prompts are rewritten by the client's model through MCP sampling,
+ * in the prompt style the target model family responds to best
+ */
+
+export interface EnhancedPrompt {
+  prompt: string;
+  negative_prompt: string;
+}
+
+// sends a sampling/createMessage request to the client
+export type SamplingRequester = (
+  params: CreateMessageRequest["params"]
+) => Promise<CreateMessageResult>;
+
+// how each family likes its prompts written
+const familyStyles: Record<string, string> = {
+  "flux-schnell":
+    "The target is FLUX.1 [schnell]. Write one or two plain English sentences describing the subject, setting, composition, lighting and style. Put any text that must appear in the image in double quotes. Schnell runs without classifier free guidance, so the negative prompt is ignored: keep it to a few words.",
+  flux:
+    "The target is FLUX.1. Write two to four plain English sentences describing the subject, setting, composition, lighting, camera and style. Put any text that must appear in the image in double quotes. Avoid keyword lists and quality tags. FLUX barely uses the negative prompt: keep it to a few words.",
+  sd3: "The target is Stable Diffusion 3. Write two or three plain English sentences describing the subject, setting, composition, lighting and style. Put any text that must appear in the image in double quotes. Add a short negative prompt of things to avoid.",
+  "sdxl-turbo":
+    "The target is SDXL Turbo, which runs in very few steps. Write a short list of comma separated phrases, subject first, then setting, style and lighting, under 40 words. Add a short negative prompt.",
+  sdxl: "The target is Stable Diffusion XL. Write comma separated descriptive phrases, subject first, then setting, style, lighting, medium and a few quality phrases such as \"highly detailed\", under 75 tokens. Add a negative prompt of common defects and unwanted styles.",
+  sd2: "The target is Stable Diffusion 2. Write comma separated keywords, subject first, then setting, style, lighting and quality tags such as \"highly detailed, sharp focus\", under 75 tokens. SD 2 depends on a thorough negative prompt of common defects.",
+  sd15: "The target is Stable Diffusion 1.5. Write comma separated keywords, subject first, then setting, style, lighting, artist style and quality tags such as \"masterpiece, best quality, highly detailed\", under 75 tokens. SD 1.5 depends on a thorough negative prompt of common defects such as bad anatomy, extra limbs, blurry and watermark.",
+};
+
+const genericStyle =
+  "The target model is unknown. Write a detailed comma separated description of the subject, setting, style and lighting, under 75 tokens. Add a negative prompt of common defects.";
+
+/**
+ * build the sampling request asking the client's model to rewrite a prompt
+ * @param prompt prompt as the user wrote it
+ * @param model model file name the image is rendered with
+ */
+export function buildEnhancementRequest(
+  prompt: string,
+  model?: string | null
+): CreateMessageRequest["params"] {
+  const family = detectModelProfile(model)?.family;
+  const style = (family && familyStyles[family]) || genericStyle;
+  return {
+    systemPrompt: [
+      "You rewrite short image generation prompts into detailed ones.",
+      "Keep the subject and intent of the original prompt, add the details it leaves out, and don't invent a different scene.",
+      style,
+      'Answer with a JSON object only: {"prompt": "...", "negative_prompt": "..."}',
+    ].join("\n"),
+    messages: [
+      {
+        role: "user",
+        content: { type: "text", text: `Prompt to rewrite: ${prompt}` },
+      },
+    ],
+    includeContext: "none",
+    temperature: 0.7,
+    maxTokens: 500,
+  };
+}
+
+/**
+ * read the rewritten prompt from the model's answer
+ * JSON is expected, wrapped in a code block or not; a plain text answer is
+ * taken as the prompt itself
+ * @throws Error when the answer has no usable prompt
+ */
+export function parseEnhancement(
+  result: Pick<CreateMessageResult, "content">
+): EnhancedPrompt {
+  const content = result.content as { type: string; text?: string };
+  if (content.type !== "text" || !content.text?.trim()) {
+    throw new Error("The client's model didn't answer with text");
+  }
+  const text = content.text.trim();
+
+  const json = text.match(/\{[\s\S]*\}/);
+  if (json) {
+    try {
+      const parsed = JSON.parse(json[0]);
+      if (typeof parsed.prompt === "string" && parsed.prompt.trim()) {
+        return {
+          prompt: parsed.prompt.trim(),
+          negative_prompt:
+            typeof parsed.negative_prompt === "string"
+              ? parsed.negative_prompt.trim()
+              : "",
+        };
+      }
+    } catch {
+      // not JSON after all, handled as plain text below
+    }
+  }
+
+  const plain = text
+    .replace(/^```[a-z]*\s*|\s*```$/g, "")
+    .replace(/^prompt:\s*/i, "")
+    .trim();
+  if (!plain || plain.startsWith("{")) {
+    throw new Error("The client's model answered without a prompt");
+  }
+  return { prompt: plain, negative_prompt: "" };
+}
+
+/**
+ * rewrite a prompt with the client's model
+ * @param prompt prompt as the user wrote it
+ * @param model model file name the image is rendered with
+ * @param requestSampling sends the sampling request to the client
+ */
+export async function enhancePrompt(
+  prompt: string,
+  model: string | null | undefined,
+  requestSampling: SamplingRequester
+): Promise<EnhancedPrompt> {
+  const result = await requestSampling(buildEnhancementRequest(prompt, model));
+  return parseEnhancement(result);
+}
@@ -0,0 +1,104 @@
+import { ImageGenerationParams } from "./schemas.js";
+import { ImageMetadataResult } from "./imageMetadata.js";
+
+/**
+ * rebuild the params of an earlier generation and apply changes to them
+ * used by the remixImage tool to make "the same but wider" or seed
+ * variations of an image found in the history or on disk
+ */
+
+export interface RemixOverrides extends Partial<ImageGenerationParams> {
+  // text added to the end of the original prompt
+  prompt_append?: string;
+  // added to the original (or overridden) seed
+  seed_offset?: number;
+  // number of images, rendered as batches with consecutive seeds
+  variations?: number;
+}
+
+// seed mode that keeps variations close to the original at other sizes
+export const REMIX_SEED_MODE = "Scale Alike";
+
+// params of the original request that must not be carried over
+const droppedParams: (keyof ImageGenerationParams)[] = [
+  "init_images",
+  "mask",
+  "random_string",
+];
+
+/**
+ * recover generation params from the metadata of a saved image
+ * the exact JSON params are preferred, the A1111 "parameters" text is the fallback
+ * @param metadata result of readImageMetadata
+ */
+export function paramsFromImageMetadata(
+  metadata: ImageMetadataResult
+): ImageGenerationParams {
+  if (metadata.params) {
+    return metadata.params;
+  }
+
+  if (!metadata.parameters) {
+    throw new Error("the image has no generation metadata to remix");
+  }
+
+  const { extra, strength, ...parameters } = metadata.parameters;
+  const params: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(parameters)) {
+    if (value !== undefined && value !== "") {
+      params[key] = value;
+    }
+  }
+  return params as ImageGenerationParams;
+}
+
+/**
+ * apply remix overrides to the params of an earlier generation
+ * @param original effective params of the original image
+ * @param overrides changes requested by the caller
+ */
+export function buildRemixParams(
+  original: ImageGenerationParams,
+  overrides: RemixOverrides
+): ImageGenerationParams {
+  const { prompt_append, seed_offset, variations, ...changes } = overrides;
+
+  const params: ImageGenerationParams = { ...original };
+  for (const key of droppedParams) {
+    delete params[key];
+  }
+  // a remix renders a single image unless variations or a batch size is asked for
+  params.batch_size = 1;
+  params.batch_count = 1;
+
+  // a new aspect ratio replaces the original size
+  if (changes.aspect_ratio !== undefined || changes.megapixels !== undefined) {
+    delete params.width;
+    delete params.height;
+  }
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== undefined) {
+      (params as Record<string, unknown>)[key] = value;
+    }
+  }
+
+  if (prompt_append) {
+    params.prompt = params.prompt
+      ? `${params.prompt}, ${prompt_append}`
+      : prompt_append;
+  }
+
+  // a negative seed was never the image's real one, a new one is picked
+  if (typeof params.seed === "number" && params.seed >= 0) {
+    // seeds are unsigned 32-bit, wrap around instead of going negative
+    params.seed = (params.seed + (seed_offset ?? 0)) >>> 0;
+  }
+
+  if (variations !== undefined) {
+    params.batch_count = variations;
+  }
+
+  params.seed_mode = REMIX_SEED_MODE;
+  return params;
+}
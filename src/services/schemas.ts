@@ -1,109 +1,351 @@
+import { z } from "zod";
+import { findClosestMatches } from "./suggest.js";
+
 /**
- * image generation params interface
+ * image generation params
+ * one zod schema describes every Draw Things parameter, it is the MCP tool
+ * input schema and validates params from presets, history and the service
  */
 
-// params interface
-export interface ImageGenerationParams {
+// sizes Draw Things renders in, multiples of 64 are recommended
+const size = (description: string) =>
+  z.number().int().min(64).max(8192).optional().describe(description);
+const nullableText = (description: string) =>
+  z.string().nullable().optional().describe(description);
+
+export const seedModes = [
+  "Legacy",
+  "Torch CPU Compatible",
+  "Scale Alike",
+  "NVIDIA GPU Compatible",
+] as const;
+
+/**
+ * generation params accepted from MCP clients, as a zod raw shape so tools
+ * can spread it into their input schema
+ */
+export const generationParamsShape = {
   // basic params
-  prompt?: string;
-  negative_prompt?: string;
+  prompt: z.string().optional().describe("What to render"),
+  negative_prompt: z.string().optional().describe("What to avoid"),
 
   // size params
-  width?: number;
-  height?: number;
+  width: size("Image width in pixels, a multiple of 64"),
+  height: size("Image height in pixels, a multiple of 64"),
+
+  aspect_ratio: z
+    .string()
+    .regex(/^\s*\d+(\.\d+)?(\s*[:/x]\s*\d+(\.\d+)?)?\s*$/, "expected e.g. 16:9 or 1.5")
+    .optional()
+    .describe(
+      "Aspect ratio such as 16:9 or 1.5, instead of width and height. Sized for the model family"
+    ),
+  megapixels: z
+    .number()
+    .min(0.05)
+    .max(16)
+    .optional()
+    .describe(
+      "Pixel budget in millions for aspect_ratio, defaults to the model family's native size"
+    ),
+  high_resolution: z
+    .boolean()
+    .optional()
+    .describe(
+      "Render above the model's native size: a first pass at the native size, refined at width and height with hires fix, with tiled diffusion and decoding. Without a size, renders at twice the native width and height"
+    ),
 
   // generate control params
-  steps?: number;
-  seed?: number;
-  guidance_scale?: number;
+  steps: z
+    .number()
+    .int()
+    .min(1)
+    .max(150)
+    .optional()
+    .describe("Number of sampling steps"),
+  seed: z
+    .number()
+    .int()
+    .min(-1)
+    .max(4294967295)
+    .optional()
+    .describe("Random seed, -1 or unset picks one"),
+  seed_mode: z
+    .enum(seedModes)
+    .optional()
+    .describe("How the seed turns into noise, Scale Alike keeps images similar across sizes"),
+  guidance_scale: z
+    .number()
+    .min(0)
+    .max(50)
+    .optional()
+    .describe("How closely the image follows the prompt (CFG scale)"),
+  batch_size: z
+    .number()
+    .int()
+    .min(1)
+    .max(8)
+    .optional()
+    .describe("Number of images rendered together in one batch"),
+  batch_count: z
+    .number()
+    .int()
+    .min(1)
+    .max(16)
+    .optional()
+    .describe("Number of batches to render, one after another"),
+  strength: z
+    .number()
+    .min(0)
+    .max(1)
+    .optional()
+    .describe("How much to change the source image, 0 keeps it, 1 replaces it"),
 
   // model params
-  model?: string;
-  sampler?: string;
+  model: z.string().optional().describe("Model file name, see listModels"),
+  sampler: z.string().optional().describe("Sampler name, see listSamplers"),
+  loras: z
+    .array(
+      z.object({
+        file: z.string().describe("LoRA file name, see listLoras"),
+        weight: z.number().min(-5).max(5).default(1),
+      })
+    )
+    .optional(),
+  controls: z
+    .array(
+      z
+        .object({
+          file: z.string().describe("ControlNet file name"),
+          weight: z.number().min(0).max(2).optional(),
+          guidance_start: z.number().min(0).max(1).optional(),
+          guidance_end: z.number().min(0).max(1).optional(),
+          no_prompt: z.boolean().optional(),
+          global_average_pooling: z.boolean().optional(),
+          down_sampling_rate: z.number().min(1).max(8).optional(),
+          control_mode: z.enum(["Balanced", "Prompt", "Control"]).optional(),
+          target_blocks: z.array(z.string()).optional(),
+          input_override: z.string().optional(),
+        })
+        .passthrough()
+    )
+    .optional()
+    .describe("ControlNets applied to the generation"),
+  clip_skip: z
+    .number()
+    .int()
+    .min(1)
+    .max(23)
+    .optional()
+    .describe("Number of final CLIP layers to skip"),
+  clip_weight: z.number().min(0).max(1).optional(),
+  shift: z
+    .number()
+    .min(0.1)
+    .max(8)
+    .optional()
+    .describe("Noise schedule shift, used by Flux and SD3 style models"),
+  resolution_dependent_shift: z
+    .boolean()
+    .optional()
+    .describe("Derive shift from the image size"),
+  sharpness: z.number().min(0).max(30).optional(),
+  guidance_embed: z
+    .number()
+    .min(0)
+    .max(50)
+    .optional()
+    .describe("Distilled guidance of Flux dev style models"),
+  speed_up_with_guidance_embed: z.boolean().optional(),
+  stochastic_sampling_gamma: z.number().min(0).max(1).optional(),
 
-  // MCP special params
-  random_string?: string;
+  // refiner and second stage
+  refiner_model: nullableText("Model that takes over near the end"),
+  refiner_start: z
+    .number()
+    .min(0)
+    .max(1)
+    .optional()
+    .describe("Fraction of the steps after which the refiner takes over"),
+  stage_2_guidance: z.number().min(0).max(50).optional(),
+  stage_2_shift: z.number().min(0.1).max(8).optional(),
 
-  // allow other params
-  [key: string]: any;
-}
+  // high resolution fix and upscaling
+  hires_fix: z
+    .boolean()
+    .optional()
+    .describe("Render small first, then refine at the full size"),
+  hires_fix_width: size("Width of the first hires fix pass"),
+  hires_fix_height: size("Height of the first hires fix pass"),
+  hires_fix_strength: z.number().min(0).max(1).optional(),
+  upscaler: nullableText("Upscaler model file name"),
+  upscaler_scale: z
+    .number()
+    .int()
+    .min(0)
+    .max(4)
+    .optional()
+    .describe("Upscale factor, 0 uses the upscaler's own"),
 
-// function for validating ImageGenerationParams
-export function validateImageGenerationParams(params: any): {
-  valid: boolean;
-  errors: string[];
-} {
-  const errors: string[] = [];
+  // tiling
+  tiled_decoding: z.boolean().optional(),
+  decoding_tile_width: size("Width of decoding tiles"),
+  decoding_tile_height: size("Height of decoding tiles"),
+  decoding_tile_overlap: z.number().int().min(0).max(1024).optional(),
+  tiled_diffusion: z.boolean().optional(),
+  diffusion_tile_width: size("Width of diffusion tiles"),
+  diffusion_tile_height: size("Height of diffusion tiles"),
+  diffusion_tile_overlap: z.number().int().min(0).max(1024).optional(),
 
-  // check params type
-  if (params.prompt !== undefined && typeof params.prompt !== "string") {
-    errors.push("prompt must be a string");
-  }
+  // inpainting
+  mask_blur: z
+    .number()
+    .min(0)
+    .max(50)
+    .optional()
+    .describe("Blur of the mask edge in pixels, for inpainting"),
+  mask_blur_outset: z
+    .number()
+    .int()
+    .min(-100)
+    .max(1000)
+    .optional()
+    .describe("Pixels the mask grows by before blurring, negative shrinks it"),
+  preserve_original_after_inpaint: z
+    .boolean()
+    .optional()
+    .describe("Keep the pixels outside the mask exactly as in the source image"),
+  image_guidance: z
+    .number()
+    .min(0)
+    .max(50)
+    .optional()
+    .describe("How closely an edit model follows the source image"),
 
-  if (
-    params.negative_prompt !== undefined &&
-    typeof params.negative_prompt !== "string"
-  ) {
-    errors.push("negative_prompt must be a string");
-  }
+  // SDXL conditioning
+  original_width: size("SDXL original size conditioning"),
+  original_height: size("SDXL original size conditioning"),
+  target_width: size("SDXL target size conditioning"),
+  target_height: size("SDXL target size conditioning"),
+  negative_original_width: size("SDXL negative original size conditioning"),
+  negative_original_height: size("SDXL negative original size conditioning"),
+  crop_left: z.number().int().min(0).optional(),
+  crop_top: z.number().int().min(0).optional(),
+  aesthetic_score: z.number().min(0).max(10).optional(),
+  negative_aesthetic_score: z.number().min(0).max(10).optional(),
+  zero_negative_prompt: z.boolean().optional(),
 
-  if (
-    params.width !== undefined &&
-    (typeof params.width !== "number" ||
-      params.width <= 0 ||
-      !Number.isInteger(params.width))
-  ) {
-    errors.push("width must be a positive integer");
-  }
+  // separate text encoders
+  separate_clip_l: z.boolean().optional(),
+  clip_l_text: nullableText("Prompt for the CLIP L encoder"),
+  separate_open_clip_g: z.boolean().optional(),
+  open_clip_g_text: nullableText("Prompt for the OpenCLIP G encoder"),
+  separate_t5: z.boolean().optional(),
+  t5_text: nullableText("Prompt for the T5 encoder"),
+  t5_text_encoder_decoding: z.boolean().optional(),
 
-  if (
-    params.height !== undefined &&
-    (typeof params.height !== "number" ||
-      params.height <= 0 ||
-      !Number.isInteger(params.height))
-  ) {
-    errors.push("height must be a positive integer");
-  }
+  // image prior (Kandinsky)
+  negative_prompt_for_image_prior: z.boolean().optional(),
+  image_prior_steps: z.number().int().min(1).max(150).optional(),
 
-  if (
-    params.steps !== undefined &&
-    (typeof params.steps !== "number" ||
-      params.steps <= 0 ||
-      !Number.isInteger(params.steps))
-  ) {
-    errors.push("steps must be a positive integer");
-  }
+  // video (Stable Video Diffusion)
+  num_frames: z.number().int().min(1).max(201).optional(),
+  fps: z.number().int().min(1).max(60).optional(),
+  motion_scale: z.number().int().min(0).max(255).optional(),
+  guiding_frame_noise: z.number().min(0).max(1).optional(),
+  start_frame_guidance: z.number().min(0).max(50).optional(),
 
-  if (
-    params.seed !== undefined &&
-    (typeof params.seed !== "number" || !Number.isInteger(params.seed))
-  ) {
-    errors.push("seed must be an integer");
-  }
+  // TeaCache and CFG-Zero* speedups
+  tea_cache: z.boolean().optional(),
+  tea_cache_start: z.number().int().min(0).optional(),
+  tea_cache_end: z.number().int().min(-1).optional(),
+  tea_cache_threshold: z.number().min(0).max(1).optional(),
+  tea_cache_max_skip_steps: z.number().int().min(0).optional(),
+  cfg_zero_star: z.boolean().optional(),
+  cfg_zero_init_steps: z.number().int().min(0).optional(),
 
-  if (
-    params.guidance_scale !== undefined &&
-    (typeof params.guidance_scale !== "number" || params.guidance_scale <= 0)
-  ) {
-    errors.push("guidance_scale must be a positive number");
-  }
+  // MCP special params
+  random_string: z.string().optional(),
+};
 
-  if (params.model !== undefined && typeof params.model !== "string") {
-    errors.push("model must be a string");
-  }
+/**
+ * every param the service sends to Draw Things, including the source
+ * image and mask of img2img, unknown keys are rejected
+ */
+export const imageGenerationParamsSchema = z
+  .object({
+    ...generationParamsShape,
+    init_images: z.array(z.string()).optional(),
+    mask: z.string().optional(),
+  })
+  .strict();
 
-  if (params.sampler !== undefined && typeof params.sampler !== "string") {
-    errors.push("sampler must be a string");
-  }
+export type ImageGenerationParams = z.input<typeof imageGenerationParamsSchema>;
 
-  if (
-    params.random_string !== undefined &&
-    typeof params.random_string !== "string"
-  ) {
-    errors.push("random_string must be a string");
+export interface ParamError {
+  field: string; // dotted path, e.g. "loras.0.weight"
+  message: string;
+}
+
+/**
+ * thrown for params that don't match the schema, lists every bad field
+ */
+export class InvalidParamsError extends Error {
+  constructor(public readonly errors: ParamError[]) {
+    super(
+      `invalid parameters: ${errors
+        .map(({ field, message }) => `${field}: ${message}`)
+        .join("; ")}`
+    );
+    this.name = "InvalidParamsError";
   }
+}
 
-  return { valid: errors.length === 0, errors };
+const knownParams = Object.keys(imageGenerationParamsSchema.shape);
+
+// one error per bad field, unknown keys named one by one with suggestions
+function toParamErrors(error: z.ZodError): ParamError[] {
+  return error.issues.flatMap((issue): ParamError[] => {
+    if (issue.code === z.ZodIssueCode.unrecognized_keys) {
+      return issue.keys.map((key) => {
+        const suggestions = findClosestMatches(key, knownParams);
+        return {
+          field: key,
+          message:
+            suggestions.length > 0
+              ? `unknown parameter, did you mean: ${suggestions.join(", ")}?`
+              : "unknown parameter",
+        };
+      });
+    }
+    return [{ field: issue.path.join(".") || "params", message: issue.message }];
+  });
+}
+
+/**
+ * validate generation params against the schema
+ * @param params params from a tool call, preset, history entry or default
+ * @returns the parsed params (defaults such as LoRA weights applied) or the errors
+ */
+export function validateImageGenerationParams(params: unknown):
+  | { valid: true; params: ImageGenerationParams; errors: [] }
+  | { valid: false; errors: ParamError[] } {
+  const result = imageGenerationParamsSchema.safeParse(params);
+  return result.success
+    ? { valid: true, params: result.data, errors: [] }
+    : { valid: false, errors: toParamErrors(result.error) };
+}
+
+/**
+ * validate generation params, throwing when any field is invalid
+ * @throws InvalidParamsError naming every bad field
+ */
+export function assertValidParams(params: unknown): ImageGenerationParams {
+  const result = validateImageGenerationParams(params);
+  if (!result.valid) {
+    throw new InvalidParamsError(result.errors);
+  }
+  return result.params;
 }
 
 // response interface
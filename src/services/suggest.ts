@@ -0,0 +1,86 @@
+/**
+ * "did you mean" helpers for user provided names
+ */
+
+// Levenshtein edit distance between two strings
+function editDistance(a: string, b: string): number {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// lower-case words of a name, ignoring separators and the file extension
+function tokenize(name: string): string[] {
+  return name
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * find the candidates closest to a value
+ * substring matches come first, then names containing every word of the
+ * value, then small edit distances
+ * @param value user provided name
+ * @param candidates known names
+ * @param limit max number of suggestions
+ */
+export function findClosestMatches(
+  value: string,
+  candidates: string[],
+  limit = 3
+): string[] {
+  const needle = value.toLowerCase();
+  const maxDistance = Math.max(3, Math.floor(needle.length / 3));
+
+  return candidates
+    .map((candidate) => {
+      const haystack = candidate.toLowerCase();
+      const candidateTokens = tokenize(candidate);
+      const valueTokens = tokenize(value);
+      const score =
+        haystack.includes(needle) || needle.includes(haystack)
+          ? 0
+          : valueTokens.length > 0 &&
+            valueTokens.every((token) => candidateTokens.includes(token))
+          ? 1
+          : editDistance(needle, haystack);
+      return { candidate, score };
+    })
+    .filter(({ score }) => score <= maxDistance)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * build an "unknown value" message with suggestions
+ * @param kind what was looked up, e.g. "model"
+ * @param value user provided name
+ * @param candidates known names
+ * @param listTool name of the tool that lists the known values
+ */
+export function unknownValueMessage(
+  kind: string,
+  value: string,
+  candidates: string[],
+  listTool: string
+): string {
+  const suggestions = findClosestMatches(value, candidates);
+  return suggestions.length > 0
+    ? `unknown ${kind} "${value}", did you mean: ${suggestions.join(", ")}?`
+    : `unknown ${kind} "${value}", use ${listTool} to see available values`;
+}
@@ -0,0 +1,347 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jimp } from 'jimp';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { buildComfyUiWorkflow } from '../src/services/adapters/index.ts';
+import { InvalidParamsError } from '../src/services/schemas.ts';
+import { splitSamplerName, toA1111Sampler, toComfyUiSampler } from '../src/services/adapters/samplerNames.ts';
+import { imageColor, solidPng } from './mock/mockDrawThingsServer.js';
+import { startMockA1111Server } from './mock/mockA1111Server.js';
+import { startMockComfyUiServer } from './mock/mockComfyUiServer.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+// size and top left pixel of a saved image
+async function readImage(filePath) {
+  const image = await Jimp.read(filePath);
+  return {
+    width: image.bitmap.width,
+    height: image.bitmap.height,
+    color: Array.from(image.bitmap.data.subarray(0, 3)),
+  };
+}
+
+describe('sampler names', () => {
+  it('splits the noise schedule off Draw Things sampler names', () => {
+    assert.deepEqual(splitSamplerName('DPM++ 2M Karras'), { base: 'DPM++ 2M', schedule: 'karras' });
+    assert.deepEqual(splitSamplerName('Euler A Trailing'), { base: 'Euler A', schedule: 'trailing' });
+    assert.deepEqual(splitSamplerName('DDIM'), { base: 'DDIM' });
+  });
+
+  it('maps samplers to A1111 names and schedulers', () => {
+    assert.deepEqual(toA1111Sampler('DPM++ 2M Karras'), { sampler_name: 'DPM++ 2M', scheduler: 'Karras' });
+    assert.deepEqual(toA1111Sampler('Euler A Trailing'), { sampler_name: 'Euler a', scheduler: 'SGM Uniform' });
+    assert.deepEqual(toA1111Sampler('DPM++ 2M AYS'), { sampler_name: 'DPM++ 2M', scheduler: 'Align Your Steps' });
+    assert.deepEqual(toA1111Sampler('Euler'), { sampler_name: 'Euler' });
+  });
+
+  it('maps samplers to ComfyUI names and schedulers', () => {
+    assert.deepEqual(toComfyUiSampler('DPM++ 2M Karras'), { sampler_name: 'dpmpp_2m', scheduler: 'karras' });
+    assert.deepEqual(toComfyUiSampler('Euler A'), { sampler_name: 'euler_ancestral', scheduler: 'normal' });
+    assert.deepEqual(toComfyUiSampler('uni_pc'), { sampler_name: 'uni_pc', scheduler: 'normal' });
+    assert.throws(() => toComfyUiSampler('TCD'), /"TCD" has no ComfyUI counterpart/);
+  });
+});
+
+describe('A1111 adapter', () => {
+  const temp = createTempDir();
+  let mock;
+  let service;
+
+  before(async () => {
+    mock = await startMockA1111Server();
+    service = new DrawThingsService(mock.url, { imagesDir: temp.imagesDir, apiType: 'a1111' });
+  });
+
+  after(async () => {
+    await mock.close();
+    temp.remove();
+  });
+
+  it('sends the WebUI param names and reads the seeds from info', async () => {
+    const result = await service.generateImage({
+      prompt: 'a red barn',
+      model: 'sd_xl_base_1.0.safetensors',
+      sampler: 'DPM++ 2M Karras',
+      guidance_scale: 6,
+      batch_count: 2,
+      width: 128,
+      height: 64,
+      clip_skip: 2,
+      loras: [{ file: 'add_detail.safetensors', weight: 0.6 }],
+    });
+    assert.equal(result.isError, false, result.errorMessage);
+
+    const body = mock.generations().at(-1).body;
+    assert.equal(body.prompt, 'a red barn <lora:add_detail:0.6>');
+    assert.equal(body.sampler_name, 'DPM++ 2M');
+    assert.equal(body.scheduler, 'Karras');
+    assert.equal(body.cfg_scale, 6);
+    assert.equal(body.n_iter, 2);
+    assert.deepEqual(body.override_settings, {
+      sd_model_checkpoint: 'sd_xl_base_1.0.safetensors',
+      CLIP_stop_at_last_layers: 2,
+    });
+
+    // the WebUI reports the seed of every image in info
+    assert.deepEqual(result.seeds, [body.seed, body.seed + 1]);
+    const image = await readImage(result.imagePaths[1]);
+    assert.deepEqual(image, { width: 128, height: 64, color: imageColor(body.prompt, body.seed + 1) });
+  });
+
+  it('renders hires fix at the first pass size and upscales to the requested one', async () => {
+    const result = await service.generateImage({
+      prompt: 'castle',
+      model: 'sd_xl_base_1.0.safetensors',
+      width: 128,
+      height: 128,
+      hires_fix: true,
+      hires_fix_width: 64,
+      hires_fix_height: 64,
+      hires_fix_strength: 0.5,
+    });
+    assert.equal(result.isError, false, result.errorMessage);
+
+    const body = mock.generations().at(-1).body;
+    assert.equal(body.enable_hr, true);
+    assert.deepEqual([body.width, body.height, body.hr_resize_x, body.hr_resize_y], [64, 64, 128, 128]);
+    assert.equal(body.denoising_strength, 0.5);
+    assert.equal((await readImage(result.imagePath)).width, 128);
+  });
+
+  it('sends the transform strength as denoising_strength', async () => {
+    const source = solidPng(32, 32, [10, 20, 30]).toString('base64');
+    const result = await service.transformImage(
+      { prompt: 'watercolor', model: 'sd_xl_base_1.0.safetensors', strength: 0.4 },
+      source
+    );
+    assert.equal(result.isError, false, result.errorMessage);
+
+    const { url, body } = mock.generations().at(-1);
+    assert.equal(url, '/sdapi/v1/img2img');
+    assert.equal(body.denoising_strength, 0.4);
+    assert.deepEqual(body.init_images, [source]);
+  });
+
+  it('reports the WebUI rejecting a sampler', async () => {
+    const result = await service.generateImage({
+      prompt: 'castle',
+      model: 'sd_xl_base_1.0.safetensors',
+      sampler: 'UniPC',
+    });
+    assert.equal(result.isError, true);
+    assert.match(result.errorMessage, /API error: 422/);
+  });
+
+  it('upscales with the extras endpoint', async () => {
+    const result = await service.upscaleImage(
+      { upscaler: 'R-ESRGAN 4x+', upscaler_scale: 2 },
+      solidPng(100, 60, [10, 200, 10]).toString('base64')
+    );
+    assert.equal(result.isError, false, result.errorMessage);
+
+    const { body } = mock.requests.at(-1);
+    assert.equal(body.upscaler_1, 'R-ESRGAN 4x+');
+    assert.equal(body.upscaling_resize, 2);
+    const saved = await readImage(result.imagePath);
+    assert.deepEqual([saved.width, saved.height], [200, 120]);
+
+    const unknown = await service.upscaleImage({ upscaler: 'realesrgan_x4plus_f16.ckpt' }, solidPng(64, 64, [0, 0, 0]).toString('base64'));
+    assert.equal(unknown.isError, true);
+    assert.match(unknown.errorMessage, /API error: 422/);
+  });
+
+  it('upscales with the WebUI upscaler when none is named', async () => {
+    const result = await service.upscaleImage({}, solidPng(64, 64, [0, 0, 0]).toString('base64'));
+    assert.equal(result.isError, false, result.errorMessage);
+    assert.equal(mock.requests.at(-1).body.upscaler_1, 'R-ESRGAN 4x+');
+  });
+
+  it('lists the WebUI models by file name', async () => {
+    const models = await service.listModels();
+    assert.deepEqual(
+      models.map((model) => model.name),
+      ['v1-5-pruned-emaonly.safetensors', 'sd_xl_base_1.0.safetensors']
+    );
+    assert.ok((await service.listSamplers()).some((sampler) => sampler.name === 'Euler a'));
+  });
+});
+
+describe('ComfyUI adapter', () => {
+  const temp = createTempDir();
+  let mock;
+  let service;
+  const params = {
+    model: 'sd_xl_base_1.0.safetensors',
+    sampler: 'Euler A',
+    steps: 4,
+  };
+
+  before(async () => {
+    mock = await startMockComfyUiServer();
+    service = new DrawThingsService(mock.url, { imagesDir: temp.imagesDir, apiType: 'comfyui' });
+  });
+
+  after(async () => {
+    await mock.close();
+    temp.remove();
+  });
+
+  it('chains LoRAs between the checkpoint and the prompts', () => {
+    const workflow = buildComfyUiWorkflow(
+      'txt2img',
+      {
+        ...params,
+        prompt: 'fox',
+        width: 512,
+        height: 512,
+        guidance_scale: 5,
+        loras: [
+          { file: 'a.safetensors', weight: 0.5 },
+          { file: 'b.safetensors', weight: 1 },
+        ],
+      },
+      42
+    );
+    assert.deepEqual(workflow.lora_1.inputs.model, ['checkpoint', 0]);
+    assert.deepEqual(workflow.lora_2.inputs.clip, ['lora_1', 1]);
+    assert.deepEqual(workflow.positive.inputs.clip, ['lora_2', 1]);
+    assert.deepEqual(workflow.sampler.inputs.model, ['lora_2', 0]);
+    assert.equal(workflow.sampler.inputs.seed, 42);
+    assert.equal(workflow.sampler.inputs.sampler_name, 'euler_ancestral');
+  });
+
+  it('queues one workflow per image and downloads the results', async () => {
+    const result = await service.generateImage({
+      ...params,
+      prompt: 'lighthouse',
+      seed: 7,
+      batch_size: 2,
+      width: 128,
+      height: 64,
+    });
+    assert.equal(result.isError, false, result.errorMessage);
+    assert.deepEqual(result.seeds, [7, 8]);
+
+    const workflows = mock.workflows().slice(-2);
+    assert.deepEqual(
+      workflows.map((workflow) => workflow.sampler.inputs.seed),
+      [7, 8]
+    );
+    assert.equal(workflows[0].latent.inputs.width, 128);
+    for (const [index, seed] of [7, 8].entries()) {
+      const image = await readImage(result.imagePaths[index]);
+      assert.deepEqual(image, { width: 128, height: 64, color: imageColor('lighthouse', seed) });
+    }
+  });
+
+  it('renders high_resolution in two passes', async () => {
+    const workflow = buildComfyUiWorkflow(
+      'txt2img',
+      { ...params, prompt: 'fox', width: 2048, height: 2048, hires_fix: true, hires_fix_width: 1024, hires_fix_height: 1024, hires_fix_strength: 0.5 },
+      1
+    );
+    assert.deepEqual([workflow.latent.inputs.width, workflow.latent.inputs.height], [1024, 1024]);
+    assert.deepEqual(workflow.hires_upscale.inputs.samples, ['sampler', 0]);
+    assert.deepEqual([workflow.hires_upscale.inputs.width, workflow.hires_upscale.inputs.height], [2048, 2048]);
+    assert.equal(workflow.hires_sampler.inputs.denoise, 0.5);
+    assert.deepEqual(workflow.decode.inputs.samples, ['hires_sampler', 0]);
+
+    const result = await service.generateImage({ ...params, prompt: 'wide fox', seed: 5, width: 1536, height: 1024, high_resolution: true });
+    assert.equal(result.isError, false, result.errorMessage);
+    const queued = mock.workflows().at(-1);
+    assert.ok(queued.latent.inputs.width < 1536);
+    assert.deepEqual([queued.hires_upscale.inputs.width, queued.hires_upscale.inputs.height], [1536, 1024]);
+    const saved = await readImage(result.imagePath);
+    assert.deepEqual([saved.width, saved.height], [1536, 1024]);
+  });
+
+  it('uploads the source image for a transform', async () => {
+    const result = await service.transformImage(
+      { ...params, prompt: 'oil painting', seed: 3, strength: 0.3 },
+      solidPng(40, 24, [200, 10, 10]).toString('base64')
+    );
+    assert.equal(result.isError, false, result.errorMessage);
+
+    const workflow = mock.workflows().at(-1);
+    assert.equal(workflow.sampler.inputs.denoise, 0.3);
+    assert.ok(mock.uploads.has(workflow.source.inputs.image));
+    assert.deepEqual(await readImage(result.imagePath), {
+      width: 40,
+      height: 24,
+      color: imageColor('oil painting', 3),
+    });
+  });
+
+  it('upscales with an upscaler model, then to the exact factor', async () => {
+    const result = await service.upscaleImage(
+      { model: params.model, upscaler: 'RealESRGAN_x4plus.pth', upscaler_scale: 2 },
+      solidPng(128, 64, [10, 10, 200]).toString('base64')
+    );
+    assert.equal(result.isError, false, result.errorMessage);
+
+    const workflow = mock.workflows().at(-1);
+    assert.equal(workflow.upscaler.inputs.model_name, 'RealESRGAN_x4plus.pth');
+    assert.deepEqual(workflow.upscale.inputs.image, ['source', 0]);
+    assert.ok(mock.uploads.has(workflow.source.inputs.image));
+    assert.deepEqual([workflow.resize.inputs.width, workflow.resize.inputs.height], [256, 128]);
+    const saved = await readImage(result.imagePath);
+    assert.deepEqual([saved.width, saved.height], [256, 128]);
+  });
+
+  it('asks for an upscaler, ComfyUI has no default one', async () => {
+    const source = solidPng(64, 64, [0, 0, 0]).toString('base64');
+    await assert.rejects(
+      service.upscaleImage({ model: params.model }, source),
+      (error) => error instanceof InvalidParamsError && error.errors[0].field === 'upscaler'
+    );
+    assert.deepEqual(service.validateUpscaleParams({ upscaler: 'RealESRGAN_x4plus.pth' }), []);
+  });
+
+  it('reports validation and execution errors', async () => {
+    const invalid = await service.generateImage({ ...params, model: 'missing.ckpt', prompt: 'x' });
+    assert.equal(invalid.isError, true);
+    assert.match(invalid.errorMessage, /API error: 400 - Prompt outputs failed validation/);
+
+    mock.setScenario({ executionError: 'CUDA out of memory' });
+    try {
+      const failed = await service.generateImage({ ...params, prompt: 'x', width: 64, height: 64 });
+      assert.equal(failed.isError, true);
+      assert.match(failed.errorMessage, /ComfyUI execution failed: CUDA out of memory/);
+    } finally {
+      mock.setScenario();
+    }
+  });
+
+  it('removes the queued images of a cancelled request', async () => {
+    mock.setScenario({ latencyMs: 5000 });
+    try {
+      const controller = new AbortController();
+      const pending = service.generateImage(
+        { ...params, prompt: 'slow', batch_size: 3, width: 64, height: 64 },
+        { signal: controller.signal }
+      );
+      // wait until all three are queued
+      while (mock.pending().length < 3) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      controller.abort();
+
+      const result = await pending;
+      assert.equal(result.cancelled, true);
+      assert.deepEqual(mock.pending(), []);
+      assert.ok(mock.requests.some(({ url }) => url === '/interrupt'));
+    } finally {
+      mock.setScenario();
+    }
+  });
+
+  it('lists checkpoints, samplers and LoRAs from object_info', async () => {
+    assert.deepEqual(
+      (await service.listModels()).map((model) => model.name),
+      ['sd_xl_base_1.0.safetensors', 'v1-5-pruned-emaonly.safetensors']
+    );
+    assert.ok((await service.listSamplers()).some((sampler) => sampler.name === 'dpmpp_2m'));
+    assert.deepEqual((await service.listLoras()).map((lora) => lora.name), ['add_detail.safetensors']);
+  });
+});
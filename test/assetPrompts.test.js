@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { assetPrompts, formatAssetPromptMessage } from '../src/services/assetPrompts.ts';
+import { assertValidParams } from '../src/services/schemas.ts';
+
+const byName = (name) => assetPrompts.find((assetPrompt) => assetPrompt.name === name);
+
+// the generateImage arguments of an expanded prompt message
+const messageArguments = (message) => JSON.parse(message.match(/```json\n([\s\S]*?)\n```/)[1]);
+
+describe('asset prompts', () => {
+  it('covers the common asset types', () => {
+    assert.deepEqual(
+      assetPrompts.map((assetPrompt) => assetPrompt.name),
+      ['ui-illustration', 'app-icon', 'hero-banner', 'avatar-placeholder', 'texture']
+    );
+  });
+
+  it('expands every prompt into valid generateImage arguments', () => {
+    for (const assetPrompt of assetPrompts) {
+      // the first argument is what the asset shows
+      const args = { [assetPrompt.arguments[0].name]: 'a lighthouse' };
+      const message = formatAssetPromptMessage(assetPrompt, assetPrompt.expand(args));
+      const generateArgs = messageArguments(message);
+      assert.doesNotThrow(() => assertValidParams(generateArgs), assetPrompt.name);
+      assert.match(generateArgs.prompt, /a lighthouse/);
+      assert.match(generateArgs.negative_prompt, /watermark/);
+    }
+  });
+
+  it('applies the style, platform and copy space choices', () => {
+    const icon = byName('app-icon').expand({ subject: 'a paper plane', style: 'glyph', platform: 'android' });
+    assert.match(icon.prompt, /adaptive app icon/);
+    assert.match(icon.prompt, /single centered symbol of a paper plane/);
+    assert.match(icon.prompt, /glyph/);
+    assert.deepEqual(icon.params, { aspect_ratio: '1:1' });
+
+    const banner = byName('hero-banner').expand({ subject: 'mountains', copy_space: 'right', aspect_ratio: '21:9' });
+    assert.match(banner.prompt, /empty area on the right/);
+    assert.equal(banner.params.aspect_ratio, '21:9');
+    const noCopySpace = byName('hero-banner').expand({ subject: 'mountains', copy_space: 'none' });
+    assert.doesNotMatch(noCopySpace.prompt, /headline/);
+  });
+
+  it('falls back to the defaults for unset and empty arguments', () => {
+    const avatar = byName('avatar-placeholder').expand({ subject: '  ', model: 'sd_xl_base_1.0_f16.ckpt' });
+    assert.match(avatar.prompt, /^flat vector avatar illustration, .*a person/);
+    assert.match(avatar.prompt, /soft pastel background/);
+    assert.deepEqual(avatar.params, { model: 'sd_xl_base_1.0_f16.ckpt', aspect_ratio: '1:1' });
+
+    const illustration = byName('ui-illustration').expand({ subject: 'empty inbox' });
+    assert.match(illustration.negative_prompt, /photorealistic/);
+    assert.equal(illustration.params.aspect_ratio, '4:3');
+    assert.doesNotMatch(byName('ui-illustration').expand({ subject: 'x', style: '3d' }).negative_prompt, /photorealistic/);
+  });
+
+  it('adds follow-up tips to the message', () => {
+    const assetPrompt = byName('app-icon');
+    const message = formatAssetPromptMessage(assetPrompt, assetPrompt.expand({ subject: 'a leaf' }));
+    assert.match(message, /^Generate an app icon with the generateImage tool/);
+    assert.match(message, /generateIconSet/);
+  });
+});
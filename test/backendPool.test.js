@@ -0,0 +1,301 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+
+import {
+  BackendPool,
+  BackendUnavailableError,
+  backoffDelay,
+  isFailoverError,
+  isRetryableError,
+  parseBackendConfigs,
+} from '../src/services/backendPool.ts';
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { startFakeDrawThingsApi } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+// URL of a local port nothing listens on, requests to it are refused
+async function refusingUrl() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return `http://127.0.0.1:${port}`;
+}
+
+describe('parseBackendConfigs', () => {
+  it('accepts comma-separated URLs, JSON and config file lists', () => {
+    assert.deepEqual(parseBackendConfigs('http://laptop.local:7888, http://desktop.local:7888/'), [
+      { name: 'laptop.local:7888', url: 'http://laptop.local:7888' },
+      { name: 'desktop.local:7888', url: 'http://desktop.local:7888' },
+    ]);
+    assert.deepEqual(
+      parseBackendConfigs('[{"name":"desktop","url":"http://10.0.0.2:7888","weight":3,"models":["flux.ckpt"]}]'),
+      [{ name: 'desktop', url: 'http://10.0.0.2:7888', weight: 3, models: ['flux.ckpt'] }]
+    );
+    assert.equal(parseBackendConfigs(['http://a:1', { url: 'http://b:2', weight: 0 }]).length, 2);
+  });
+
+  it('rejects invalid backends, naming the entry', () => {
+    assert.throws(() => parseBackendConfigs([]), /non-empty list/);
+    assert.throws(() => parseBackendConfigs([{ url: 'nope' }]), /backend 1: url must be a URL/);
+    assert.throws(() => parseBackendConfigs(['http://a:1', { url: 'http://b:2', weight: -1 }]), /backend 2: weight/);
+    assert.throws(() => parseBackendConfigs([{ url: 'http://a:1', models: [] }]), /models must be a non-empty list/);
+    assert.throws(() => parseBackendConfigs([{ url: 'http://a:1', gpu: 'm2' }]), /unknown key\(s\) gpu/);
+    assert.throws(() => parseBackendConfigs(['http://a:1', 'http://a:1']), /"a:1" is used twice/);
+    assert.throws(() => parseBackendConfigs([{ url: 'http://a:1', weight: 0 }]), /weight above 0/);
+  });
+});
+
+describe('BackendPool', () => {
+  const configs = [
+    { name: 'laptop', url: 'http://laptop:7888', weight: 1 },
+    { name: 'desktop', url: 'http://desktop:7888', weight: 3 },
+    { name: 'standby', url: 'http://standby:7888', weight: 0 },
+    { name: 'flux-box', url: 'http://flux:7888', weight: 1, models: ['flux_1_dev.ckpt'] },
+  ];
+  const names = (backends) => backends.map((backend) => backend.name);
+
+  it('orders healthy backends by weight, standby backends last', () => {
+    // 0.5 of a total weight of 4 falls into the desktop's share
+    const pool = new BackendPool(configs.slice(0, 3), { random: () => 0.5 });
+    assert.deepEqual(names(pool.candidates('sd_xl_base_1.0_f16.ckpt')), ['desktop', 'laptop', 'standby']);
+    const low = new BackendPool(configs.slice(0, 3), { random: () => 0.1 });
+    assert.deepEqual(names(low.candidates()), ['laptop', 'desktop', 'standby']);
+  });
+
+  it('only routes a model to backends that allow it', () => {
+    const pool = new BackendPool(configs, { random: () => 0 });
+    assert.ok(names(pool.candidates('flux_1_dev.ckpt')).includes('flux-box'));
+    assert.ok(!names(pool.candidates('sd_xl_base_1.0_f16.ckpt')).includes('flux-box'));
+
+    const fluxOnly = new BackendPool([configs[3]]);
+    assert.throws(() => fluxOnly.candidates('sd_xl_base_1.0_f16.ckpt'), /no backend serves model "sd_xl_base_1.0_f16.ckpt"/);
+  });
+
+  it('tries unhealthy backends last until their cooldown is over', async () => {
+    const pool = new BackendPool(configs.slice(0, 2), { random: () => 0.5, cooldownMs: 50 });
+    pool.markUnhealthy(pool.backends[1], new Error('connect ECONNREFUSED'));
+    assert.deepEqual(names(pool.candidates()), ['laptop', 'desktop']);
+
+    const status = pool.status().find((backend) => backend.name === 'desktop');
+    assert.equal(status.healthy, false);
+    assert.equal(status.lastError, 'connect ECONNREFUSED');
+    assert.ok(status.retryAt);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.deepEqual(names(pool.candidates()), ['desktop', 'laptop']);
+    pool.markHealthy(pool.backends[1]);
+    assert.equal(pool.status()[1].healthy, true);
+  });
+
+  it('fails over on connection and server errors only', () => {
+    assert.equal(isFailoverError({ code: 'ECONNREFUSED' }), true);
+    assert.equal(isFailoverError({ code: 'ECONNABORTED' }), true);
+    assert.equal(isFailoverError({ response: { status: 503 } }), true);
+    assert.equal(isFailoverError({ response: { status: 400 } }), false);
+    assert.equal(isFailoverError({ code: 'ERR_CANCELED' }), false);
+  });
+
+  it('retries refused connections with a jittered exponential backoff', () => {
+    assert.equal(isRetryableError({ code: 'ECONNREFUSED' }), true);
+    assert.equal(isRetryableError({ code: 'ECONNRESET' }), true);
+    assert.equal(isRetryableError({ code: 'ECONNABORTED' }), false);
+    assert.equal(isRetryableError({ response: { status: 503 } }), false);
+
+    assert.equal(backoffDelay(0, 500, () => 1), 500);
+    assert.equal(backoffDelay(3, 500, () => 1), 4000);
+    assert.equal(backoffDelay(3, 500, () => 0.25), 1000);
+    assert.equal(backoffDelay(20, 500, () => 1), 10000);
+  });
+
+  it('opens the circuit after failures in a row and half-opens it after the cooldown', async () => {
+    const pool = new BackendPool([configs[0]], { failureThreshold: 2, cooldownMs: 50 });
+    const [laptop] = pool.backends;
+    pool.markUnhealthy(laptop, new Error('connect ECONNREFUSED'));
+    assert.equal(pool.circuitState(laptop), 'closed');
+    assert.deepEqual(names(pool.candidates()), ['laptop']);
+
+    pool.markUnhealthy(laptop, new Error('connect ECONNREFUSED'));
+    assert.equal(pool.circuitState(laptop), 'open');
+    assert.throws(() => pool.candidates(), BackendUnavailableError);
+    assert.throws(() => pool.available(), /laptop failed 2 times in a row \(connect ECONNREFUSED\)/);
+    assert.equal(pool.status()[0].state, 'open');
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.equal(pool.circuitState(laptop), 'half-open');
+    assert.deepEqual(names(pool.candidates()), ['laptop']);
+
+    pool.markHealthy(laptop);
+    const status = pool.status()[0];
+    assert.equal(status.state, 'closed');
+    assert.equal(status.consecutiveFailures, 0);
+    assert.ok(status.upSince);
+    assert.equal(status.lastError, 'connect ECONNREFUSED');
+  });
+});
+
+describe('DrawThingsService with several backends', () => {
+  const temp = createTempDir();
+
+  after(() => {
+    temp.remove();
+  });
+
+  it('fails over to the next backend and reports the one that served', async () => {
+    const api = await startFakeDrawThingsApi();
+    try {
+      const service = new DrawThingsService(undefined, {
+        imagesDir: temp.imagesDir,
+        backends: [
+          { name: 'laptop', url: await refusingUrl(), weight: 100 },
+          { name: 'desktop', url: api.url, weight: 1 },
+        ],
+      });
+
+      const result = await service.generateImage({ prompt: 'failover', width: 64, height: 64 });
+      assert.equal(result.isError, false);
+      assert.equal(result.metadata.backend, 'desktop');
+      assert.equal((await service.history.get(result.historyIds[0])).backend, 'desktop');
+
+      const laptop = service.backends.status().find((backend) => backend.name === 'laptop');
+      assert.equal(laptop.healthy, false);
+      assert.match(laptop.lastError, /ECONNREFUSED/);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('does not fail over when the request itself is rejected', async () => {
+    const rejecting = await startFakeDrawThingsApi({
+      handler: (req, body, res) => {
+        if (req.url === '/sdapi/v1/txt2img') {
+          res.statusCode = 400;
+          res.end(JSON.stringify({ error: 'bad request' }));
+          return true;
+        }
+        return false;
+      },
+    });
+    const other = await startFakeDrawThingsApi();
+    try {
+      const service = new DrawThingsService(undefined, {
+        imagesDir: temp.imagesDir,
+        backends: [
+          { name: 'first', url: rejecting.url, weight: 100 },
+          { name: 'second', url: other.url, weight: 1 },
+        ],
+      });
+      // the weighted pick is random, force the rejecting backend first
+      service.backends.candidates = () => service.backends.backends;
+
+      const result = await service.generateImage({ prompt: 'rejected', width: 64, height: 64 });
+      assert.equal(result.isError, true);
+      assert.match(result.errorMessage, /API error: 400 - bad request/);
+      assert.equal(other.requests.length, 0);
+    } finally {
+      await rejecting.close();
+      await other.close();
+    }
+  });
+
+  it('retries a backend that dropped the connection after a backoff', async () => {
+    let dropped = 0;
+    const api = await startFakeDrawThingsApi({
+      handler: (req, body, res) => {
+        if (req.url === '/sdapi/v1/txt2img' && dropped < 2) {
+          dropped++;
+          res.socket.destroy();
+          return true;
+        }
+        return false;
+      },
+    });
+    try {
+      const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir, retryDelayMs: 1 });
+      const result = await service.generateImage({ prompt: 'retried', width: 64, height: 64 });
+      assert.equal(result.isError, false, result.errorMessage);
+      assert.equal(dropped, 2);
+
+      const [status] = service.getStatus().backends;
+      assert.equal(status.state, 'closed');
+      assert.equal(status.consecutiveFailures, 0);
+      assert.match(status.lastError, /socket hang up/);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('fails fast once the circuit of a dead backend is open', async () => {
+    const service = new DrawThingsService(await refusingUrl(), {
+      imagesDir: temp.imagesDir,
+      retries: 1,
+      retryDelayMs: 1,
+      failureThreshold: 2,
+    });
+    const first = await service.generateImage({ prompt: 'dead', width: 64, height: 64 });
+    assert.match(first.errorMessage, /cannot connect to Draw Things API/);
+    assert.equal(service.getStatus().status, 'unavailable');
+    assert.equal(service.getStatus().backends[0].state, 'open');
+
+    const second = await service.generateImage({ prompt: 'dead', width: 64, height: 64 });
+    assert.match(second.errorMessage, /no backend available, failing fast/);
+    await assert.rejects(service.listModels(), BackendUnavailableError);
+  });
+
+  it('closes the circuit when the health probe reaches the backend again', async () => {
+    const api = await startFakeDrawThingsApi();
+    const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir, failureThreshold: 1 });
+    try {
+      const [backend] = service.backends.backends;
+      service.backends.markUnhealthy(backend, new Error('connect ECONNREFUSED'));
+      assert.equal(service.backends.circuitState(backend), 'open');
+
+      service.startHealthMonitor(10);
+      for (let i = 0; i < 100 && !backend.healthy; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      const status = service.getStatus();
+      assert.equal(status.status, 'ok');
+      assert.equal(status.healthCheckIntervalMs, 10);
+      assert.equal(status.backends[0].state, 'closed');
+      assert.ok(status.backends[0].lastCheckAt);
+    } finally {
+      service.stopHealthMonitor();
+      await api.close();
+    }
+  });
+
+  it('merges the catalogs of every reachable backend', async () => {
+    const catalogApi = (models) =>
+      startFakeDrawThingsApi({
+        handler: (req, body, res) => {
+          if (req.url === '/sdapi/v1/sd-models') {
+            res.end(JSON.stringify(models.map((name) => ({ title: name, filename: name }))));
+            return true;
+          }
+          return false;
+        },
+      });
+    const laptop = await catalogApi(['sd_v1.5_f16.ckpt', 'flux_1_schnell_q5p.ckpt']);
+    const desktop = await catalogApi(['flux_1_schnell_q5p.ckpt', 'flux_1_dev_q8p.ckpt']);
+    try {
+      const service = new DrawThingsService(undefined, {
+        imagesDir: temp.imagesDir,
+        backends: [
+          { name: 'laptop', url: laptop.url },
+          { name: 'desktop', url: desktop.url },
+          { name: 'offline', url: await refusingUrl() },
+        ],
+      });
+      const models = await service.listModels();
+      assert.deepEqual(
+        models.map((model) => model.name),
+        ['sd_v1.5_f16.ckpt', 'flux_1_schnell_q5p.ckpt', 'flux_1_dev_q8p.ckpt']
+      );
+    } finally {
+      await laptop.close();
+      await desktop.close();
+    }
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { InvalidParamsError } from '../src/services/schemas.ts';
+import { startFakeDrawThingsApi, FAKE_IMAGE_BASE64 } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('DrawThingsService batch generation', () => {
+  let api;
+  let service;
+  const temp = createTempDir();
+
+  before(async () => {
+    api = await startFakeDrawThingsApi();
+    service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir });
+  });
+
+  after(async () => {
+    await api.close();
+    temp.remove();
+  });
+
+  it('saves every image from batch_size x batch_count', async () => {
+    const result = await service.generateImage({
+      prompt: 'app icon options',
+      seed: 100,
+      batch_size: 2,
+      batch_count: 2,
+    });
+
+    assert.equal(result.isError, false);
+    assert.equal(result.imagePaths.length, 4);
+    assert.equal(new Set(result.imagePaths).size, 4);
+    for (const imagePath of result.imagePaths) {
+      assert.ok(fs.existsSync(imagePath));
+    }
+    assert.deepEqual(result.seeds, [100, 101, 102, 103]);
+    assert.equal(result.imagePath, result.imagePaths[0]);
+
+    const request = api.requests.at(-1);
+    assert.equal(request.body.batch_size, 2);
+    assert.equal(request.body.batch_count, 2);
+  });
+
+  it('rejects a missing or blank prompt without calling the API', async () => {
+    const before = api.requests.length;
+    for (const params of [{}, { prompt: ' ' }, { random_string: 'x' }]) {
+      await assert.rejects(
+        service.generateImage(params),
+        (error) => error instanceof InvalidParamsError && error.errors[0].field === 'prompt'
+      );
+    }
+    assert.equal(api.requests.length, before);
+  });
+
+  it('picks a seed before the request when -1 is passed', async () => {
+    const result = await service.generateImage({ prompt: 'cat', seed: -1, batch_size: 2 });
+
+    assert.equal(result.isError, false);
+    const [first, second] = result.seeds;
+    assert.ok(first >= 0);
+    assert.equal(second, first + 1);
+    assert.equal(api.requests.at(-1).body.seed, first);
+    assert.match(result.imagePaths[0], new RegExp(`-${first}\\.png$`));
+  });
+
+  it('uses the seeds reported by the API when present', async () => {
+    const seededApi = await startFakeDrawThingsApi({
+      handler: (req, body, res) => {
+        res.end(
+          JSON.stringify({
+            images: [FAKE_IMAGE_BASE64, FAKE_IMAGE_BASE64],
+            info: JSON.stringify({ all_seeds: [7, 42] }),
+          })
+        );
+        return true;
+      },
+    });
+    try {
+      const result = await new DrawThingsService(seededApi.url, { imagesDir: temp.imagesDir }).generateImage({
+        prompt: 'x',
+        batch_size: 2,
+      });
+
+      assert.deepEqual(result.seeds, [7, 42]);
+      assert.match(result.imagePaths[1], /-42\.png$/);
+    } finally {
+      await seededApi.close();
+    }
+  });
+});
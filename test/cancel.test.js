@@ -0,0 +1,91 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { startFakeDrawThingsApi, FAKE_IMAGE_BASE64 } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+// Stub that keeps rendering until it is interrupted
+function slowRenderHandler() {
+  let pending = null;
+  return (req, body, res) => {
+    if (req.url === '/sdapi/v1/txt2img') {
+      pending = res;
+      return true;
+    }
+    if (req.url === '/sdapi/v1/interrupt') {
+      res.end('{}');
+      if (pending && !pending.destroyed) {
+        pending.end(JSON.stringify({ images: [FAKE_IMAGE_BASE64] }));
+      }
+      return true;
+    }
+    return false;
+  };
+}
+
+describe('DrawThingsService cancellation', () => {
+  const temp = createTempDir();
+
+  after(() => {
+    temp.remove();
+  });
+
+  it('interrupts the render and returns a cancelled result on abort', async () => {
+    const api = await startFakeDrawThingsApi({ handler: slowRenderHandler() });
+    try {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 100);
+
+      const result = await new DrawThingsService(api.url, { imagesDir: temp.imagesDir }).generateImage(
+        { prompt: 'never finishes' },
+        { signal: controller.signal }
+      );
+
+      assert.equal(result.isError, true);
+      assert.equal(result.cancelled, true);
+      assert.equal(result.imagePath, undefined);
+
+      // the interrupt is sent without waiting for it, give it a moment
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.ok(api.requests.some((request) => request.url === '/sdapi/v1/interrupt'));
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('does not contact the API when the signal is already aborted', async () => {
+    const api = await startFakeDrawThingsApi();
+    try {
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await new DrawThingsService(api.url, { imagesDir: temp.imagesDir }).generateImage(
+        { prompt: 'x' },
+        { signal: controller.signal }
+      );
+
+      assert.equal(result.cancelled, true);
+      assert.equal(api.requests.length, 0);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('does not leave a file behind when saving is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const outputPath = path.join(temp.dir, 'aborted.png');
+
+    await assert.rejects(
+      new DrawThingsService('http://127.0.0.1:1', { imagesDir: temp.imagesDir }).saveImage({
+        base64Data: FAKE_IMAGE_BASE64,
+        outputPath,
+        signal: controller.signal,
+      })
+    );
+    assert.equal(fs.existsSync(outputPath), false);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { findClosestMatches } from '../src/services/suggest.ts';
+import { startFakeDrawThingsApi } from './helpers/fakeDrawThingsApi.js';
+
+const catalog = {
+  '/sdapi/v1/sd-models': [
+    { title: 'FLUX.1 [schnell] (5-bit)', model_name: 'flux_1_schnell_q5p', filename: '/models/flux_1_schnell_q5p.ckpt' },
+    { title: 'SDXL Base', model_name: 'sd_xl_base_1.0', filename: '/models/sd_xl_base_1.0_f16.ckpt' },
+  ],
+  '/sdapi/v1/samplers': [
+    { name: 'DPM++ 2M AYS', aliases: [] },
+    { name: 'Euler A', aliases: ['euler_a'] },
+  ],
+  '/sdapi/v1/loras': [{ name: 'pixel art', alias: 'pixel', path: '/loras/pixel_art_lora_f16.ckpt' }],
+};
+
+describe('findClosestMatches', () => {
+  it('prefers substring matches, then small edit distances', () => {
+    assert.deepEqual(
+      findClosestMatches('flux', ['sd_xl_base_1.0_f16.ckpt', 'flux_1_schnell_q5p.ckpt']),
+      ['flux_1_schnell_q5p.ckpt']
+    );
+    assert.deepEqual(
+      findClosestMatches('flux_schnell', ['sd_xl_base_1.0_f16.ckpt', 'flux_1_schnell_q5p.ckpt']),
+      ['flux_1_schnell_q5p.ckpt']
+    );
+    assert.deepEqual(findClosestMatches('Eular A', ['DPM++ 2M AYS', 'Euler A']), ['Euler A']);
+    assert.deepEqual(findClosestMatches('completely different', ['Euler A']), []);
+  });
+});
+
+describe('DrawThingsService catalog', () => {
+  let api;
+  let service;
+
+  before(async () => {
+    api = await startFakeDrawThingsApi({
+      handler: (req, body, res) => {
+        if (!catalog[req.url]) {
+          return false;
+        }
+        res.end(JSON.stringify(catalog[req.url]));
+        return true;
+      },
+    });
+    service = new DrawThingsService(api.url);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('lists models, samplers and loras by their param names', async () => {
+    assert.deepEqual(
+      (await service.listModels()).map((model) => model.name),
+      ['flux_1_schnell_q5p.ckpt', 'sd_xl_base_1.0_f16.ckpt']
+    );
+    assert.deepEqual(
+      (await service.listSamplers()).map((sampler) => sampler.name),
+      ['DPM++ 2M AYS', 'Euler A']
+    );
+    assert.deepEqual(await service.listLoras(), [{ name: 'pixel_art_lora_f16.ckpt', alias: 'pixel' }]);
+  });
+
+  it('caches lists until a refresh is requested', async () => {
+    const countModelRequests = () => api.requests.filter((request) => request.url === '/sdapi/v1/sd-models').length;
+    await service.listModels();
+    const before = countModelRequests();
+    await service.listModels();
+    assert.equal(countModelRequests(), before);
+    await service.listModels(true);
+    assert.equal(countModelRequests(), before + 1);
+  });
+
+  it('accepts known names and aliases', async () => {
+    const errors = await service.validateCatalogParams({
+      model: 'sd_xl_base_1.0_f16.ckpt',
+      sampler: 'euler_a',
+      loras: [{ file: 'pixel', weight: 0.8 }],
+    });
+    assert.deepEqual(errors, []);
+  });
+
+  it('suggests close matches for unknown names', async () => {
+    const errors = await service.validateCatalogParams({
+      model: 'sd_xl_base',
+      sampler: 'Eular A',
+      loras: [{ file: 'pixel_art_lora.ckpt', weight: 1 }],
+    });
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /unknown model "sd_xl_base", did you mean: sd_xl_base_1\.0_f16\.ckpt/);
+    assert.match(errors[1], /did you mean: Euler A/);
+    assert.match(errors[2], /did you mean: pixel_art_lora_f16\.ckpt/);
+  });
+
+  it('skips validation when the server has no listing endpoints', async () => {
+    const bareApi = await startFakeDrawThingsApi({
+      handler: (req, body, res) => {
+        res.statusCode = 404;
+        res.end('{}');
+        return true;
+      },
+    });
+    try {
+      const errors = await new DrawThingsService(bareApi.url).validateCatalogParams({
+        model: 'anything.ckpt',
+      });
+      assert.deepEqual(errors, []);
+    } finally {
+      await bareApi.close();
+    }
+  });
+});
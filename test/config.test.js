@@ -0,0 +1,163 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+import { CONFIG_FILE_NAME, formatConfig, loadConfig } from '../src/services/config.ts';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('loadConfig', () => {
+  const temp = createTempDir();
+  const cwd = path.join(temp.dir, 'workspace');
+  const homeDir = path.join(temp.dir, 'home');
+  const projectRoot = path.join(temp.dir, 'install', 'draw-things-mcp');
+  fs.mkdirSync(cwd);
+  fs.mkdirSync(homeDir);
+
+  const load = (options = {}) => loadConfig({ argv: [], env: {}, cwd, homeDir, projectRoot, ...options });
+
+  after(() => {
+    temp.remove();
+  });
+
+  it('uses the built-in defaults without flags, env or file', () => {
+    const { config, sources, configFile } = load();
+    assert.equal(config.apiUrl, 'http://127.0.0.1:7888');
+    assert.equal(config.timeoutMs, 300000);
+    assert.equal(config.outputDir, path.join(temp.dir, 'install', 'images'));
+    assert.equal(config.logDir, path.join(projectRoot, 'logs'));
+    assert.equal(config.historyFile, path.join(homeDir, '.draw-things-mcp', 'history.jsonl'));
+    assert.equal(load({ argv: ['--history-file', 'history.jsonl'] }).config.historyFile, path.join(cwd, 'history.jsonl'));
+    assert.equal(config.defaultModel, undefined);
+    assert.equal(config.retries, 2);
+    assert.equal(config.healthCheckIntervalMs, 30000);
+    assert.equal(load({ argv: ['--health-check-interval', '0'] }).config.healthCheckIntervalMs, 0);
+    assert.equal(sources.apiUrl, 'default');
+    assert.equal(configFile, undefined);
+  });
+
+  it('applies flags over env vars over the config file', () => {
+    fs.writeFileSync(
+      path.join(homeDir, CONFIG_FILE_NAME),
+      JSON.stringify({ apiUrl: 'http://file:1', timeoutMs: 1000, outputDir: 'out', previewFormat: 'png' })
+    );
+    const resolved = load({
+      argv: ['--api-url', 'http://flag:3', '--return-images', '--queue-concurrency=2'],
+      env: { DRAW_THINGS_API_URL: 'http://env:2', DRAW_THINGS_TIMEOUT_MS: '2000', DRAW_THINGS_RETURN_IMAGES: 'false' },
+    });
+    const { config, sources, configFile } = resolved;
+
+    assert.equal(configFile, path.join(homeDir, CONFIG_FILE_NAME));
+    assert.equal(config.apiUrl, 'http://flag:3');
+    assert.equal(config.timeoutMs, 2000);
+    assert.equal(config.returnImages, true);
+    assert.equal(config.queueConcurrency, 2);
+    assert.equal(config.previewFormat, 'png');
+    // paths in the config file are relative to the file
+    assert.equal(config.outputDir, path.join(homeDir, 'out'));
+    assert.equal(sources.apiUrl, '--api-url');
+    assert.equal(sources.timeoutMs, 'env DRAW_THINGS_TIMEOUT_MS');
+    assert.equal(sources.previewFormat, configFile);
+    assert.match(formatConfig(resolved), /apiUrl: http:\/\/flag:3 \[--api-url\]/);
+
+    fs.rmSync(path.join(homeDir, CONFIG_FILE_NAME));
+  });
+
+  it('prefers the workspace config file and honours --config', () => {
+    fs.writeFileSync(path.join(cwd, CONFIG_FILE_NAME), JSON.stringify({ defaultModel: 'workspace.ckpt' }));
+    fs.writeFileSync(path.join(homeDir, CONFIG_FILE_NAME), JSON.stringify({ defaultModel: 'home.ckpt' }));
+    fs.writeFileSync(path.join(temp.dir, 'custom.json'), JSON.stringify({ defaultModel: 'custom.ckpt' }));
+
+    assert.equal(load().config.defaultModel, 'workspace.ckpt');
+    assert.equal(load({ argv: ['--config', '../custom.json'] }).config.defaultModel, 'custom.ckpt');
+    assert.equal(
+      load({ env: { DRAW_THINGS_CONFIG: path.join(temp.dir, 'custom.json') } }).config.defaultModel,
+      'custom.ckpt'
+    );
+    assert.throws(() => load({ argv: ['--config', 'missing.json'] }), /config file not found/);
+
+    fs.rmSync(path.join(cwd, CONFIG_FILE_NAME));
+    fs.rmSync(path.join(homeDir, CONFIG_FILE_NAME));
+  });
+
+  it('still accepts DRAW_THINGS_API_PORT when no URL is set', () => {
+    const { config, sources } = load({ env: { DRAW_THINGS_API_PORT: '7999' } });
+    assert.equal(config.apiUrl, 'http://127.0.0.1:7999');
+    assert.equal(sources.apiUrl, 'env DRAW_THINGS_API_PORT');
+    assert.equal(
+      load({ env: { DRAW_THINGS_API_PORT: '7999', DRAW_THINGS_API_URL: 'http://mac.local:7888' } }).config.apiUrl,
+      'http://mac.local:7888'
+    );
+  });
+
+  it('rejects invalid values, naming the option and its source', () => {
+    assert.throws(() => load({ argv: ['--timeout', 'soon'] }), /--timeout: timeoutMs must be an integer/);
+    assert.throws(() => load({ env: { DRAW_THINGS_PREVIEW_FORMAT: 'gif' } }), /env DRAW_THINGS_PREVIEW_FORMAT: previewFormat/);
+    assert.throws(() => load({ argv: ['--api-url', 'not a url'] }), /apiUrl must be a URL/);
+    assert.throws(() => load({ argv: ['--unknown'] }), /unknown option --unknown/);
+    assert.throws(() => load({ argv: ['--output-dir'] }), /--output-dir needs a value/);
+    assert.throws(() => load({ argv: ['--output-subdir', '../up'] }), /outputSubdir must be a relative path/);
+    assert.throws(() => load({ argv: ['--filename-template', '{steps}.png'] }), /filenameTemplate: unknown filename template variable/);
+
+    fs.writeFileSync(path.join(cwd, CONFIG_FILE_NAME), JSON.stringify({ apiURL: 'http://x' }));
+    assert.throws(() => load(), /unknown option\(s\) apiURL/);
+    fs.rmSync(path.join(cwd, CONFIG_FILE_NAME));
+  });
+
+  it('reads the HTTP transport options and hides the token', () => {
+    const resolved = load({
+      argv: ['--transport', 'http', '--host', '0.0.0.0', '--port', '9000'],
+      env: { DRAW_THINGS_HTTP_TOKEN: 'secret-token' },
+    });
+    assert.equal(resolved.config.transport, 'http');
+    assert.equal(resolved.config.httpHost, '0.0.0.0');
+    assert.equal(resolved.config.httpPort, 9000);
+    assert.equal(resolved.config.httpToken, 'secret-token');
+    assert.match(formatConfig(resolved), /httpToken: \(set\)/);
+    assert.doesNotMatch(formatConfig(resolved), /secret-token/);
+
+    assert.equal(load().config.transport, 'stdio');
+    assert.throws(() => load({ argv: ['--transport', 'tcp'] }), /--transport: transport must be "stdio" or "http"/);
+    assert.throws(() => load({ argv: ['--port', '70000'] }), /--port: httpPort must be an integer/);
+  });
+
+  it('reads several backends from a flag or the config file', () => {
+    const resolved = load({ argv: ['--backends', 'http://laptop.local:7888,http://desktop.local:7888'] });
+    assert.deepEqual(
+      resolved.config.backends.map((backend) => backend.name),
+      ['laptop.local:7888', 'desktop.local:7888']
+    );
+    assert.match(formatConfig(resolved), /backends: laptop.local:7888 http:\/\/laptop.local:7888, desktop/);
+    assert.equal(load().config.backends, undefined);
+
+    fs.writeFileSync(
+      path.join(cwd, CONFIG_FILE_NAME),
+      JSON.stringify({ backends: [{ name: 'desktop', url: 'http://10.0.0.2:7888', weight: 3, models: ['flux.ckpt'] }] })
+    );
+    assert.deepEqual(load().config.backends, [
+      { name: 'desktop', url: 'http://10.0.0.2:7888', weight: 3, models: ['flux.ckpt'] },
+    ]);
+    fs.rmSync(path.join(cwd, CONFIG_FILE_NAME));
+
+    assert.throws(() => load({ env: { DRAW_THINGS_BACKENDS: '[{"url":"x"}]' } }), /env DRAW_THINGS_BACKENDS: backends: backend 1: url must be a URL/);
+  });
+
+  it('reads the API type of the server and of each backend', () => {
+    assert.equal(load().config.apiType, 'drawthings');
+    assert.equal(load({ argv: ['--api-type', 'comfyui'] }).config.apiType, 'comfyui');
+    assert.throws(() => load({ env: { DRAW_THINGS_API_TYPE: 'invokeai' } }), /env DRAW_THINGS_API_TYPE: apiType must be/);
+
+    const resolved = load({
+      argv: ['--backends', '[{"name":"forge","type":"a1111","url":"http://10.0.0.3:7860"},"http://mac.local:7888"]'],
+    });
+    assert.equal(resolved.config.backends[0].type, 'a1111');
+    assert.match(formatConfig(resolved), /forge http:\/\/10.0.0.3:7860 \(a1111\), mac.local:7888/);
+    assert.throws(() => load({ argv: ['--backends', '[{"type":"sdnext","url":"http://a:1"}]'] }), /backend 1: type must be one of drawthings, a1111, comfyui/);
+  });
+
+  it('reports --help and --no- flags', () => {
+    const resolved = load({ argv: ['--help', '--no-debug'], env: { DEBUG_MODE: 'true' } });
+    assert.equal(resolved.help, true);
+    assert.equal(resolved.config.debug, false);
+  });
+});
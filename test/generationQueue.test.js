@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GenerationQueue } from '../src/services/generationQueue.ts';
+
+// runner that finishes when release() is called, or reports cancelled on abort
+function controllableRunner(log, name) {
+  let release;
+  const runner = ({ signal }) =>
+    new Promise((resolve) => {
+      log.push(`start ${name}`);
+      release = () => resolve({ isError: false, imagePath: `${name}.png` });
+      signal.addEventListener('abort', () => resolve({ isError: true, cancelled: true }));
+    });
+  return { runner, release: () => release() };
+}
+
+describe('GenerationQueue', () => {
+  it('runs jobs in FIFO order up to the concurrency limit', async () => {
+    const log = [];
+    const queue = new GenerationQueue(1);
+    const a = controllableRunner(log, 'a');
+    const b = controllableRunner(log, 'b');
+    const c = controllableRunner(log, 'c');
+
+    const jobA = queue.enqueue('test', 'a', a.runner);
+    const jobB = queue.enqueue('test', 'b', b.runner);
+    const jobC = queue.enqueue('test', 'c', c.runner);
+
+    assert.equal(jobA.status, 'running');
+    assert.equal(queue.position(jobA.id), undefined);
+    assert.equal(queue.position(jobB.id), 1);
+    assert.equal(queue.position(jobC.id), 2);
+
+    a.release();
+    await queue.wait(jobA.id);
+    assert.equal(jobA.status, 'succeeded');
+    assert.equal(jobB.status, 'running');
+    assert.equal(queue.position(jobC.id), 1);
+
+    b.release();
+    await queue.wait(jobB.id);
+    c.release();
+    await queue.wait(jobC.id);
+    assert.deepEqual(log, ['start a', 'start b', 'start c']);
+  });
+
+  it('runs several jobs at once with higher concurrency', () => {
+    const log = [];
+    const queue = new GenerationQueue(2);
+    queue.enqueue('test', 'a', controllableRunner(log, 'a').runner);
+    queue.enqueue('test', 'b', controllableRunner(log, 'b').runner);
+    const jobC = queue.enqueue('test', 'c', controllableRunner(log, 'c').runner);
+
+    assert.deepEqual(log, ['start a', 'start b']);
+    assert.equal(queue.position(jobC.id), 1);
+  });
+
+  it('cancels queued jobs without running them', async () => {
+    const log = [];
+    const queue = new GenerationQueue(1);
+    const a = controllableRunner(log, 'a');
+    queue.enqueue('test', 'a', a.runner);
+    const jobB = queue.enqueue('test', 'b', controllableRunner(log, 'b').runner);
+
+    assert.equal(queue.cancel(jobB.id), true);
+    assert.equal((await queue.wait(jobB.id)).status, 'cancelled');
+
+    a.release();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(log, ['start a']);
+  });
+
+  it('aborts running jobs through their signal', async () => {
+    const queue = new GenerationQueue(1);
+    const job = queue.enqueue('test', 'a', controllableRunner([], 'a').runner);
+
+    assert.equal(queue.cancel(job.id), true);
+    const finished = await queue.wait(job.id);
+    assert.equal(finished.status, 'cancelled');
+    assert.equal(queue.cancel(job.id), false);
+  });
+
+  it('records failures and progress', async () => {
+    const queue = new GenerationQueue(1);
+    const job = queue.enqueue('test', 'a', async ({ onProgress }) => {
+      onProgress({ step: 3, totalSteps: 8, fraction: 0.375 });
+      return { isError: true, errorMessage: 'API error: 500' };
+    });
+
+    const finished = await queue.wait(job.id);
+    assert.equal(finished.status, 'failed');
+    assert.equal(finished.error, 'API error: 500');
+    assert.equal(finished.progress.step, 3);
+  });
+
+  it('forgets the oldest finished jobs', async () => {
+    const queue = new GenerationQueue(1, 2);
+    const jobs = [];
+    for (let i = 0; i < 4; i++) {
+      const job = queue.enqueue('test', String(i), async () => ({ isError: false }));
+      await queue.wait(job.id);
+      jobs.push(job);
+    }
+    queue.enqueue('test', 'last', async () => ({ isError: false }));
+
+    assert.equal(queue.get(jobs[0].id), undefined);
+    assert.equal(queue.get(jobs[1].id), undefined);
+    assert.ok(queue.get(jobs[3].id));
+  });
+});
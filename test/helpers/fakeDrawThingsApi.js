@@ -0,0 +1,58 @@
+/**
+ * Fake Draw Things API for tests
+ * Records every request and answers the generation endpoints with one tiny PNG
+ * per requested image (batch_size x batch_count)
+ */
+
+import http from 'http';
+
+// 1x1 transparent PNG
+export const FAKE_IMAGE_BASE64 =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==';
+
+/**
+ * Start a fake API on a random local port
+ * @param {object} [options]
+ * @param {(req: http.IncomingMessage, body: any, res: http.ServerResponse) => boolean} [options.handler]
+ *   custom handler, return true when it has answered the request
+ */
+export async function startFakeDrawThingsApi({ handler } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, body });
+
+      if (handler && handler(req, body, res)) {
+        return;
+      }
+
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/sdapi/v1/txt2img' || req.url === '/sdapi/v1/img2img') {
+        const count = (body.batch_size || 1) * (body.batch_count || 1);
+        res.end(
+          JSON.stringify({
+            images: Array.from({ length: count }, () => FAKE_IMAGE_BASE64),
+            parameters: body,
+          })
+        );
+      } else {
+        res.end('{}');
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Temporary directories for tests, so saved images and history stay out of the repo
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export function createTempDir(prefix = 'draw-things-mcp-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  return {
+    dir,
+    imagesDir: path.join(dir, 'images'),
+    remove: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
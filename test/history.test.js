@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { HistoryStore } from '../src/services/historyStore.ts';
+import { startFakeDrawThingsApi, FAKE_IMAGE_BASE64 } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('HistoryStore', () => {
+  const temp = createTempDir();
+  const dir = temp.dir;
+
+  after(() => {
+    temp.remove();
+  });
+
+  it('appends entries and reads them back newest first', async () => {
+    const filePath = path.join(dir, 'history.jsonl');
+    const store = new HistoryStore(filePath);
+    await store.append({ id: 'a', prompt: 'first' });
+    await store.append({ id: 'b', prompt: 'second' });
+
+    assert.deepEqual((await store.list()).map((entry) => entry.id), ['b', 'a']);
+    assert.deepEqual((await store.list(1)).map((entry) => entry.id), ['b']);
+
+    // a fresh store reads the same entries from disk, skipping broken lines
+    fs.appendFileSync(filePath, 'not json\n');
+    const reloaded = new HistoryStore(filePath);
+    assert.equal((await reloaded.get('a')).prompt, 'first');
+    assert.equal((await reloaded.list()).length, 2);
+  });
+
+  it('sees entries another process appended to the same file', async () => {
+    const filePath = path.join(dir, 'shared.jsonl');
+    const first = new HistoryStore(filePath);
+    const second = new HistoryStore(filePath);
+    assert.deepEqual(await first.list(), []);
+
+    await second.append({ id: 'a', prompt: 'from the second server' });
+    assert.equal((await first.get('a')).prompt, 'from the second server');
+
+    // both appended since the other last read the file
+    await first.append({ id: 'b', prompt: 'first' });
+    await second.append({ id: 'c', prompt: 'second' });
+    assert.deepEqual((await first.list()).map((entry) => entry.id), ['c', 'b', 'a']);
+    assert.deepEqual((await second.list()).map((entry) => entry.id), ['c', 'b', 'a']);
+  });
+
+  it('starts empty when the file does not exist yet', async () => {
+    const store = new HistoryStore(path.join(dir, 'missing', 'history.jsonl'));
+    assert.deepEqual(await store.list(), []);
+    assert.equal(await store.get('a'), undefined);
+  });
+});
+
+describe('DrawThingsService history', () => {
+  const temp = createTempDir();
+  const dir = temp.dir;
+  let api;
+
+  before(async () => {
+    api = await startFakeDrawThingsApi();
+  });
+
+  after(async () => {
+    await api.close();
+    temp.remove();
+  });
+
+  it('records one entry per saved image with the effective params', async () => {
+    const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir });
+    const result = await service.generateImage({
+      prompt: 'two foxes',
+      seed: 10,
+      batch_size: 2,
+      model: 'sd_xl_base_1.0_f16.ckpt',
+    });
+
+    assert.equal(result.historyIds.length, 2);
+    assert.equal(service.history.filePath, path.join(dir, 'draw-things-history.jsonl'));
+
+    const entry = await service.history.get(result.historyIds[1]);
+    assert.equal(entry.kind, 'txt2img');
+    assert.equal(entry.prompt, 'two foxes');
+    assert.equal(entry.seed, 11);
+    assert.equal(entry.model, 'sd_xl_base_1.0_f16.ckpt');
+    assert.equal(entry.imagePath, result.imagePaths[1]);
+    assert.equal(entry.params.seed, 11);
+    // steps come from the SDXL profile
+    assert.equal(entry.params.steps, 30);
+    assert.equal(typeof entry.inference_time_ms, 'number');
+  });
+
+  it('leaves the base64 source image and mask out of the history', async () => {
+    const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir });
+    const result = await service.inpaintImage({ prompt: 'patch' }, FAKE_IMAGE_BASE64, FAKE_IMAGE_BASE64);
+
+    const entry = await service.history.get(result.historyIds[0]);
+    assert.equal(entry.kind, 'inpaint');
+    assert.equal(entry.params.init_images, undefined);
+    assert.equal(entry.params.mask, undefined);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * End-to-end tests of the HTTP transport: one MCP server process, several
+ * clients over streamable HTTP and HTTP+SSE, against the mock Draw Things server
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+
+import { startHttpServer } from '../src/services/httpServer.ts';
+import { startMockDrawThingsServer } from './mock/mockDrawThingsServer.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TOKEN = 'test-token';
+
+/**
+ * start the MCP server from source with the HTTP transport on a free port
+ * @returns {Promise<{ child: import('child_process').ChildProcess, url: string }>}
+ */
+function startHttpMcpServer(apiUrl, dir) {
+  const child = spawn(
+    process.execPath,
+    [
+      '--no-warnings',
+      '--loader',
+      import.meta.resolve('ts-node/esm'),
+      path.join(projectRoot, 'src', 'index.ts'),
+      '--api-url',
+      apiUrl,
+      '--output-dir',
+      path.join(dir, 'images'),
+      '--log-dir',
+      path.join(dir, 'logs'),
+      '--transport',
+      'http',
+      '--port',
+      '0',
+      '--http-token',
+      TOKEN,
+    ],
+    {
+      cwd: dir,
+      env: {
+        PATH: process.env.PATH,
+        HOME: dir,
+        TS_NODE_TRANSPILE_ONLY: 'true',
+        TS_NODE_PROJECT: path.join(projectRoot, 'tsconfig.json'),
+      },
+      stdio: ['ignore', 'ignore', 'pipe'],
+    }
+  );
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`MCP server did not start:\n${output}`));
+    }, 30000);
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+      const match = output.match(/listening on (http:\/\/[^\s/]+)\/mcp/);
+      if (match) {
+        clearTimeout(timer);
+        child.stderr.resume();
+        child.stderr.removeAllListeners('data');
+        resolve({ child, url: match[1] });
+      }
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`MCP server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+const authorization = { headers: { Authorization: `Bearer ${TOKEN}` } };
+
+async function connectStreamable(url) {
+  const client = new Client({ name: 'draw-things-mcp-test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${url}/mcp`), { requestInit: authorization }));
+  return client;
+}
+
+// JSON payload of a text tool result
+const payload = (result) => JSON.parse(result.content[0].text);
+
+describe('MCP server over HTTP', () => {
+  const temp = createTempDir();
+  let mock;
+  let server;
+  const clients = [];
+
+  before(async () => {
+    mock = await startMockDrawThingsServer();
+    server = await startHttpMcpServer(mock.url, temp.dir);
+  });
+
+  after(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    if (server && server.child.exitCode === null) {
+      const exited = new Promise((resolve) => server.child.once('exit', resolve));
+      server.child.kill('SIGTERM');
+      await exited;
+    }
+    await mock.close();
+    temp.remove();
+  });
+
+  it('rejects requests without the bearer token', async () => {
+    const initialize = {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1' } },
+    };
+    const post = (headers) =>
+      fetch(`${server.url}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+        body: JSON.stringify(initialize),
+      });
+
+    const missing = await post({});
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers.get('www-authenticate'), /^Bearer/);
+    assert.equal((await post({ Authorization: 'Bearer wrong' })).status, 401);
+  });
+
+  it('answers unknown sessions with 404', async () => {
+    const response = await fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'Mcp-Session-Id': 'no-such-session',
+        ...authorization.headers,
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+    });
+    assert.equal(response.status, 404);
+  });
+
+  it('shares the job queue and history between sessions', async () => {
+    const first = await connectStreamable(server.url);
+    clients.push(first);
+    const second = await connectStreamable(server.url);
+    clients.push(second);
+
+    const started = payload(
+      await first.callTool({
+        name: 'startGeneration',
+        arguments: { prompt: 'shared', seed: 3, width: 64, height: 64 },
+      })
+    );
+    assert.ok(started.job_id);
+
+    // the job started by the first client is visible to the second one
+    let status;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      status = payload(await second.callTool({ name: 'getJobStatus', arguments: { job_id: started.job_id } }));
+      if (status.status === 'succeeded') {
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    assert.equal(status.status, 'succeeded');
+
+    const { resources } = await second.listResources();
+    assert.ok(resources.some((resource) => resource.uri.startsWith('draw-things://history/')));
+  });
+
+  it('still serves clients of the HTTP+SSE transport', async () => {
+    const client = new Client({ name: 'draw-things-mcp-test', version: '1.0.0' });
+    await client.connect(
+      new SSEClientTransport(new URL(`${server.url}/sse`), {
+        requestInit: authorization,
+        eventSourceInit: {
+          fetch: (url, init) => fetch(url, { ...init, headers: { ...init?.headers, ...authorization.headers } }),
+        },
+      })
+    );
+    clients.push(client);
+    const { tools } = await client.listTools();
+    assert.ok(tools.some((tool) => tool.name === 'generateImage'));
+  });
+});
+
+describe('startHttpServer', () => {
+  const options = {
+    port: 0,
+    createServer: () => new McpServer({ name: 'test', version: '1.0.0' }),
+    log: () => {},
+  };
+
+  it('refuses a non-loopback address without a token', async () => {
+    await assert.rejects(startHttpServer({ ...options, host: '0.0.0.0' }), /refusing to listen on 0\.0\.0\.0 without a token/);
+
+    const server = await startHttpServer({ ...options, host: '0.0.0.0', token: TOKEN });
+    await server.close();
+  });
+
+  it('keeps idle sessions with an open stream, closes the others', async () => {
+    const server = await startHttpServer({ ...options, host: '127.0.0.1', sessionIdleMs: 50 });
+    try {
+      // a streamable HTTP session without a GET stream
+      const initialized = await fetch(`${server.url}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'initialize',
+          params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1' } },
+        }),
+      });
+      await initialized.text();
+      // an HTTP+SSE session, its stream stays open
+      const client = new Client({ name: 'draw-things-mcp-test', version: '1.0.0' });
+      await client.connect(new SSEClientTransport(new URL(`${server.url}/sse`)));
+      assert.equal(server.sessionCount(), 2);
+
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      assert.equal(server.sessionCount(), 1);
+      await client.ping();
+      await client.close();
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Jimp } from 'jimp';
+
+import { buildIco, ICON_SPECS, writeIconSet } from '../src/services/iconSet.ts';
+import { readImageSize } from '../src/services/png.ts';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('writeIconSet', () => {
+  const temp = createTempDir();
+  const directory = path.join(temp.dir, 'icons');
+
+  after(() => {
+    temp.remove();
+  });
+
+  it('writes every icon size, favicon.ico and the manifest from one render', async () => {
+    const source = await new Jimp({ width: 600, height: 512, color: 0xff0000ff }).getBuffer('image/png');
+    const result = await writeIconSet(source, directory, { name: 'Demo', themeColor: '#ff0000' });
+
+    for (const { fileName, size } of ICON_SPECS) {
+      assert.deepEqual(readImageSize(fs.readFileSync(path.join(directory, fileName))), { width: size, height: size });
+    }
+
+    const ico = fs.readFileSync(path.join(directory, 'favicon.ico'));
+    assert.equal(ico.readUInt16LE(2), 1);
+    assert.equal(ico.readUInt16LE(4), 3);
+    assert.deepEqual([ico[6], ico[22], ico[38]], [16, 32, 48]);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(directory, 'manifest.json'), 'utf8'));
+    assert.deepEqual(manifest, result.manifest);
+    assert.equal(manifest.name, 'Demo');
+    assert.deepEqual(
+      manifest.icons.map((icon) => icon.sizes),
+      ['192x192', '512x512']
+    );
+    assert.match(result.html, /<link rel="apple-touch-icon" sizes="180x180" href="\/apple-touch-icon.png">/);
+    assert.match(result.html, /<meta name="theme-color" content="#ff0000">/);
+    assert.equal(result.files.length, ICON_SPECS.length + 2);
+  });
+
+  it('stores PNG data at the offsets in the ICO directory', () => {
+    const images = [
+      { size: 16, data: Buffer.from('first') },
+      { size: 256, data: Buffer.from('second') },
+    ];
+    const ico = buildIco(images);
+    assert.equal(ico[22], 0);
+    const offset = ico.readUInt32LE(22 + 12);
+    assert.equal(ico.subarray(offset, offset + 6).toString(), 'second');
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import {
+  embedGenerationMetadata,
+  formatParameters,
+  parseParameters,
+  readImageMetadata,
+} from '../src/services/imageMetadata.ts';
+import { readTextChunks, setTextChunks } from '../src/services/png.ts';
+import { startFakeDrawThingsApi, FAKE_IMAGE_BASE64 } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('image metadata', () => {
+  it('formats and parses A1111 parameters', () => {
+    const text = formatParameters({
+      prompt: 'a red fox, snow',
+      negative_prompt: 'blurry',
+      steps: 8,
+      sampler: 'DPM++ 2M AYS',
+      guidance_scale: 7.5,
+      seed: 42,
+      width: 512,
+      height: 768,
+      model: 'flux_1_schnell_q5p.ckpt',
+    });
+    assert.equal(
+      text,
+      'a red fox, snow\nNegative prompt: blurry\n' +
+        'Steps: 8, Sampler: DPM++ 2M AYS, CFG scale: 7.5, Seed: 42, Size: 512x768, Model: flux_1_schnell_q5p.ckpt'
+    );
+
+    assert.deepEqual(parseParameters(text), {
+      prompt: 'a red fox, snow',
+      negative_prompt: 'blurry',
+      steps: 8,
+      sampler: 'DPM++ 2M AYS',
+      guidance_scale: 7.5,
+      seed: 42,
+      width: 512,
+      height: 768,
+      model: 'flux_1_schnell_q5p.ckpt',
+      extra: {},
+    });
+  });
+
+  it('parses quoted values and keeps unknown keys', () => {
+    const parsed = parseParameters(
+      'castle\nline two\nSteps: 20, Sampler: Euler a, Lora hashes: "a: 1, b: 2", Clip skip: 2'
+    );
+    assert.equal(parsed.prompt, 'castle\nline two');
+    assert.equal(parsed.negative_prompt, undefined);
+    assert.deepEqual(parsed.extra, { 'Lora hashes': 'a: 1, b: 2', 'Clip skip': '2' });
+  });
+
+  it('round-trips text chunks, using iTXt for non Latin-1 text', () => {
+    const png = Buffer.from(FAKE_IMAGE_BASE64, 'base64');
+    const tagged = setTextChunks(png, { parameters: 'chat 猫', other: 'plain' });
+    assert.deepEqual(readTextChunks(tagged), { parameters: 'chat 猫', other: 'plain' });
+    assert.ok(tagged.includes(Buffer.from('iTXt')));
+
+    // setting a keyword again replaces the old chunk
+    const retagged = setTextChunks(tagged, { other: 'changed' });
+    assert.deepEqual(readTextChunks(retagged), { parameters: 'chat 猫', other: 'changed' });
+  });
+
+  it('embeds params without the source image and keeps data URIs', () => {
+    const imageData = embedGenerationMetadata(`data:image/png;base64,${FAKE_IMAGE_BASE64}`, {
+      prompt: 'fox',
+      seed: 3,
+      init_images: ['abc'],
+      strength: 0.6,
+    });
+    assert.ok(imageData.startsWith('data:image/png;base64,'));
+
+    const metadata = readImageMetadata(Buffer.from(imageData.split(',')[1], 'base64'));
+    assert.equal(metadata.parameters.strength, 0.6);
+    assert.deepEqual(metadata.params, { prompt: 'fox', seed: 3, strength: 0.6 });
+    assert.equal(metadata.backend, null);
+  });
+
+  it('stores the backend that rendered the image next to the params', () => {
+    const imageData = embedGenerationMetadata(FAKE_IMAGE_BASE64, { prompt: 'fox', seed: 3 }, 'studio-mac');
+    const metadata = readImageMetadata(Buffer.from(imageData, 'base64'));
+    assert.equal(metadata.backend, 'studio-mac');
+    assert.equal(JSON.parse(metadata.text['draw-things-params']).backend, 'studio-mac');
+    assert.deepEqual(metadata.params, { prompt: 'fox', seed: 3 });
+  });
+
+  it('rejects images that are not PNG', () => {
+    assert.throws(() => readImageMetadata(Buffer.from([0xff, 0xd8, 0xff])), /not a PNG/);
+  });
+});
+
+describe('DrawThingsService image metadata', () => {
+  const temp = createTempDir();
+  let api;
+
+  before(async () => {
+    api = await startFakeDrawThingsApi();
+  });
+
+  after(async () => {
+    await api.close();
+    temp.remove();
+  });
+
+  it('writes each image its own seed', async () => {
+    const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir });
+    const result = await service.generateImage({ prompt: 'two foxes', seed: 10, batch_size: 2 });
+    assert.equal(result.isError, false);
+
+    const seeds = result.imagePaths.map(
+      (imagePath) => readImageMetadata(fs.readFileSync(imagePath)).parameters.seed
+    );
+    assert.deepEqual(seeds, result.seeds);
+
+    const { params } = readImageMetadata(fs.readFileSync(result.imagePath));
+    assert.equal(params.prompt, 'two foxes');
+    assert.equal(params.batch_size, 2);
+    assert.equal(readImageMetadata(fs.readFileSync(result.imagePath)).backend, result.metadata.backend);
+  });
+});
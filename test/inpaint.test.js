@@ -0,0 +1,158 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { rasterizeMask } from '../src/services/mask.ts';
+import { loadImageInput } from '../src/services/imageInput.ts';
+import { readImageSize } from '../src/services/png.ts';
+import { startFakeDrawThingsApi, FAKE_IMAGE_BASE64 } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+// decode the single-IDAT grayscale PNGs produced by rasterizeMask
+function decodeMask(base64) {
+  const buffer = Buffer.from(base64, 'base64');
+  const { width, height } = readImageSize(buffer);
+  const idatLength = buffer.readUInt32BE(33);
+  const raw = zlib.inflateSync(buffer.subarray(41, 41 + idatLength));
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push([...raw.subarray(y * (width + 1) + 1, (y + 1) * (width + 1))]);
+  }
+  return { width, height, rows };
+}
+
+describe('rasterizeMask', () => {
+  it('paints rectangles white on a black mask of the source size', () => {
+    const { width, height, rows } = decodeMask(
+      rasterizeMask(4, 3, [{ x: 1, y: 1, width: 2, height: 5 }])
+    );
+    assert.equal(width, 4);
+    assert.equal(height, 3);
+    assert.deepEqual(rows, [
+      [0, 0, 0, 0],
+      [0, 255, 255, 0],
+      [0, 255, 255, 0],
+    ]);
+  });
+
+  it('rejects rectangles outside the image', () => {
+    assert.throws(
+      () => rasterizeMask(4, 4, [{ x: 10, y: 10, width: 2, height: 2 }]),
+      /do not overlap/
+    );
+  });
+});
+
+describe('loadImageInput', () => {
+  const temp = createTempDir();
+
+  after(() => temp.remove());
+
+  it('reads the file when both a path and base64 data are given', async () => {
+    const imagePath = path.join(temp.dir, 'source.png');
+    fs.writeFileSync(imagePath, Buffer.from(FAKE_IMAGE_BASE64, 'base64'));
+
+    const other = rasterizeMask(2, 2, [{ x: 0, y: 0, width: 1, height: 1 }]);
+    assert.equal(await loadImageInput({ imagePath, base64: other, roots: [temp.dir] }), FAKE_IMAGE_BASE64);
+    assert.equal(await loadImageInput({ base64: `data:image/png;base64,${other}` }), other);
+    await assert.rejects(loadImageInput({}), /either an image path or base64/);
+  });
+
+  it('refuses files outside the workspace roots', async () => {
+    const root = path.join(temp.dir, 'workspace');
+    fs.mkdirSync(root, { recursive: true });
+    fs.writeFileSync(path.join(temp.dir, 'secret.png'), Buffer.from(FAKE_IMAGE_BASE64, 'base64'));
+    fs.writeFileSync(path.join(root, 'inside.png'), Buffer.from(FAKE_IMAGE_BASE64, 'base64'));
+
+    assert.equal(await loadImageInput({ imagePath: 'inside.png', roots: [root] }), FAKE_IMAGE_BASE64);
+    for (const imagePath of ['../secret.png', path.join(temp.dir, 'secret.png')]) {
+      await assert.rejects(loadImageInput({ imagePath, roots: [root] }), /outside the workspace roots/);
+    }
+    // without roots the working directory is the workspace
+    await assert.rejects(loadImageInput({ imagePath: path.join(temp.dir, 'secret.png') }), /outside the workspace roots/);
+  });
+});
+
+describe('DrawThingsService.inpaintImage', () => {
+  let api;
+  let service;
+  const temp = createTempDir();
+
+  before(async () => {
+    api = await startFakeDrawThingsApi();
+    service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir });
+  });
+
+  after(async () => {
+    await api.close();
+    temp.remove();
+  });
+
+  it('sends the source image, mask and inpainting defaults to img2img', async () => {
+    const mask = rasterizeMask(1, 1, [{ x: 0, y: 0, width: 1, height: 1 }]);
+    const result = await service.inpaintImage(
+      { prompt: 'replace the background' },
+      FAKE_IMAGE_BASE64,
+      mask
+    );
+
+    assert.equal(result.isError, false);
+    assert.ok(fs.existsSync(result.imagePath));
+
+    const request = api.requests.at(-1);
+    assert.equal(request.url, '/sdapi/v1/img2img');
+    assert.deepEqual(request.body.init_images, [FAKE_IMAGE_BASE64]);
+    assert.equal(request.body.mask, mask);
+    assert.equal(request.body.prompt, 'replace the background');
+    assert.equal(request.body.mask_blur, 1.5);
+    assert.equal(request.body.mask_blur_outset, 0);
+    assert.equal(request.body.preserve_original_after_inpaint, true);
+  });
+
+  it('lets callers override the inpainting params', async () => {
+    const maskPath = path.join(temp.dir, 'mask.png');
+    fs.writeFileSync(maskPath, Buffer.from(rasterizeMask(2, 2, [{ x: 0, y: 0, width: 1, height: 2 }]), 'base64'));
+
+    const mask = await loadImageInput({ imagePath: maskPath, roots: [temp.dir] });
+    const result = await service.inpaintImage(
+      {
+        prompt: 'fix the hand',
+        mask_blur: 4,
+        mask_blur_outset: 2,
+        preserve_original_after_inpaint: false,
+      },
+      FAKE_IMAGE_BASE64,
+      mask
+    );
+
+    const request = api.requests.at(-1);
+    assert.equal(request.body.mask, mask);
+    assert.equal(request.body.mask_blur, 4);
+    assert.equal(request.body.mask_blur_outset, 2);
+    assert.equal(request.body.preserve_original_after_inpaint, false);
+  });
+
+  it('reports API failures as an error result', async () => {
+    const failingApi = await startFakeDrawThingsApi({
+      handler: (req, body, res) => {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ error: 'model not loaded' }));
+        return true;
+      },
+    });
+    try {
+      const result = await new DrawThingsService(failingApi.url, { imagesDir: temp.imagesDir }).inpaintImage(
+        { prompt: 'x' },
+        FAKE_IMAGE_BASE64,
+        FAKE_IMAGE_BASE64
+      );
+      assert.equal(result.isError, true);
+      assert.match(result.errorMessage, /500 - model not loaded/);
+    } finally {
+      await failingApi.close();
+    }
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * End-to-end tests: the MCP server runs as a child process over stdio,
+ * driven by the SDK client, against the mock Draw Things server
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { CreateMessageRequestSchema, ListRootsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+import { readImageSize } from '../src/services/png.ts';
+import { imageColor, solidPng, startMockDrawThingsServer } from './mock/mockDrawThingsServer.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * start the MCP server from source and connect a client to it
+ * @param {string} apiUrl mock server URL
+ * @param {string} dir working directory, also HOME so no user config is picked up
+ * @param {string[]} [args] extra CLI flags
+ * @param {object} [capabilities] client capabilities, e.g. sampling
+ */
+async function connectClient(apiUrl, dir, args = [], capabilities = {}) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [
+      '--no-warnings',
+      '--loader',
+      import.meta.resolve('ts-node/esm'),
+      path.join(projectRoot, 'src', 'index.ts'),
+      '--api-url',
+      apiUrl,
+      '--output-dir',
+      path.join(dir, 'images'),
+      '--log-dir',
+      path.join(dir, 'logs'),
+      ...args,
+    ],
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      HOME: dir,
+      TS_NODE_TRANSPILE_ONLY: 'true',
+      TS_NODE_PROJECT: path.join(projectRoot, 'tsconfig.json'),
+    },
+    stderr: 'ignore',
+  });
+  const client = new Client({ name: 'draw-things-mcp-test', version: '1.0.0' }, { capabilities });
+  await client.connect(transport);
+  return client;
+}
+
+// JSON payload of a text tool result
+const payload = (result) => JSON.parse(result.content[0].text);
+
+describe('MCP server over stdio', () => {
+  const temp = createTempDir();
+  let mock;
+  let client;
+  // sampling requests the server sent, and the answer of the client's model
+  const samplingRequests = [];
+  let samplingAnswer;
+
+  before(async () => {
+    mock = await startMockDrawThingsServer();
+    client = await connectClient(mock.url, temp.dir, ['--timeout', '2000'], { sampling: {} });
+    client.setRequestHandler(CreateMessageRequestSchema, async (request) => {
+      samplingRequests.push(request.params);
+      return { role: 'assistant', model: 'test-model', content: { type: 'text', text: samplingAnswer } };
+    });
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock.close();
+    temp.remove();
+  });
+
+  beforeEach(() => {
+    mock.setScenario({});
+  });
+
+  it('lists the tools with their input schemas', async () => {
+    const { tools } = await client.listTools();
+    const names = tools.map((tool) => tool.name);
+    for (const name of ['generateImage', 'transformImage', 'inpaintImage', 'upscaleImage', 'startGeneration', 'listModels']) {
+      assert.ok(names.includes(name), `${name} is missing`);
+    }
+    const generate = tools.find((tool) => tool.name === 'generateImage');
+    assert.equal(generate.inputSchema.properties.steps.maximum, 150);
+
+    // inpainting params come from the shared schema, with its bounds and descriptions
+    const inpaint = tools.find((tool) => tool.name === 'inpaintImage');
+    assert.equal(inpaint.inputSchema.properties.mask_blur.maximum, 50);
+    assert.ok(inpaint.inputSchema.properties.mask_blur_outset.description);
+  });
+
+  it('generates and saves the deterministic image of the prompt and seed', async () => {
+    const result = await client.callTool({
+      name: 'generateImage',
+      arguments: { prompt: 'lighthouse', seed: 7, width: 128, height: 64, return_image: false },
+    });
+    assert.equal(result.isError, undefined);
+
+    const { image_paths, metadata } = payload(result);
+    assert.equal(image_paths.length, 1);
+    assert.deepEqual(metadata.seeds, [7]);
+    // the time the service measured, not an estimate
+    assert.equal(typeof metadata.inference_time_ms, 'number');
+    assert.equal(path.dirname(image_paths[0]), path.join(temp.dir, 'images'));
+
+    const saved = fs.readFileSync(image_paths[0]);
+    assert.deepEqual(readImageSize(saved), { width: 128, height: 64 });
+    // same pixels as the mock renders for this prompt and seed, metadata chunks aside
+    const expected = solidPng(128, 64, imageColor('lighthouse', 7));
+    const idat = (png) => {
+      const start = png.indexOf('IDAT');
+      return png.subarray(start + 4, start + 4 + png.readUInt32BE(start - 4));
+    };
+    assert.deepEqual(idat(saved), idat(expected));
+
+    assert.equal(mock.generations().at(-1).body.prompt, 'lighthouse');
+  });
+
+  it('returns a preview image when asked to', async () => {
+    const result = await client.callTool({
+      name: 'generateImage',
+      arguments: { prompt: 'preview', seed: 1, width: 64, height: 64, return_image: true, preview_format: 'png' },
+    });
+    assert.equal(result.content[1].type, 'image');
+    assert.equal(result.content[1].mimeType, 'image/png');
+  });
+
+  it('reports progress while the server renders', async () => {
+    // long enough for a progress poll (every second), so this server gets a
+    // timeout far above it instead of the suite's 2s one
+    mock.setScenario({ latencyMs: 1800 });
+    const slowTemp = createTempDir();
+    const slowClient = await connectClient(mock.url, slowTemp.dir, ['--timeout', '60000']);
+    try {
+      const updates = [];
+      const result = await slowClient.callTool(
+        { name: 'generateImage', arguments: { prompt: 'slow', seed: 2, width: 64, height: 64, steps: 10 } },
+        undefined,
+        { onprogress: (update) => updates.push(update) }
+      );
+      assert.equal(result.isError, undefined);
+      assert.ok(updates.length > 0, 'no progress notifications');
+      assert.equal(updates[0].total, 10);
+    } finally {
+      await slowClient.close();
+      slowTemp.remove();
+    }
+  });
+
+  it('reports API errors as tool errors', async () => {
+    mock.setScenario({ error: { status: 500, message: 'out of memory' } });
+    const result = await client.callTool({ name: 'generateImage', arguments: { prompt: 'fails', width: 64, height: 64 } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /API error: 500 - out of memory/);
+  });
+
+  it('gives up on a server that does not answer', async () => {
+    mock.setScenario({ hang: true });
+    const result = await client.callTool({ name: 'generateImage', arguments: { prompt: 'hangs', width: 64, height: 64 } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /timeout/);
+  });
+
+  it('retries a dropped connection and reports it in the server status', async () => {
+    mock.setScenario({ drop: { count: 1 } });
+    const result = await client.callTool({ name: 'generateImage', arguments: { prompt: 'dropped', width: 64, height: 64 } });
+    assert.notEqual(result.isError, true);
+
+    const status = payload(await client.callTool({ name: 'getServerStatus', arguments: {} }));
+    assert.equal(status.status, 'ok');
+    assert.ok(status.uptime_seconds >= 0);
+    assert.equal(status.backends[0].url, mock.url);
+    assert.equal(status.backends[0].circuit, 'closed');
+    assert.match(status.backends[0].last_error, /socket hang up/);
+  });
+
+  it('expands the asset prompts into generateImage arguments', async () => {
+    const { prompts } = await client.listPrompts();
+    const appIcon = prompts.find((prompt) => prompt.name === 'app-icon');
+    assert.ok(appIcon);
+    assert.deepEqual(
+      appIcon.arguments.filter((argument) => argument.required).map((argument) => argument.name),
+      ['subject']
+    );
+
+    const { messages } = await client.getPrompt({ name: 'app-icon', arguments: { subject: 'a paper plane', platform: 'macos' } });
+    const args = JSON.parse(messages[0].content.text.match(/```json\n([\s\S]*?)\n```/)[1]);
+    assert.match(args.prompt, /macOS app icon/);
+    // a small fixed size instead of the recommended aspect ratio keeps the mock fast
+    const { aspect_ratio, ...rest } = args;
+    assert.equal(aspect_ratio, '1:1');
+    const result = await client.callTool({ name: 'generateImage', arguments: { ...rest, width: 64, height: 64 } });
+    assert.notEqual(result.isError, true);
+
+    await assert.rejects(client.getPrompt({ name: 'app-icon', arguments: { subject: 'x', platform: 'windows' } }));
+  });
+
+  it('enhances the prompt with the client model when asked to', async () => {
+    samplingAnswer = JSON.stringify({ prompt: 'a golden retriever puppy on a lawn, soft light', negative_prompt: 'blurry, extra legs' });
+    const result = await client.callTool({
+      name: 'generateImage',
+      arguments: { prompt: 'a dog', enhance_prompt: true, width: 64, height: 64, return_image: false },
+    });
+    assert.notEqual(result.isError, true);
+
+    const { metadata } = payload(result);
+    assert.equal(metadata.original_prompt, 'a dog');
+    assert.equal(metadata.enhanced_prompt, 'a golden retriever puppy on a lawn, soft light');
+    assert.equal(metadata.enhanced_negative_prompt, 'blurry, extra legs');
+    assert.equal(samplingRequests.at(-1).messages[0].content.text, 'Prompt to rewrite: a dog');
+    const { body } = mock.generations().at(-1);
+    assert.equal(body.prompt, 'a golden retriever puppy on a lawn, soft light');
+    assert.equal(body.negative_prompt, 'blurry, extra legs');
+  });
+
+  it('keeps the original prompt when the enhancement fails', async () => {
+    samplingAnswer = '';
+    const result = await client.callTool({
+      name: 'generateImage',
+      arguments: { prompt: 'a cat', negative_prompt: 'dogs', enhance_prompt: true, width: 64, height: 64, return_image: false },
+    });
+    assert.notEqual(result.isError, true);
+
+    const { metadata } = payload(result);
+    assert.equal(metadata.original_prompt, 'a cat');
+    assert.equal(metadata.enhanced_prompt, undefined);
+    assert.match(metadata.prompt_enhancement_error, /didn't answer with text/);
+    assert.equal(mock.generations().at(-1).body.prompt, 'a cat');
+  });
+
+  it('asks for a prompt instead of inventing one', async () => {
+    const generations = mock.generations().length;
+    const sampled = samplingRequests.length;
+    for (const args of [{ enhance_prompt: true }, { prompt: '  ', enhance_prompt: true }, {}]) {
+      const result = await client.callTool({ name: 'generateImage', arguments: { ...args, width: 64, height: 64 } });
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /prompt is required/);
+    }
+    const image = solidPng(64, 64, [9, 9, 9]).toString('base64');
+    for (const [name, args] of [
+      ['generateIconSet', { prompt: '' }],
+      ['generateIconSet', { prompt: '  ' }],
+      ['transformImage', { prompt: '  ', image }],
+      ['inpaintImage', { prompt: '  ', image, mask_rects: [{ x: 0, y: 0, width: 8, height: 8 }] }],
+    ]) {
+      const result = await client.callTool({ name, arguments: args });
+      assert.equal(result.isError, true, name);
+      assert.match(result.content[0].text, /prompt/, name);
+    }
+    assert.equal(samplingRequests.length, sampled);
+    assert.equal(mock.generations().length, generations);
+  });
+
+  it('refuses to read images outside the workspace', async () => {
+    const before = mock.generations().length;
+    const outside = path.join(path.dirname(temp.dir), 'outside.png');
+    for (const [name, args] of [
+      ['transformImage', { prompt: 'x', image_path: outside }],
+      ['upscaleImage', { image_path: '../outside.png', upscaler: 'realesrgan_x2plus_f16.ckpt' }],
+      ['readImageMetadata', { image_path: outside }],
+      ['remixImage', { image_path: outside }],
+    ]) {
+      const result = await client.callTool({ name, arguments: args });
+      assert.equal(result.isError, true, name);
+      assert.match(result.content[0].text, /outside the workspace roots/, name);
+    }
+    assert.equal(mock.generations().length, before);
+  });
+
+  it('upscales a workspace image', async () => {
+    fs.writeFileSync(path.join(temp.dir, 'source.png'), solidPng(128, 64, [9, 9, 9]));
+    const result = await client.callTool({
+      name: 'upscaleImage',
+      arguments: { image_path: 'source.png', upscaler: 'realesrgan_x2plus_f16.ckpt', scale: 2, return_image: false },
+    });
+    assert.notEqual(result.isError, true);
+
+    const { image_paths } = payload(result);
+    assert.deepEqual(readImageSize(fs.readFileSync(image_paths[0])), { width: 256, height: 128 });
+    const { url, body } = mock.generations().at(-1);
+    assert.equal(url, '/sdapi/v1/img2img');
+    assert.deepEqual([body.upscaler, body.upscaler_scale, body.strength], ['realesrgan_x2plus_f16.ckpt', 2, 0]);
+  });
+
+  it('rejects invalid params without calling the API', async () => {
+    const before = mock.generations().length;
+    const result = await client.callTool({ name: 'generateImage', arguments: { prompt: 'x', steps: 0 } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /steps/);
+    assert.equal(mock.generations().length, before);
+  });
+
+  it('suggests known names for unknown models', async () => {
+    const result = await client.callTool({ name: 'generateImage', arguments: { prompt: 'x', model: 'sd_xl_base.ckpt' } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /did you mean: sd_xl_base_1.0_f16.ckpt/);
+  });
+
+  it('reads presets from the workspace roots', async () => {
+    const project = path.join(temp.dir, 'project');
+    fs.mkdirSync(project, { recursive: true });
+    fs.writeFileSync(path.join(project, '.draw-things-presets.json'), JSON.stringify({ banner: { width: 1344 } }));
+
+    const rootsClient = await connectClient(mock.url, temp.dir, [], { roots: {} });
+    rootsClient.setRequestHandler(ListRootsRequestSchema, async () => ({
+      roots: [{ uri: pathToFileURL(project).href, name: 'project' }],
+    }));
+    try {
+      const presets = payload(await rootsClient.callTool({ name: 'listPresets', arguments: {} }));
+      assert.deepEqual(presets.map((preset) => preset.name), ['banner']);
+      assert.equal(presets[0].source, path.join(project, '.draw-things-presets.json'));
+    } finally {
+      await rootsClient.close();
+    }
+  });
+
+  it('runs queued jobs to completion', async () => {
+    const job = payload(
+      await client.callTool({ name: 'startGeneration', arguments: { prompt: 'queued', seed: 3, width: 64, height: 64 } })
+    );
+    let status = job.status;
+    for (let i = 0; i < 50 && (status === 'queued' || status === 'running'); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      status = payload(await client.callTool({ name: 'getJobStatus', arguments: { job_id: job.job_id } })).status;
+    }
+    assert.equal(status, 'succeeded');
+    const result = await client.callTool({ name: 'getJobResult', arguments: { job_id: job.job_id, return_image: false } });
+    assert.ok(fs.existsSync(payload(result).image_paths[0]));
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Mock AUTOMATIC1111 / Forge server
+ * A local stand-in for the SD WebUI API: the same /sdapi/v1/* endpoints as
+ * Draw Things, with the WebUI's param names (sampler_name, cfg_scale, n_iter,
+ * denoising_strength) and seeds reported in "info", the way the WebUI does,
+ * plus the extras endpoint that upscales a single image.
+ * Images are the same deterministic PNGs the mock Draw Things server renders.
+ */
+
+import http from 'http';
+import { imageColor, solidPng } from './mockDrawThingsServer.js';
+
+export const A1111_MODELS = [
+  { title: 'v1-5-pruned-emaonly.safetensors [6ce0161689]', model_name: 'v1-5-pruned-emaonly', filename: '/models/Stable-diffusion/v1-5-pruned-emaonly.safetensors' },
+  { title: 'sd_xl_base_1.0.safetensors [31e35c80fc]', model_name: 'sd_xl_base_1.0', filename: '/models/Stable-diffusion/sd_xl_base_1.0.safetensors' },
+];
+export const A1111_SAMPLERS = ['DPM++ 2M', 'Euler a', 'Euler', 'DDIM'];
+export const A1111_SCHEDULERS = ['Automatic', 'Karras', 'SGM Uniform', 'Align Your Steps'];
+export const A1111_UPSCALERS = ['None', 'Lanczos', 'R-ESRGAN 4x+'];
+
+// width and height of a PNG from its IHDR chunk
+function pngSize(buffer) {
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * Start the mock server on a free local port
+ */
+export async function startMockA1111Server() {
+  const requests = [];
+
+  const sendJson = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const generate = (body, res) => {
+    if (body.sampler_name && !A1111_SAMPLERS.includes(body.sampler_name)) {
+      return sendJson(res, 422, { error: 'ValueError', detail: `sampler not found: ${body.sampler_name}` });
+    }
+    if (body.scheduler && !A1111_SCHEDULERS.includes(body.scheduler)) {
+      return sendJson(res, 422, { error: 'ValueError', detail: `scheduler not found: ${body.scheduler}` });
+    }
+    const count = (body.batch_size || 1) * (body.n_iter || 1);
+    // the WebUI picks its own seed for -1 and reports it
+    const seed = body.seed >= 0 ? body.seed : 1234;
+    // with hires fix the images come out at the upscaled size
+    const width = body.enable_hr ? body.hr_resize_x : body.width;
+    const height = body.enable_hr ? body.hr_resize_y : body.height;
+    const seeds = Array.from({ length: count }, (_, i) => seed + i);
+    sendJson(res, 200, {
+      images: seeds.map((s) => solidPng(width || 512, height || 512, imageColor(body.prompt || '', s)).toString('base64')),
+      parameters: body,
+      info: JSON.stringify({ seed, all_seeds: seeds, prompt: body.prompt }),
+    });
+  };
+
+  const upscale = (body, res) => {
+    if (!A1111_UPSCALERS.includes(body.upscaler_1)) {
+      return sendJson(res, 422, { error: 'ValueError', detail: `could not find upscaler named ${body.upscaler_1}` });
+    }
+    const { width, height } = pngSize(Buffer.from(body.image, 'base64'));
+    const scale = body.upscaling_resize || 2;
+    sendJson(res, 200, {
+      image: solidPng(width * scale, height * scale, imageColor('', 0)).toString('base64'),
+      html_info: '',
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      const url = new URL(req.url, 'http://mock');
+      requests.push({ method: req.method, url: url.pathname, body });
+
+      switch (`${req.method} ${url.pathname}`) {
+        case 'GET /sdapi/v1/options':
+          return sendJson(res, 200, { sd_model_checkpoint: A1111_MODELS[0].title });
+        case 'GET /sdapi/v1/sd-models':
+          return sendJson(res, 200, A1111_MODELS);
+        case 'GET /sdapi/v1/samplers':
+          return sendJson(res, 200, A1111_SAMPLERS.map((name) => ({ name, aliases: [], options: {} })));
+        case 'GET /sdapi/v1/loras':
+          return sendJson(res, 200, [{ name: 'add_detail', alias: 'add_detail', path: '/models/Lora/add_detail.safetensors' }]);
+        case 'GET /sdapi/v1/progress':
+          return sendJson(res, 200, { progress: 0, state: { sampling_steps: 0 } });
+        case 'POST /sdapi/v1/interrupt':
+          return sendJson(res, 200, {});
+        case 'POST /sdapi/v1/txt2img':
+        case 'POST /sdapi/v1/img2img':
+          return generate(body || {}, res);
+        case 'POST /sdapi/v1/extra-single-image':
+          return upscale(body || {}, res);
+        default:
+          return sendJson(res, 404, { detail: 'Not Found' });
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    generations: () => requests.filter(({ url }) => /\/(txt2img|img2img)$/.test(url)),
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(resolve);
+      }),
+  };
+}
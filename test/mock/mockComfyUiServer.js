@@ -0,0 +1,260 @@
+/**
+ * Mock ComfyUI server
+ * A local stand-in for the ComfyUI API: /prompt queues an API format
+ * workflow, /history reports it done after the scenario's latency, /view
+ * serves the saved image, plus /upload/image, /object_info, /queue and
+ * /interrupt. Images are solid PNGs in the color of the workflow's positive
+ * prompt and KSampler seed, sized by its LatentUpscale, EmptyLatentImage or
+ * source image.
+ * Upscale workflows without a KSampler save an image of their ImageScale size.
+ *
+ * Scenarios:
+ *   latencyMs       time a prompt takes to run
+ *   executionError  prompts fail while running with this message
+ */
+
+import http from 'http';
+import { imageColor, solidPng } from './mockDrawThingsServer.js';
+
+export const COMFYUI_CHECKPOINTS = ['sd_xl_base_1.0.safetensors', 'v1-5-pruned-emaonly.safetensors'];
+export const COMFYUI_SAMPLERS = ['euler', 'euler_ancestral', 'dpmpp_2m', 'dpmpp_sde', 'uni_pc'];
+export const COMFYUI_SCHEDULERS = ['normal', 'karras', 'sgm_uniform', 'simple'];
+export const COMFYUI_LORAS = ['add_detail.safetensors'];
+export const COMFYUI_UPSCALERS = ['RealESRGAN_x4plus.pth'];
+
+// width and height of a PNG from its IHDR chunk
+function pngSize(buffer) {
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// the file part of a multipart/form-data body with a single file
+function multipartFile(body, contentType) {
+  const boundary = `--${contentType.match(/boundary=(.+)$/)[1]}`;
+  for (const part of body.toString('latin1').split(boundary)) {
+    const filename = part.match(/name="image"; filename="([^"]+)"/);
+    if (filename) {
+      const start = part.indexOf('\r\n\r\n') + 4;
+      return { filename: filename[1], data: Buffer.from(part.slice(start, part.lastIndexOf('\r\n')), 'latin1') };
+    }
+  }
+  return null;
+}
+
+/**
+ * check a workflow the way ComfyUI validates it before queueing
+ * @returns node errors, empty when the workflow is valid
+ */
+function validateWorkflow(workflow, uploads) {
+  const errors = {};
+  for (const [id, node] of Object.entries(workflow)) {
+    const fail = (message) => {
+      errors[id] = { errors: [{ message }], class_type: node.class_type };
+    };
+    const { inputs } = node;
+    switch (node.class_type) {
+      case 'CheckpointLoaderSimple':
+        if (!COMFYUI_CHECKPOINTS.includes(inputs.ckpt_name)) fail(`Value not in list: ckpt_name: '${inputs.ckpt_name}'`);
+        break;
+      case 'UpscaleModelLoader':
+        if (!COMFYUI_UPSCALERS.includes(inputs.model_name)) fail(`Value not in list: model_name: '${inputs.model_name}'`);
+        break;
+      case 'LoraLoader':
+        if (!COMFYUI_LORAS.includes(inputs.lora_name)) fail(`Value not in list: lora_name: '${inputs.lora_name}'`);
+        break;
+      case 'KSampler':
+        if (!COMFYUI_SAMPLERS.includes(inputs.sampler_name)) fail(`Value not in list: sampler_name: '${inputs.sampler_name}'`);
+        if (!COMFYUI_SCHEDULERS.includes(inputs.scheduler)) fail(`Value not in list: scheduler: '${inputs.scheduler}'`);
+        break;
+      case 'LoadImage':
+      case 'LoadImageMask':
+        if (!uploads.has(inputs.image)) fail(`Invalid image file: ${inputs.image}`);
+        break;
+    }
+    // every link must point at an existing node
+    for (const value of Object.values(inputs)) {
+      if (Array.isArray(value) && typeof value[0] === 'string' && !workflow[value[0]]) {
+        fail(`missing input node ${value[0]}`);
+      }
+    }
+  }
+  if (!Object.values(workflow).some((node) => node.class_type === 'SaveImage')) {
+    errors.output = { errors: [{ message: 'Prompt has no outputs' }] };
+  }
+  return errors;
+}
+
+/**
+ * Start the mock server on a free local port
+ * @param {object} [options]
+ * @param {object} [options.scenario] initial scenario, see above
+ */
+export async function startMockComfyUiServer({ scenario = {} } = {}) {
+  const requests = [];
+  let current = { ...scenario };
+  // uploaded source images by name
+  const uploads = new Map();
+  // queued prompts by id
+  const prompts = new Map();
+  // saved images by file name
+  const outputs = new Map();
+  let counter = 0;
+
+  const sendJson = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const queuePrompt = (workflow) => {
+    const id = `prompt-${++counter}`;
+    const job = { id, workflow, done: false, error: null };
+    job.timer = setTimeout(() => {
+      if (current.executionError) {
+        job.error = current.executionError;
+      } else {
+        const nodes = Object.values(workflow);
+        const sampler = nodes.find((node) => node.class_type === 'KSampler')?.inputs;
+        const positive = sampler ? workflow[sampler.positive[0]].inputs.text : '';
+        const latent =
+          nodes.find((node) => node.class_type === 'LatentUpscale') ||
+          nodes.find((node) => node.class_type === 'EmptyLatentImage');
+        const scale = nodes.find((node) => node.class_type === 'ImageScale');
+        const source = nodes.find((node) => node.class_type === 'LoadImage');
+        const size = (latent || scale)?.inputs || pngSize(uploads.get(source.inputs.image));
+        job.filename = `draw-things-mcp_${String(counter).padStart(5, '0')}_${id}.png`;
+        outputs.set(job.filename, solidPng(size.width, size.height, imageColor(positive, sampler?.seed ?? 0)));
+      }
+      job.done = true;
+    }, current.latencyMs || 0);
+    prompts.set(id, job);
+    return id;
+  };
+
+  const history = (id) => {
+    const job = prompts.get(id);
+    if (!job || !job.done) {
+      return {};
+    }
+    if (job.error) {
+      return {
+        [id]: {
+          prompt: [0, id, job.workflow, {}, []],
+          outputs: {},
+          status: {
+            status_str: 'error',
+            completed: false,
+            messages: [['execution_error', { node_type: 'KSampler', exception_message: job.error }]],
+          },
+        },
+      };
+    }
+    return {
+      [id]: {
+        prompt: [0, id, job.workflow, {}, ['save']],
+        outputs: { save: { images: [{ filename: job.filename, subfolder: '', type: 'output' }] } },
+        status: { status_str: 'success', completed: true, messages: [] },
+      },
+    };
+  };
+
+  const objectInfo = {
+    CheckpointLoaderSimple: { ckpt_name: [COMFYUI_CHECKPOINTS] },
+    // newer ComfyUI versions describe combos as ["COMBO", { options }]
+    KSampler: { sampler_name: ['COMBO', { options: COMFYUI_SAMPLERS }], scheduler: [COMFYUI_SCHEDULERS] },
+    LoraLoader: { lora_name: [COMFYUI_LORAS] },
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const isJson = (req.headers['content-type'] || '').startsWith('application/json');
+      const body = isJson && raw.length ? JSON.parse(raw.toString()) : null;
+      const url = new URL(req.url, 'http://mock');
+      requests.push({ method: req.method, url: url.pathname, body });
+
+      const objectInfoMatch = url.pathname.match(/^\/object_info\/(\w+)$/);
+      if (req.method === 'GET' && objectInfoMatch) {
+        const node = objectInfoMatch[1];
+        return objectInfo[node]
+          ? sendJson(res, 200, { [node]: { input: { required: objectInfo[node] } } })
+          : sendJson(res, 200, {});
+      }
+      const historyMatch = url.pathname.match(/^\/history\/(.+)$/);
+      if (req.method === 'GET' && historyMatch) {
+        return sendJson(res, 200, history(historyMatch[1]));
+      }
+
+      switch (`${req.method} ${url.pathname}`) {
+        case 'GET /system_stats':
+          return sendJson(res, 200, { system: { os: 'posix', comfyui_version: '0.3.0' }, devices: [] });
+        case 'POST /upload/image': {
+          const file = multipartFile(raw, req.headers['content-type'] || '');
+          if (!file) {
+            return sendJson(res, 400, { error: 'no image' });
+          }
+          uploads.set(file.filename, file.data);
+          return sendJson(res, 200, { name: file.filename, subfolder: '', type: 'input' });
+        }
+        case 'POST /prompt': {
+          const workflow = body?.prompt || {};
+          const nodeErrors = validateWorkflow(workflow, uploads);
+          if (Object.keys(nodeErrors).length > 0) {
+            return sendJson(res, 400, {
+              error: { type: 'prompt_outputs_failed_validation', message: 'Prompt outputs failed validation', details: '' },
+              node_errors: nodeErrors,
+            });
+          }
+          const id = queuePrompt(workflow);
+          return sendJson(res, 200, { prompt_id: id, number: counter, node_errors: {} });
+        }
+        case 'GET /view': {
+          const image = outputs.get(url.searchParams.get('filename'));
+          if (!image) {
+            res.writeHead(404);
+            return res.end();
+          }
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          return res.end(image);
+        }
+        case 'POST /queue':
+          for (const id of body?.delete || []) {
+            const job = prompts.get(id);
+            if (job && !job.done) {
+              clearTimeout(job.timer);
+              prompts.delete(id);
+            }
+          }
+          return sendJson(res, 200, {});
+        case 'POST /interrupt':
+          return sendJson(res, 200, {});
+        default:
+          return sendJson(res, 404, { error: `not found: ${req.method} ${url.pathname}` });
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    uploads,
+    // workflows queued with POST /prompt, in order
+    workflows: () => requests.filter(({ method, url }) => method === 'POST' && url === '/prompt').map(({ body }) => body.prompt),
+    // prompts still queued or running
+    pending: () => Array.from(prompts.values()).filter((job) => !job.done).map((job) => job.id),
+    setScenario: (next = {}) => {
+      current = { ...next };
+    },
+    close: () =>
+      new Promise((resolve) => {
+        for (const job of prompts.values()) {
+          clearTimeout(job.timer);
+        }
+        server.closeAllConnections?.();
+        server.close(resolve);
+      }),
+  };
+}
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Draw Things server
+ * A local stand-in for the Draw Things HTTP API: implements the /sdapi/v1/*
+ * endpoints the MCP server uses and answers generation requests with
+ * deterministic PNGs of the requested size, one color per prompt and seed.
+ * With an upscaler set, images come out upscaler_scale times larger, the way
+ * Draw Things runs the upscaler after sampling.
+ *
+ * Scenarios make it slow, failing or unresponsive:
+ *   latencyMs  delay before a generation answers, progress is reported meanwhile
+ *   error      { status, message, count } generation requests fail with the
+ *              status, the first `count` ones only when count is set
+ *   hang       generation requests never answer, to test timeouts
+ *   drop       { count } generation requests get their connection closed
+ *              without an answer, the first `count` ones only when count is set
+ *
+ * Use it from tests with startMockDrawThingsServer(), or on its own:
+ *   node test/mock/mockDrawThingsServer.js --port 7888 --latency 2000
+ * and change the scenario while it runs with POST /mock/scenario.
+ */
+
+import http from 'http';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_MODELS = [
+  'flux_1_schnell_q5p.ckpt',
+  'sd_xl_base_1.0_f16.ckpt',
+  'sd_v1.5_f16.ckpt',
+];
+export const DEFAULT_SAMPLERS = ['DPM++ 2M Karras', 'Euler A Trailing', 'DPM++ 2M AYS', 'DPM++ SDE Trailing'];
+export const DEFAULT_LORAS = [{ name: 'pixel_art_lora_f16.ckpt', alias: 'pixel' }];
+
+// the largest side rendered, bigger requests are refused like an out of memory error
+const MAX_SIDE = 4096;
+
+let crcTable;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * RGB color of an image, derived from the prompt and the seed (FNV-1a)
+ * @param {string} prompt
+ * @param {number} seed
+ * @returns {[number, number, number]}
+ */
+export function imageColor(prompt, seed) {
+  let hash = 0x811c9dc5;
+  for (const char of `${prompt}\u0000${seed}`) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return [(hash >>> 16) & 0xff, (hash >>> 8) & 0xff, hash & 0xff];
+}
+
+/**
+ * encode a solid color RGB PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {[number, number, number]} color
+ * @returns {Buffer}
+ */
+export function solidPng(width, height, [r, g, b]) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor
+  const row = Buffer.alloc(1 + width * 3);
+  for (let x = 0; x < width; x++) {
+    row[1 + x * 3] = r;
+    row[2 + x * 3] = g;
+    row[3 + x * 3] = b;
+  }
+  const raw = Buffer.concat(Array.from({ length: height }, () => row));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * the images a generation request gets back, base64 without data URI
+ * consecutive seeds, like Draw Things does for batches
+ * @param {object} body generation request
+ */
+export function renderImages(body) {
+  const count = (body.batch_size || 1) * (body.batch_count || 1);
+  const seed = Number.isInteger(body.seed) && body.seed >= 0 ? body.seed : 0;
+  const scale = body.upscaler && body.upscaler_scale > 0 ? body.upscaler_scale : 1;
+  return Array.from({ length: count }, (_, i) =>
+    solidPng((body.width || 512) * scale, (body.height || 512) * scale, imageColor(body.prompt || '', seed + i)).toString('base64')
+  );
+}
+
+/**
+ * Start the mock server
+ * @param {object} [options]
+ * @param {number} [options.port] 0 picks a free port
+ * @param {string} [options.host]
+ * @param {object} [options.scenario] initial scenario, see above
+ * @param {string[]} [options.models] model file names for /sd-models
+ * @param {string[]} [options.samplers]
+ * @param {{name: string, alias?: string}[]} [options.loras]
+ */
+export async function startMockDrawThingsServer({
+  port = 0,
+  host = '127.0.0.1',
+  scenario = {},
+  models = DEFAULT_MODELS,
+  samplers = DEFAULT_SAMPLERS,
+  loras = DEFAULT_LORAS,
+} = {}) {
+  const requests = [];
+  let current = { ...scenario };
+  let failures = 0;
+  // generations waiting for their latency to pass
+  const pending = new Set();
+  // sockets of requests left hanging, closed with the server
+  const hanging = new Set();
+  let progress = null;
+
+  const sendJson = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const generate = (body, res) => {
+    if (current.hang) {
+      hanging.add(res);
+      res.on('close', () => hanging.delete(res));
+      return;
+    }
+
+    const drop = current.drop;
+    if (drop && (drop.count === undefined || failures < drop.count)) {
+      failures++;
+      res.socket.destroy();
+      return;
+    }
+
+    const error = current.error;
+    if (error && (error.count === undefined || failures < error.count)) {
+      failures++;
+      sendJson(res, error.status || 500, { error: error.message || 'mock generation failed' });
+      return;
+    }
+
+    const width = body.width || 512;
+    const height = body.height || 512;
+    if (width > MAX_SIDE || height > MAX_SIDE) {
+      sendJson(res, 500, { error: `image size ${width}x${height} is too large` });
+      return;
+    }
+
+    const steps = body.steps || 1;
+    const latencyMs = current.latencyMs || 0;
+    const startedAt = Date.now();
+    const job = {
+      finish: (interrupted) => {
+        pending.delete(job);
+        clearTimeout(job.timer);
+        progress = null;
+        if (interrupted) {
+          sendJson(res, 200, { images: [], parameters: body });
+          return;
+        }
+        sendJson(res, 200, { images: renderImages(body), parameters: body });
+      },
+    };
+    progress = () => {
+      const fraction = latencyMs > 0 ? Math.min(1, (Date.now() - startedAt) / latencyMs) : 1;
+      return {
+        progress: fraction,
+        eta_relative: Math.max(0, (latencyMs - (Date.now() - startedAt)) / 1000),
+        state: {
+          sampling_step: Math.floor(fraction * steps),
+          sampling_steps: steps,
+          job_count: body.batch_count || 1,
+          job_no: 0,
+        },
+        current_image: null,
+      };
+    };
+    pending.add(job);
+    job.timer = setTimeout(() => job.finish(false), latencyMs);
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        sendJson(res, 400, { error: 'invalid JSON body' });
+        return;
+      }
+      const url = new URL(req.url, 'http://mock');
+      requests.push({ method: req.method, url: url.pathname, body });
+
+      switch (`${req.method} ${url.pathname}`) {
+        case 'GET /sdapi/v1/options':
+          return sendJson(res, 200, { sd_model_checkpoint: models[0] });
+        case 'GET /sdapi/v1/sd-models':
+          return sendJson(
+            res,
+            200,
+            models.map((name) => ({ title: name, model_name: name.replace(/\.[^.]+$/, ''), filename: name }))
+          );
+        case 'GET /sdapi/v1/samplers':
+          return sendJson(res, 200, samplers.map((name) => ({ name, aliases: [] })));
+        case 'GET /sdapi/v1/loras':
+          return sendJson(res, 200, loras);
+        case 'GET /sdapi/v1/progress':
+          return sendJson(res, 200, progress ? progress() : { progress: 0, state: { sampling_steps: 0 } });
+        case 'POST /sdapi/v1/interrupt':
+          for (const job of pending) {
+            job.finish(true);
+          }
+          return sendJson(res, 200, {});
+        case 'POST /sdapi/v1/txt2img':
+        case 'POST /sdapi/v1/img2img':
+          return generate(body || {}, res);
+        case 'GET /mock/scenario':
+          return sendJson(res, 200, current);
+        case 'POST /mock/scenario':
+          current = { ...body };
+          failures = 0;
+          return sendJson(res, 200, current);
+        case 'GET /mock/requests':
+          return sendJson(res, 200, requests);
+        default:
+          return sendJson(res, 404, { error: `not found: ${req.method} ${url.pathname}` });
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const address = server.address();
+
+  return {
+    url: `http://${host}:${address.port}`,
+    port: address.port,
+    requests,
+    // generation requests only, the ones that carry params
+    generations: () => requests.filter(({ url }) => /\/(txt2img|img2img)$/.test(url)),
+    setScenario: (next = {}) => {
+      current = { ...next };
+      failures = 0;
+    },
+    close: () =>
+      new Promise((resolve) => {
+        for (const job of pending) {
+          clearTimeout(job.timer);
+        }
+        for (const res of hanging) {
+          res.destroy();
+        }
+        server.closeAllConnections?.();
+        server.close(resolve);
+      }),
+  };
+}
+
+// run on its own: node test/mock/mockDrawThingsServer.js [--port 7888] [--latency ms] [--error status] [--hang]
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const args = process.argv.slice(2);
+  const value = (flag) => {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const scenario = {
+    latencyMs: Number(value('--latency') || 0),
+    ...(value('--error') && { error: { status: Number(value('--error')) } }),
+    ...(args.includes('--hang') && { hang: true }),
+  };
+  const mock = await startMockDrawThingsServer({ port: Number(value('--port') || 7888), scenario });
+  console.log(`Mock Draw Things server listening on ${mock.url}`);
+  console.log(`Scenario: ${JSON.stringify(scenario)}, change it with POST ${mock.url}/mock/scenario`);
+}
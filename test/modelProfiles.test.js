@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { detectModelProfile, parseAspectRatio, sizeForAspectRatio } from '../src/services/modelProfiles.ts';
+import { applyPreset } from '../src/services/presets.ts';
+import { InvalidParamsError } from '../src/services/schemas.ts';
+import { startFakeDrawThingsApi } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('model profiles', () => {
+  it('detects the family from the model name', () => {
+    const family = (model) => detectModelProfile(model)?.family;
+    assert.equal(family('flux_1_schnell_q5p.ckpt'), 'flux-schnell');
+    assert.equal(family('flux_1_dev_q8p.ckpt'), 'flux');
+    assert.equal(family('sd3_medium_f16.ckpt'), 'sd3');
+    assert.equal(family('sd_3.5_large_f16.ckpt'), 'sd3');
+    assert.equal(family('sd_xl_base_1.0_f16.ckpt'), 'sdxl');
+    assert.equal(family('sdxl_lightning_4_step_f16.ckpt'), 'sdxl-turbo');
+    assert.equal(family('v1-5-pruned-emaonly.ckpt'), 'sd15');
+    assert.equal(family('sd_v1.5_f16.ckpt'), 'sd15');
+    assert.equal(family('sd_v2.1_f16.ckpt'), 'sd2');
+    assert.equal(family('my_custom_model.ckpt'), undefined);
+  });
+
+  it('sizes aspect ratios to the pixel budget in whole multiples', () => {
+    assert.equal(parseAspectRatio('16:9'), 16 / 9);
+    assert.equal(parseAspectRatio('3/2'), 1.5);
+    assert.equal(parseAspectRatio('0.75'), 0.75);
+    assert.throws(() => parseAspectRatio('0:1'), /invalid aspect_ratio/);
+    assert.throws(() => parseAspectRatio('20:1'), /outside 1:8 to 8:1/);
+
+    assert.deepEqual(sizeForAspectRatio(16 / 9, 1, 64), { width: 1344, height: 768 });
+    assert.deepEqual(sizeForAspectRatio(1, 0.26, 64), { width: 512, height: 512 });
+    assert.deepEqual(sizeForAspectRatio(2 / 3, 1, 8), { width: 816, height: 1224 });
+  });
+
+  it('lets argument sizes replace preset sizes', () => {
+    const presets = new Map([['wide', { name: 'wide', params: { width: 1344, height: 768, steps: 9 }, source: 'x' }]]);
+    assert.deepEqual(applyPreset(presets, 'wide', { aspect_ratio: '1:1' }), { steps: 9, aspect_ratio: '1:1' });
+  });
+});
+
+describe('DrawThingsService model defaults', () => {
+  const temp = createTempDir();
+  let api;
+  let service;
+
+  before(async () => {
+    api = await startFakeDrawThingsApi();
+    service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir });
+  });
+
+  after(async () => {
+    await api.close();
+    temp.remove();
+  });
+
+  const lastRequest = () => api.requests.at(-1).body;
+
+  it('uses the recommended params of the model family, below the caller params', async () => {
+    await service.generateImage({ prompt: 'fox', model: 'sd_xl_base_1.0_f16.ckpt', steps: 12 });
+    assert.equal(lastRequest().steps, 12);
+    assert.equal(lastRequest().guidance_scale, 7);
+    assert.equal(lastRequest().sampler, 'DPM++ 2M Karras');
+    assert.equal(lastRequest().width, 1024);
+
+    await service.generateImage({ prompt: 'fox' });
+    assert.equal(lastRequest().model, 'flux_1_schnell_q5p.ckpt');
+    assert.equal(lastRequest().steps, 4);
+    assert.equal(lastRequest().guidance_scale, 1);
+  });
+
+  it('sizes from aspect_ratio and megapixels for the model family', async () => {
+    await service.generateImage({ prompt: 'banner', model: 'sd_xl_base_1.0_f16.ckpt', aspect_ratio: '16:9' });
+    assert.equal(lastRequest().width, 1344);
+    assert.equal(lastRequest().height, 768);
+    assert.equal(lastRequest().aspect_ratio, undefined);
+
+    // the native size of the requested model, not of the default one
+    await service.generateImage({ prompt: 'photo', model: 'v1-5-pruned-emaonly.ckpt', aspect_ratio: '3:2' });
+    assert.equal(lastRequest().width, 640);
+    assert.equal(lastRequest().height, 448);
+
+    await service.generateImage({ prompt: 'small', model: 'v1-5-pruned-emaonly.ckpt', megapixels: 0.5 });
+    assert.equal(lastRequest().width, 704);
+    assert.equal(lastRequest().height, 704);
+  });
+
+  it('rejects aspect_ratio together with width or height', async () => {
+    await assert.rejects(
+      service.generateImage({ prompt: 'x', aspect_ratio: '1:1', width: 512 }),
+      (error) => error instanceof InvalidParamsError && error.errors[0].field === 'aspect_ratio'
+    );
+  });
+});
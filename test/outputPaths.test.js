@@ -0,0 +1,131 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import {
+  isInsideDirectory,
+  renderFilename,
+  resolveOutputPath,
+  slugify,
+  uniqueFilePath,
+} from '../src/services/outputPaths.ts';
+import { startFakeDrawThingsApi } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('file name templates', () => {
+  const date = new Date(2026, 0, 5, 9, 8, 7);
+
+  it('renders variables and slugs', () => {
+    assert.equal(
+      renderFilename('{date}-{slug(prompt)}-{seed}.png', { prompt: 'A Café on Mars, at night!', seed: 12, index: 1, date }),
+      '2026-01-05-a-cafe-on-mars-at-night-12.png'
+    );
+    assert.equal(
+      renderFilename('{model}_{width}x{height}_{index}_{time}', {
+        prompt: 'x',
+        seed: 1,
+        index: 2,
+        model: 'sd_xl_base.safetensors',
+        width: 512,
+        height: 768,
+        date,
+      }),
+      'sd_xl_base_512x768_2_090807.png'
+    );
+  });
+
+  it('keeps raw values from adding directories', () => {
+    assert.equal(renderFilename('{prompt}', { prompt: '../a/b', seed: 1, index: 1, date }), '..-a-b.png');
+  });
+
+  it('rejects unknown placeholders', () => {
+    assert.throws(() => renderFilename('{steps}.png', { prompt: 'x', seed: 1, index: 1 }), /unknown filename template variable in \{steps\}/);
+    assert.throws(() => renderFilename('{upper(prompt)}.png', { prompt: 'x', seed: 1, index: 1 }), /function in \{upper\(prompt\)\}/);
+  });
+
+  it('shortens long slugs at a word boundary', () => {
+    const slug = slugify('a very long prompt with many words that keeps going and going and going');
+    assert.ok(slug.length <= 48);
+    assert.ok(!slug.endsWith('-'));
+    assert.equal(slugify('!!!'), 'image');
+  });
+});
+
+describe('output paths', () => {
+  const temp = createTempDir();
+  const root = path.join(temp.dir, 'project');
+  const otherRoot = path.join(temp.dir, 'other');
+
+  after(() => {
+    temp.remove();
+  });
+
+  it('resolves folders and files inside the roots', () => {
+    assert.deepEqual(resolveOutputPath('assets/hero', [root], '{seed}.png'), {
+      outputDir: path.join(root, 'assets', 'hero'),
+      filenameTemplate: '{seed}.png',
+    });
+    assert.deepEqual(resolveOutputPath(path.join(otherRoot, 'icon-{seed}.webp'), [root, otherRoot], '{seed}.png'), {
+      outputDir: otherRoot,
+      filenameTemplate: 'icon-{seed}.webp',
+    });
+  });
+
+  it('refuses paths outside the roots', () => {
+    assert.throws(() => resolveOutputPath('../escape', [root], '{seed}.png'), /outside the workspace roots/);
+    assert.throws(() => resolveOutputPath('/etc/x.png', [root], '{seed}.png'), /outside the workspace roots/);
+    assert.equal(isInsideDirectory(root, `${root}-sibling`), false);
+    assert.equal(isInsideDirectory(root, path.join(root, '..hidden')), true);
+  });
+
+  it('finds a free file name', () => {
+    fs.mkdirSync(root, { recursive: true });
+    fs.writeFileSync(path.join(root, 'hero.png'), '');
+    fs.writeFileSync(path.join(root, 'hero-2.png'), '');
+    assert.equal(uniqueFilePath(path.join(root, 'hero.png')), path.join(root, 'hero-3.png'));
+    assert.equal(uniqueFilePath(path.join(root, 'new.png')), path.join(root, 'new.png'));
+  });
+});
+
+describe('DrawThingsService output options', () => {
+  const temp = createTempDir();
+  let api;
+
+  before(async () => {
+    api = await startFakeDrawThingsApi();
+  });
+
+  after(async () => {
+    await api.close();
+    temp.remove();
+  });
+
+  it('saves into the requested folder with the template, without overwriting', async () => {
+    const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir });
+    const outputDir = path.join(temp.dir, 'workspace', 'assets', 'generated');
+    const options = { outputDir, filenameTemplate: 'hero.png' };
+
+    const first = await service.generateImage({ prompt: 'hero', seed: 1, batch_size: 2 }, options);
+    const second = await service.generateImage({ prompt: 'hero', seed: 1 }, options);
+
+    assert.deepEqual(
+      [...first.imagePaths, ...second.imagePaths],
+      ['hero.png', 'hero-2.png', 'hero-3.png'].map((name) => path.join(outputDir, name))
+    );
+  });
+
+  it('uses the service template by default', async () => {
+    const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir, filenameTemplate: '{slug(prompt)}-{seed}' });
+    const result = await service.generateImage({ prompt: 'Red Fox', seed: 9 });
+    assert.equal(result.imagePath, path.join(temp.imagesDir, 'red-fox-9.png'));
+  });
+
+  it('refuses templates that leave the output folder', async () => {
+    const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir, filenameTemplate: '../{seed}.png' });
+    const result = await service.generateImage({ prompt: 'x', seed: 1 });
+    assert.equal(result.isError, true);
+    assert.match(result.errorMessage, /leaves the output directory/);
+  });
+});
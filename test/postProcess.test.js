@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Jimp } from 'jimp';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { readImageMetadata } from '../src/services/imageMetadata.ts';
+import { readImageSize } from '../src/services/png.ts';
+import { formatForFileName, postProcessImage } from '../src/services/postProcess.ts';
+import { startFakeDrawThingsApi } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+async function solidImage(width, height) {
+  return new Jimp({ width, height, color: 0x3366ffff }).getBuffer('image/png');
+}
+
+describe('postProcessImage', () => {
+  it('crops to cover, pads to contain and scales a single side', async () => {
+    const source = await solidImage(200, 100);
+
+    const cover = await postProcessImage(source, { width: 50, height: 50 });
+    assert.deepEqual(readImageSize(cover.data), { width: 50, height: 50 });
+
+    const inside = await postProcessImage(source, { width: 50, height: 50, fit: 'inside' });
+    assert.deepEqual([inside.width, inside.height], [50, 25]);
+    const small = await postProcessImage(source, { width: 400, height: 400, fit: 'inside' });
+    assert.deepEqual([small.width, small.height], [200, 100]);
+
+    const contain = await postProcessImage(source, { width: 50, height: 50, fit: 'contain' });
+    assert.deepEqual([contain.width, contain.height], [50, 50]);
+
+    const single = await postProcessImage(source, { height: 20 });
+    assert.deepEqual([single.width, single.height], [40, 20]);
+  });
+
+  it('encodes JPEG and WebP', async () => {
+    const source = await solidImage(32, 32);
+
+    const jpeg = await postProcessImage(source, { format: 'jpeg', quality: 60 });
+    assert.equal(jpeg.mimeType, 'image/jpeg');
+    assert.equal(jpeg.extension, '.jpg');
+    assert.deepEqual([...jpeg.data.subarray(0, 3)], [0xff, 0xd8, 0xff]);
+
+    const webp = await postProcessImage(source, { format: 'webp' });
+    assert.equal(webp.extension, '.webp');
+    assert.equal(webp.data.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(webp.data.toString('ascii', 8, 12), 'WEBP');
+    // a PNG copy for previews, WebP can't be read back
+    assert.deepEqual(readImageSize(webp.pngData), { width: 32, height: 32 });
+  });
+
+  it('takes the format from the file name', () => {
+    assert.equal(formatForFileName('a.JPG'), 'jpeg');
+    assert.equal(formatForFileName('a.jpeg'), 'jpeg');
+    assert.equal(formatForFileName('a.webp'), 'webp');
+    assert.equal(formatForFileName('a.png'), 'png');
+  });
+});
+
+describe('DrawThingsService post-processing', () => {
+  const temp = createTempDir();
+  let api;
+  let service;
+
+  before(async () => {
+    api = await startFakeDrawThingsApi();
+    service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir, filenameTemplate: '{seed}.png' });
+  });
+
+  after(async () => {
+    await api.close();
+    temp.remove();
+  });
+
+  it('saves resized PNGs with metadata', async () => {
+    const result = await service.generateImage(
+      { prompt: 'banner', seed: 3 },
+      { postProcess: { width: 40, height: 20, fit: 'fill' } }
+    );
+    assert.equal(result.imagePath, path.join(temp.imagesDir, '3.png'));
+    const saved = fs.readFileSync(result.imagePath);
+    assert.deepEqual(readImageSize(saved), { width: 40, height: 20 });
+    assert.equal(readImageMetadata(saved).params.seed, 3);
+  });
+
+  it('changes the extension to the output format and returns a readable image', async () => {
+    const result = await service.generateImage({ prompt: 'photo', seed: 4 }, { postProcess: { format: 'webp' } });
+    assert.equal(result.imagePath, path.join(temp.imagesDir, '4.webp'));
+    assert.equal(fs.readFileSync(result.imagePath).toString('ascii', 8, 12), 'WEBP');
+    assert.match(result.imageData, /^data:image\/png;base64,/);
+  });
+
+  it('converts to the format of a JPEG file name', async () => {
+    const result = await service.generateImage({ prompt: 'photo', seed: 5 }, { filenameTemplate: 'shot-{seed}.jpg' });
+    assert.equal(result.imagePath, path.join(temp.imagesDir, 'shot-5.jpg'));
+    assert.equal(fs.readFileSync(result.imagePath)[0], 0xff);
+  });
+});
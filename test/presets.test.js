@@ -0,0 +1,77 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+import { applyPreset, loadPresets, presetFilePaths, PRESETS_FILE_NAME } from '../src/services/presets.ts';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('presets', () => {
+  const temp = createTempDir();
+  const homeDir = path.join(temp.dir, 'home');
+  const workspaceDir = path.join(temp.dir, 'workspace');
+  fs.mkdirSync(homeDir);
+  fs.mkdirSync(workspaceDir);
+
+  fs.writeFileSync(
+    path.join(homeDir, PRESETS_FILE_NAME),
+    JSON.stringify({
+      'app-icon': { description: 'Square icon', width: 512, height: 512 },
+      'hero-banner': { width: 1344, height: 768, steps: 12 },
+    })
+  );
+  fs.writeFileSync(
+    path.join(workspaceDir, PRESETS_FILE_NAME),
+    JSON.stringify({ 'app-icon': { width: 1024, height: 1024, guidance_scale: 4 } })
+  );
+
+  after(() => {
+    temp.remove();
+  });
+
+  it('lets workspace presets override home presets', async () => {
+    const presets = await loadPresets(presetFilePaths([workspaceDir], homeDir));
+    assert.deepEqual(Array.from(presets.keys()).sort(), ['app-icon', 'hero-banner']);
+
+    const icon = presets.get('app-icon');
+    assert.deepEqual(icon.params, { width: 1024, height: 1024, guidance_scale: 4 });
+    assert.equal(icon.description, undefined);
+    assert.equal(icon.source, path.join(workspaceDir, PRESETS_FILE_NAME));
+    assert.equal(presets.get('hero-banner').source, path.join(homeDir, PRESETS_FILE_NAME));
+  });
+
+  it('lets the first workspace root win over the others', async () => {
+    const otherRoot = path.join(temp.dir, 'other');
+    fs.mkdirSync(otherRoot);
+    fs.writeFileSync(path.join(otherRoot, PRESETS_FILE_NAME), JSON.stringify({ 'app-icon': { width: 256 } }));
+
+    const presets = await loadPresets(presetFilePaths([workspaceDir, otherRoot], homeDir));
+    assert.equal(presets.get('app-icon').params.width, 1024);
+    assert.equal(presets.get('hero-banner').source, path.join(homeDir, PRESETS_FILE_NAME));
+  });
+
+  it('merges call arguments over the preset', async () => {
+    const presets = await loadPresets(presetFilePaths([workspaceDir], homeDir));
+    assert.deepEqual(applyPreset(presets, 'hero-banner', { prompt: 'city', steps: 20, seed: undefined }), {
+      width: 1344,
+      height: 768,
+      steps: 20,
+      prompt: 'city',
+    });
+  });
+
+  it('suggests close names for unknown presets', async () => {
+    const presets = await loadPresets(presetFilePaths([workspaceDir], homeDir));
+    assert.throws(() => applyPreset(presets, 'hero', {}), /unknown preset "hero", did you mean: hero-banner/);
+  });
+
+  it('has no presets without files and reports broken files', async () => {
+    assert.equal((await loadPresets([path.join(temp.dir, 'missing.json')])).size, 0);
+
+    const broken = path.join(temp.dir, 'broken.json');
+    fs.writeFileSync(broken, '{ "a": ');
+    await assert.rejects(loadPresets([broken]), /invalid JSON in .*broken\.json/);
+    fs.writeFileSync(broken, '{ "a": 3 }');
+    await assert.rejects(loadPresets([broken]), /preset "a" .* must be an object/);
+  });
+});
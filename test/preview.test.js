@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jimp } from 'jimp';
+
+import { createPreview } from '../src/services/preview.ts';
+import { readImageSize } from '../src/services/png.ts';
+
+async function solidImage(width, height) {
+  const image = new Jimp({ width, height, color: 0x3366ffff });
+  return (await image.getBuffer('image/png')).toString('base64');
+}
+
+describe('createPreview', () => {
+  it('downscales large images to the max size, keeping the aspect ratio', async () => {
+    const preview = await createPreview(await solidImage(1024, 512), { maxSize: 256, format: 'jpeg' });
+    assert.equal(preview.mimeType, 'image/jpeg');
+    assert.equal(preview.width, 256);
+    assert.equal(preview.height, 128);
+    assert.deepEqual(readImageSize(Buffer.from(preview.data, 'base64')), { width: 256, height: 128 });
+  });
+
+  it('keeps images that already fit, and accepts data URIs', async () => {
+    const preview = await createPreview(`data:image/png;base64,${await solidImage(100, 80)}`, {
+      maxSize: 256,
+      format: 'png',
+    });
+    assert.equal(preview.mimeType, 'image/png');
+    assert.deepEqual(readImageSize(Buffer.from(preview.data, 'base64')), { width: 100, height: 80 });
+  });
+
+  it('returns the full size when maxSize is 0', async () => {
+    const preview = await createPreview(await solidImage(600, 300), { maxSize: 0, format: 'png' });
+    assert.equal(preview.width, 600);
+    assert.equal(preview.height, 300);
+  });
+});
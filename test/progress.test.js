@@ -0,0 +1,106 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { startFakeDrawThingsApi, FAKE_IMAGE_BASE64 } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+// Stub that takes a while to render and reports one more step per progress poll
+function progressHandler({ steps = 4, renderMs = 400 } = {}) {
+  let step = 0;
+  return (req, body, res) => {
+    if (req.url.startsWith('/sdapi/v1/progress')) {
+      step = Math.min(step + 1, steps);
+      const wantsImage = req.url.includes('skip_current_image=false');
+      res.end(
+        JSON.stringify({
+          progress: step / steps,
+          eta_relative: steps - step,
+          state: { sampling_step: step, sampling_steps: steps, job_no: 0, job_count: 1 },
+          current_image: wantsImage ? FAKE_IMAGE_BASE64 : null,
+        })
+      );
+      return true;
+    }
+    if (req.url === '/sdapi/v1/txt2img') {
+      setTimeout(() => res.end(JSON.stringify({ images: [FAKE_IMAGE_BASE64] })), renderMs);
+      return true;
+    }
+    return false;
+  };
+}
+
+describe('DrawThingsService progress', () => {
+  const temp = createTempDir();
+
+  after(() => {
+    temp.remove();
+  });
+
+  it('reports step, total and ETA while the image renders', async () => {
+    const api = await startFakeDrawThingsApi({ handler: progressHandler() });
+    try {
+      const updates = [];
+      const result = await new DrawThingsService(api.url, { imagesDir: temp.imagesDir }).generateImage(
+        { prompt: 'slow render', steps: 4 },
+        { onProgress: (progress) => updates.push(progress), progressIntervalMs: 50 }
+      );
+
+      assert.equal(result.isError, false);
+      assert.ok(updates.length >= 2, `expected several updates, got ${updates.length}`);
+      assert.deepEqual(
+        updates.slice(0, 2).map(({ step, totalSteps, etaSeconds }) => ({ step, totalSteps, etaSeconds })),
+        [
+          { step: 1, totalSteps: 4, etaSeconds: 3 },
+          { step: 2, totalSteps: 4, etaSeconds: 2 },
+        ]
+      );
+      assert.equal(updates[0].previewImage, undefined);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('asks for intermediate images only when previews are requested', async () => {
+    const api = await startFakeDrawThingsApi({ handler: progressHandler() });
+    try {
+      const updates = [];
+      const result = await new DrawThingsService(api.url, { imagesDir: temp.imagesDir }).generateImage(
+        { prompt: 'slow render' },
+        { onProgress: (progress) => updates.push(progress), includePreviews: true, progressIntervalMs: 50 }
+      );
+
+      assert.ok(updates.length > 0);
+      assert.equal(updates[0].previewImage, FAKE_IMAGE_BASE64);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('stops polling once the image is returned', async () => {
+    const api = await startFakeDrawThingsApi({ handler: progressHandler({ renderMs: 150 }) });
+    try {
+      const result = await new DrawThingsService(api.url, { imagesDir: temp.imagesDir }).generateImage(
+        { prompt: 'quick render' },
+        { onProgress: () => {}, progressIntervalMs: 30 }
+      );
+
+      const pollsAtFinish = api.requests.filter((request) => request.url.startsWith('/sdapi/v1/progress')).length;
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      const pollsLater = api.requests.filter((request) => request.url.startsWith('/sdapi/v1/progress')).length;
+      assert.ok(pollsLater <= pollsAtFinish + 1);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('does not poll without a progress callback', async () => {
+    const api = await startFakeDrawThingsApi({ handler: progressHandler({ renderMs: 100 }) });
+    try {
+      const result = await new DrawThingsService(api.url, { imagesDir: temp.imagesDir }).generateImage({ prompt: 'x' });
+      assert.equal(api.requests.filter((request) => request.url.startsWith('/sdapi/v1/progress')).length, 0);
+    } finally {
+      await api.close();
+    }
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildEnhancementRequest, enhancePrompt, parseEnhancement } from '../src/services/promptEnhancer.ts';
+
+const textResult = (text) => ({ role: 'assistant', model: 'test', content: { type: 'text', text } });
+
+describe('prompt enhancement', () => {
+  it('tunes the rewrite instructions to the model family', () => {
+    const flux = buildEnhancementRequest('a dog', 'flux_1_dev_q8p.ckpt');
+    assert.match(flux.systemPrompt, /FLUX\.1/);
+    assert.match(flux.systemPrompt, /plain English sentences/);
+    const sd15 = buildEnhancementRequest('a dog', 'v1-5-pruned-emaonly_f16.ckpt');
+    assert.match(sd15.systemPrompt, /Stable Diffusion 1\.5/);
+    assert.match(sd15.systemPrompt, /comma separated keywords/);
+    const unknown = buildEnhancementRequest('a dog', 'mystery.ckpt');
+    assert.match(unknown.systemPrompt, /target model is unknown/);
+
+    assert.equal(flux.messages[0].content.text, 'Prompt to rewrite: a dog');
+    assert.equal(flux.includeContext, 'none');
+  });
+
+  it('reads the JSON answer, in a code block or not', () => {
+    const answer = { prompt: 'a golden retriever in a park', negative_prompt: 'blurry' };
+    assert.deepEqual(parseEnhancement(textResult(JSON.stringify(answer))), answer);
+    assert.deepEqual(parseEnhancement(textResult('```json\n' + JSON.stringify(answer) + '\n```')), answer);
+    assert.deepEqual(parseEnhancement(textResult('{"prompt": "a dog"}')), { prompt: 'a dog', negative_prompt: '' });
+  });
+
+  it('takes a plain text answer as the prompt', () => {
+    assert.deepEqual(parseEnhancement(textResult('Prompt: a golden retriever, sunset')), {
+      prompt: 'a golden retriever, sunset',
+      negative_prompt: '',
+    });
+  });
+
+  it('rejects answers without a prompt', () => {
+    assert.throws(() => parseEnhancement(textResult('  ')), /didn't answer with text/);
+    assert.throws(() => parseEnhancement(textResult('{"negative_prompt": "blurry"}')), /without a prompt/);
+    assert.throws(() => parseEnhancement({ content: { type: 'image', data: '', mimeType: 'image/png' } }), /text/);
+  });
+
+  it('sends the request through the sampling callback', async () => {
+    const requests = [];
+    const enhanced = await enhancePrompt('a dog', 'sd_xl_base_1.0_f16.ckpt', async (request) => {
+      requests.push(request);
+      return textResult('{"prompt": "a dog, studio lighting", "negative_prompt": "blurry"}');
+    });
+    assert.deepEqual(enhanced, { prompt: 'a dog, studio lighting', negative_prompt: 'blurry' });
+    assert.match(requests[0].systemPrompt, /Stable Diffusion XL/);
+  });
+});
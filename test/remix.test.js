@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { readImageMetadata } from '../src/services/imageMetadata.ts';
+import { buildRemixParams, paramsFromImageMetadata } from '../src/services/remix.ts';
+import { startFakeDrawThingsApi } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('buildRemixParams', () => {
+  const original = {
+    prompt: 'a red fox',
+    seed: 100,
+    width: 512,
+    height: 512,
+    steps: 8,
+    batch_size: 4,
+    seed_mode: 'Legacy',
+    init_images: ['abc'],
+  };
+
+  it('applies overrides on top of the original params', () => {
+    const params = buildRemixParams(original, {
+      width: 1024,
+      prompt_append: 'at dusk',
+      seed_offset: 2,
+      variations: 5,
+      steps: undefined,
+    });
+    assert.deepEqual(params, {
+      prompt: 'a red fox, at dusk',
+      seed: 102,
+      width: 1024,
+      height: 512,
+      steps: 8,
+      batch_size: 1,
+      batch_count: 5,
+      seed_mode: 'Scale Alike',
+    });
+  });
+
+  it('replaces the prompt and wraps seeds around', () => {
+    const params = buildRemixParams({ ...original, seed: 0 }, { prompt: 'a blue fox', seed_offset: -1 });
+    assert.equal(params.prompt, 'a blue fox');
+    assert.equal(params.seed, 4294967295);
+    assert.equal(params.batch_count, 1);
+
+    // images saved with seed -1 get a new seed instead of 4294967295
+    assert.equal(buildRemixParams({ ...original, seed: -1 }, { seed_offset: 1 }).seed, -1);
+  });
+});
+
+describe('paramsFromImageMetadata', () => {
+  it('prefers the JSON params and falls back to the A1111 text', () => {
+    assert.deepEqual(
+      paramsFromImageMetadata({ params: { prompt: 'json' }, parameters: { prompt: 'text', extra: {} }, text: {} }),
+      { prompt: 'json' }
+    );
+    assert.deepEqual(
+      paramsFromImageMetadata({
+        params: null,
+        parameters: { prompt: 'text', seed: 7, sampler: undefined, strength: 0.5, extra: { 'Clip skip': '2' } },
+        text: {},
+      }),
+      { prompt: 'text', seed: 7 }
+    );
+  });
+
+  it('rejects images without metadata', () => {
+    assert.throws(
+      () => paramsFromImageMetadata({ params: null, parameters: null, text: {} }),
+      /no generation metadata/
+    );
+  });
+});
+
+describe('remixing a saved image', () => {
+  const temp = createTempDir();
+  let api;
+
+  before(async () => {
+    api = await startFakeDrawThingsApi();
+  });
+
+  after(async () => {
+    await api.close();
+    temp.remove();
+  });
+
+  it('renders the next seeds with the original params', async () => {
+    const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir });
+    const first = await service.generateImage({ prompt: 'lighthouse', seed: 40, steps: 12 });
+
+    const original = paramsFromImageMetadata(readImageMetadata(fs.readFileSync(first.imagePath)));
+    const remix = await service.generateImage(
+      buildRemixParams(original, { seed_offset: 1, variations: 3, width: 768 })
+    );
+
+    assert.equal(remix.isError, false);
+    assert.deepEqual(remix.seeds, [41, 42, 43]);
+    const sent = api.requests.at(-1).body;
+    assert.equal(sent.prompt, 'lighthouse');
+    assert.equal(sent.steps, 12);
+    assert.equal(sent.width, 768);
+    assert.equal(sent.seed_mode, 'Scale Alike');
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultParams } from '../src/services/defaultParams.ts';
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import {
+  assertValidParams,
+  generationParamsShape,
+  InvalidParamsError,
+  validateImageGenerationParams,
+} from '../src/services/schemas.ts';
+import { startFakeDrawThingsApi } from './helpers/fakeDrawThingsApi.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+describe('generation params schema', () => {
+  it('covers every default param', () => {
+    for (const key of Object.keys(defaultParams)) {
+      assert.ok(key in generationParamsShape, `${key} is missing from the schema`);
+    }
+    assert.equal(validateImageGenerationParams(defaultParams).valid, true);
+  });
+
+  it('names every bad field', () => {
+    const result = validateImageGenerationParams({
+      prompt: 'fox',
+      width: -5,
+      steps: 'many',
+      seed_mode: 'Random',
+      loras: [{ file: 'a.ckpt', weight: 9 }],
+      guidence_scale: 4,
+    });
+    assert.equal(result.valid, false);
+    assert.deepEqual(
+      result.errors.map(({ field }) => field).sort(),
+      ['guidence_scale', 'loras.0.weight', 'seed_mode', 'steps', 'width']
+    );
+    assert.match(
+      result.errors.find(({ field }) => field === 'guidence_scale').message,
+      /unknown parameter, did you mean: guidance_scale/
+    );
+  });
+
+  it('applies schema defaults', () => {
+    assert.deepEqual(assertValidParams({ loras: [{ file: 'a.ckpt' }] }).loras, [{ file: 'a.ckpt', weight: 1 }]);
+    assert.throws(() => assertValidParams({ width: 10 }), (error) => {
+      assert.ok(error instanceof InvalidParamsError);
+      assert.equal(error.errors[0].field, 'width');
+      assert.match(error.message, /^invalid parameters: width: /);
+      return true;
+    });
+  });
+});
+
+describe('DrawThingsService param validation', () => {
+  const temp = createTempDir();
+  let api;
+
+  before(async () => {
+    api = await startFakeDrawThingsApi();
+  });
+
+  after(async () => {
+    await api.close();
+    temp.remove();
+  });
+
+  it('rejects invalid params instead of rendering the defaults', async () => {
+    const service = new DrawThingsService(api.url, { imagesDir: temp.imagesDir });
+    await assert.rejects(service.generateImage({ prompt: 'fox', steps: 0 }), InvalidParamsError);
+    assert.equal(api.requests.length, 0);
+  });
+});
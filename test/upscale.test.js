@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+import { DrawThingsService } from '../src/services/drawThingsService.ts';
+import { highResolutionParams } from '../src/services/modelProfiles.ts';
+import { readImageSize } from '../src/services/png.ts';
+import { InvalidParamsError } from '../src/services/schemas.ts';
+import { solidPng, startMockDrawThingsServer } from './mock/mockDrawThingsServer.js';
+import { createTempDir } from './helpers/tempDir.js';
+
+const SD15 = 'sd_v1.5_f16.ckpt';
+
+describe('high resolution params', () => {
+  it('renders the first pass at the native size in the output aspect ratio', () => {
+    assert.deepEqual(highResolutionParams(1024, 1024, 0.26, 64), {
+      hires_fix: true,
+      hires_fix_width: 512,
+      hires_fix_height: 512,
+      tiled_diffusion: true,
+      diffusion_tile_width: 512,
+      diffusion_tile_height: 512,
+      tiled_decoding: true,
+    });
+    const wide = highResolutionParams(2688, 1536, 1, 64);
+    assert.deepEqual([wide.hires_fix_width, wide.hires_fix_height], [1344, 768]);
+    assert.deepEqual([wide.diffusion_tile_width, wide.diffusion_tile_height], [1024, 1024]);
+  });
+
+  it('leaves sizes up to the native one alone', () => {
+    assert.deepEqual(highResolutionParams(1024, 1024, 1, 64), {});
+    assert.deepEqual(highResolutionParams(512, 512, 1, 64), {});
+  });
+});
+
+describe('DrawThingsService upscaling and high resolution', () => {
+  const temp = createTempDir();
+  let mock;
+  let service;
+
+  before(async () => {
+    mock = await startMockDrawThingsServer();
+    service = new DrawThingsService(mock.url, { imagesDir: temp.imagesDir });
+  });
+
+  after(async () => {
+    await mock.close();
+    temp.remove();
+  });
+
+  const lastRequest = () => mock.generations().at(-1);
+
+  it('renders high resolution at twice the native size with hires fix and tiling', async () => {
+    const result = await service.generateImage({ prompt: 'valley', model: SD15, high_resolution: true, seed: 1 });
+    assert.equal(result.isError, false, result.errorMessage);
+
+    const { body } = lastRequest();
+    assert.deepEqual([body.width, body.height], [1024, 1024]);
+    assert.deepEqual([body.hires_fix, body.hires_fix_width, body.hires_fix_height], [true, 512, 512]);
+    assert.deepEqual([body.tiled_diffusion, body.diffusion_tile_width, body.tiled_decoding], [true, 512, true]);
+    assert.equal(body.high_resolution, undefined);
+  });
+
+  it('sizes high resolution for the requested output, below the caller params', async () => {
+    await service.generateImage({ prompt: 'valley', model: SD15, high_resolution: true, width: 1536, height: 1024, diffusion_tile_width: 768 });
+    const { body } = lastRequest();
+    assert.deepEqual([body.width, body.height], [1536, 1024]);
+    assert.deepEqual([body.hires_fix_width, body.hires_fix_height], [640, 448]);
+    assert.equal(body.diffusion_tile_width, 768);
+
+    await service.generateImage({ prompt: 'valley', model: SD15, high_resolution: true, aspect_ratio: '16:9' });
+    assert.deepEqual([lastRequest().body.width, lastRequest().body.height], [1344, 768]);
+
+    // nothing to refine at the native size
+    await service.generateImage({ prompt: 'valley', model: SD15, high_resolution: true, width: 512, height: 512 });
+    assert.equal(lastRequest().body.hires_fix, false);
+  });
+
+  it('upscales an image without denoising it', async () => {
+    const result = await service.upscaleImage({ prompt: 'logo upscaled' }, solidPng(128, 64, [1, 2, 3]).toString('base64'));
+    assert.equal(result.isError, false, result.errorMessage);
+
+    const { url, body } = lastRequest();
+    assert.equal(url, '/sdapi/v1/img2img');
+    assert.equal(body.strength, 0);
+    assert.equal(body.upscaler, 'realesrgan_x4plus_f16.ckpt');
+    assert.equal(body.upscaler_scale, 2);
+    assert.deepEqual([body.width, body.height], [128, 64]);
+    assert.deepEqual(readImageSize(fs.readFileSync(result.imagePath)), { width: 256, height: 128 });
+  });
+
+  it('resizes to the exact factor of a source outside the 64 pixel grid', async () => {
+    const result = await service.upscaleImage(
+      { prompt: 'photo upscaled', upscaler: 'remacri_4x_f16.ckpt', upscaler_scale: 3 },
+      solidPng(100, 70, [1, 2, 3]).toString('base64')
+    );
+    assert.equal(result.isError, false, result.errorMessage);
+
+    const { body } = lastRequest();
+    assert.deepEqual([body.width, body.height, body.upscaler_scale], [128, 64, 3]);
+    assert.deepEqual(readImageSize(fs.readFileSync(result.imagePath)), { width: 300, height: 210 });
+  });
+
+  it('rejects sources it cannot read the size of', async () => {
+    await assert.rejects(
+      service.upscaleImage({}, Buffer.from('not an image').toString('base64')),
+      (error) => error instanceof InvalidParamsError && error.errors[0].field === 'image'
+    );
+  });
+});